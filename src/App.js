@@ -1,440 +1,549 @@
-import { useState, useEffect, useRef } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, BarChart, Bar, ResponsiveContainer } from 'recharts';
+import { Fragment, useState, useEffect, useRef, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, BarChart, Bar, ResponsiveContainer, ReferenceLine } from 'recharts';
+import {
+	RATIONAL_ONE,
+	multiplyRationals,
+	rationalKey,
+	parseRationalKey,
+	formatRational,
+	ratioToCents,
+	rationalMonzo,
+	monzoPrimeLimit,
+	formatMonzo,
+	withinHarmonicLimits,
+	AUDIBLE_BAND,
+	withinFrequencyBand,
+	DEFAULT_REFERENCE_PITCH,
+	frequencyToMidi,
+	formatNoteName,
+	parsePitch,
+	centsToRelativeError,
+	relativeErrorToCents,
+	getTuningMode,
+	listTuningModes,
+	resolveModeParams,
+	defaultTuningParams,
+	generateBaseFrequencies,
+	generateBaseRatios,
+	GENERATION_DIRECTIONS,
+	generateChildFrequencies,
+	generateChildRatios,
+	isUndertoneChild,
+	extractAllFrequenciesWithPaths,
+	flattenFrequencies,
+	PATH_COST_FUNCTIONS,
+	PATH_RANKINGS,
+	PATH_TREE_HARMONICS,
+	parsePathOperators,
+	pathMatrixToCsv,
+	describePathIntervals,
+	findCloseIndexPairs,
+	ratioConvergents,
+	simplestRatioWithin,
+	intervalConsonance,
+	measureConsonance,
+	consonanceByLevel,
+	dissonanceCurve,
+	findCommas,
+	buildHarmonicLattice,
+	parseScalaFile,
+	parseKeyboardMapping,
+	scalaToCustomRatios,
+	exportScalaFile,
+	deriveOctaveReducedScale,
+	parsePeriodValue,
+	formatRatioValue,
+	reduceNodesToPeriod,
+	WEIGHTED_MAX_FREQUENCIES,
+	RATIO_SWEEP_MAX_DENOMINATOR
+} from './harmonicEngine';
+import { startHarmonicTask } from './harmonicTasks';
 import './HarmonicExplorer.css';
 
-// Constants for just intonation ratios
-const JUST_INTONATION_RATIOS = {
-	"P1": 1/1,    // Perfect unison
-	"m2": 16/15,  // Minor second
-	"M2": 9/8,    // Major second
-	"m3": 6/5,    // Minor third
-	"M3": 5/4,    // Major third
-	"P4": 4/3,    // Perfect fourth
-	"A4": 45/32,  // Augmented fourth
-	"P5": 3/2,    // Perfect fifth
-	"m6": 8/5,    // Minor sixth
-	"M6": 5/3,    // Major sixth
-	"m7": 9/5,    // Minor seventh 
-	"M7": 15/8,   // Major seventh
-	"P8": 2/1     // Perfect octave
+// Trigger a browser download of text content
+const downloadTextFile = (content, fileName) => {
+	const blob = new Blob([content], { type: 'text/plain' });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(url);
 };
 
-// 12-tone equal temperament ratios (2^(n/12) where n is semitone number)
-const EQUAL_TEMPERAMENT_RATIOS = Array.from({ length: 12 }, (_, i) => Math.pow(2, i / 12));
+// A frequency with its nearest 12-TET note and cent deviation, e.g. "446.16 Hz (A4 +24¢)"
+const formatFrequency = (frequency, referencePitch, { digits = 2, unit = true } = {}) => {
+	return `${frequency.toFixed(digits)}${unit ? ' Hz' : ''} (${formatNoteName(frequency, referencePitch)})`;
+};
 
-// Utility to find GCD for ratio simplification
-const gcd = (a, b) => {
-	return b === 0 ? a : gcd(b, a % b);
+// What a typed pitch resolves to, shown under pitch inputs
+const describePitch = (frequency, referencePitch) => {
+	if (!(frequency > 0)) return "Not a pitch - try 440, A4, C#5+14c or MIDI 69";
+	return `${frequency.toFixed(2)} Hz · ${formatNoteName(frequency, referencePitch, 1)} · MIDI ${frequencyToMidi(frequency, referencePitch).toFixed(2)}`;
 };
 
-// Core model functions converted to JavaScript with new structure
-const generateHarmonicSeries = (f, nHarmonics = 12) => {
-	return Array.from({ length: nHarmonics }, (_, i) => f * (i + 1));
+// Errors and tolerances are shown in cents, the same interval at every pitch, or as the
+// relative difference |a - b| / max(a, b) in percent
+const ERROR_UNITS = {
+	cents: { label: "Cents (¢)", symbol: "¢", min: 0.1, max: 200, step: 0.5 },
+	relative: { label: "Relative (%)", symbol: "%", min: 0.01, max: 10, step: 0.1 }
 };
 
-const generateBaseFrequencies = (f, nHarmonics = 12, mode = "harmonic", customRatios = null) => {
-	if (mode === "harmonic") {
-		return generateHarmonicSeries(f, nHarmonics);
-	} else if (mode === "just") {
-		return Object.values(JUST_INTONATION_RATIOS)
-			.sort((a, b) => a - b)
-			.slice(0, nHarmonics)
-			.map(ratio => f * ratio);
-	} else if (mode === "equal") {
-		return EQUAL_TEMPERAMENT_RATIOS
-			.slice(0, nHarmonics)
-			.map(ratio => f * ratio);
-	} else if (mode === "custom" && customRatios) {
-		return customRatios
-			.slice(0, nHarmonics)
-			.map(ratio => f * ratio);
-	} else {
-		throw new Error("Mode must be 'harmonic', 'just', 'equal', or 'custom'");
-	}
+// A relative error in the chosen unit. Give the cents too when they are not simply the
+// conversion of the relative error (e.g. errors summed over the legs of a route).
+const formatError = (relative, errorUnit, cents = relativeErrorToCents(relative)) => {
+	return errorUnit === 'relative' ? `${(relative * 100).toFixed(4)}%` : `${cents.toFixed(2)}¢`;
 };
 
-// New structured frequency generation
-const generateHarmonicStructure = (baseFreq, maxLevel, nHarmonics, mode, customRatios = null) => {
-	const structure = {
-		base: baseFreq,
-		levels: []
-	};
-	
-	// Generate H^0
-	const H0 = generateBaseFrequencies(baseFreq, nHarmonics, mode, customRatios);
-	structure.levels[0] = H0;
-	
-	// Generate higher levels recursively
-	for (let level = 1; level <= maxLevel; level++) {
-		const currentLevel = [];
-		const prevLevel = structure.levels[level - 1];
-		
-		if (level === 1) {
-			// H^1: each frequency in H^0 generates a harmonic series
-			prevLevel.forEach(freq => {
-				if (typeof freq === 'number' && !isNaN(freq)) {
-					currentLevel.push(generateBaseFrequencies(freq, nHarmonics, mode, customRatios));
+// A signed interval in cents, e.g. "+702.0¢"
+const formatCents = (cents, digits = 1) => `${cents > 0 ? '+' : ''}${cents.toFixed(digits)}¢`;
+
+// Tolerances are kept in cents; inputs show them in the chosen unit
+const toleranceToUnit = (cents, errorUnit) => {
+	const value = errorUnit === 'relative' ? centsToRelativeError(cents) * 100 : cents;
+	return parseFloat(value.toFixed(4));
+};
+const toleranceFromUnit = (value, errorUnit) => (errorUnit === 'relative' ? relativeErrorToCents(value / 100) : value);
+
+// Tuning modes the worker knows - modes registered at run time only exist on this thread
+const WORKER_TUNING_MODES = new Set(listTuningModes().map(definition => definition.name));
+
+// How long a cancelled worker may take to hand back its partial result before it is stopped
+const WORKER_CANCEL_GRACE_MS = 1000;
+
+// Run one of HARMONIC_TASKS off the main thread: in a Web Worker where possible, otherwise
+// in time slices here. Returns { promise, cancel } like startHarmonicTask; a worker that
+// does not answer a cancel in time is terminated and the promise resolves with null.
+const runHarmonicTask = (name, args, mode, onProgress) => {
+	if (typeof Worker === 'undefined' || !WORKER_TUNING_MODES.has(mode)) {
+		return startHarmonicTask(name, args, onProgress);
+	}
+
+	let worker = null;
+	let cancelled = false;
+	let finish = null;
+	const promise = new Promise((resolve, reject) => {
+		finish = resolve;
+		import('./spawnHarmonicWorker').then(({ default: spawnHarmonicWorker }) => {
+			if (cancelled) {
+				resolve(null);
+				return;
+			}
+			worker = spawnHarmonicWorker();
+			worker.onmessage = ({ data }) => {
+				if (data.type === 'progress') {
+					onProgress(data.progress);
+					return;
 				}
-			});
-			structure.levels[level] = currentLevel;
-		} else {
-			// H^2+: recursively apply to nested structure
-			const processNestedLevel = (data) => {
-				if (Array.isArray(data)) {
-					if (typeof data[0] === 'number') {
-						// This is an array of frequencies, generate harmonics for each
-						return data.map(freq => {
-							if (typeof freq === 'number' && !isNaN(freq)) {
-								return generateBaseFrequencies(freq, nHarmonics, mode, customRatios);
-							}
-							return [];
-						});
-					} else {
-						// This is an array of arrays, process recursively
-						return data.map(subArray => processNestedLevel(subArray));
-					}
+				worker.terminate();
+				if (data.type === 'result') {
+					resolve(data.result);
+				} else {
+					reject(new Error(data.message));
 				}
-				return [];
 			};
-			
-			const result = processNestedLevel(prevLevel);
-			structure.levels[level] = result;
+			worker.onerror = (event) => {
+				worker.terminate();
+				reject(new Error(event.message || "Worker failed"));
+			};
+			worker.postMessage({ type: 'start', name, args });
+		}, reject);
+	});
+
+	return {
+		promise,
+		cancel: () => {
+			cancelled = true;
+			if (!worker) return;
+			worker.postMessage({ type: 'cancel' });
+			setTimeout(() => {
+				worker.terminate();
+				finish(null);
+			}, WORKER_CANCEL_GRACE_MS);
 		}
-	}
-	
-	return structure;
+	};
 };
 
-// Helper function to get all frequencies from structure with path information
-const extractAllFrequenciesWithPaths = (structure) => {
-	const result = [];
-	
-	if (!structure || !structure.base || !structure.levels) {
-		return result;
-	}
-	
-	// Add base frequency
-	if (typeof structure.base === 'number' && !isNaN(structure.base)) {
-		result.push({
-			frequency: structure.base,
-			level: -1,
-			path: [],
-			pathString: 'Base'
-		});
-	}
-	
-	// Process each level
-	structure.levels.forEach((level, levelIndex) => {
-		if (!level) return;
-		
-		const processLevel = (data, currentPath, depth) => {
-			if (!Array.isArray(data)) return;
-			
-			if (depth === 0) {
-				// Base case: data is an array of frequencies
-				data.forEach((freq, index) => {
-					if (typeof freq === 'number' && !isNaN(freq)) {
-						const fullPath = [...currentPath, index];
-						const pathString = `H^${levelIndex}[${fullPath.join(',')}]`;
-						result.push({
-							frequency: freq,
-							level: levelIndex,
-							path: fullPath,
-							pathString: pathString
-						});
-					}
-				});
-			} else {
-				// Recursive case: data is array of arrays
-				data.forEach((subArray, index) => {
-					if (Array.isArray(subArray)) {
-						processLevel(subArray, [...currentPath, index], depth - 1);
-					}
-				});
-			}
-		};
-		
-		if (levelIndex === 0) {
-			// H^0 is a simple array
-			if (Array.isArray(level)) {
-				level.forEach((freq, index) => {
-					if (typeof freq === 'number' && !isNaN(freq)) {
-						result.push({
-							frequency: freq,
-							level: levelIndex,
-							path: [index],
-							pathString: `H^${levelIndex}[${index}]`
-						});
-					}
-				});
-			}
-		} else {
-			// H^1+ are nested arrays - depth should match the level index for proper nesting
-			processLevel(level, [], levelIndex);
-		}
-	});
-	
-	return result;
+// Values a path matrix can be shown by; the cells of each are coloured from the lowest
+// (green) to the highest (red) value found
+const MATRIX_METRICS = {
+	steps: "Steps",
+	error: "Error",
+	cost: "Cost"
 };
 
-// Helper function to flatten all frequencies (for backward compatibility)
-const flattenFrequencies = (structure) => {
-	const allFreqs = extractAllFrequenciesWithPaths(structure);
-	return allFreqs.map(item => item.frequency);
+// Ready-made operator sets for the pathfinder, keyed by their text (see parsePathOperators).
+// The empty set keeps the default moves.
+const OPERATOR_PRESETS = {
+	'': "Harmonic trees + divisions (default)",
+	'×3/2, ÷2': "Pythagorean stacking (×3/2, ÷2)",
+	'×3/2, ×5/4, ÷2': "5-limit just (×3/2, ×5/4, ÷2)",
+	'×3/2, ×5/4, ×7/4, ÷2': "7-limit just (×3/2, ×5/4, ×7/4, ÷2)",
+	'mode, ÷2': "Ratios of the tree mode (mode, ÷2)"
 };
 
-// BFS Pathfinding Algorithm
-const findShortestHarmonicPath = (sourceFreq, targetFreq, options = {}) => {
-	const {
-		tolerance = 0.01,
-		maxSteps = 5,
-		maxRecursionDepth = 3,
-		maxFrequencies = 16,
-		mode = "harmonic",
-		customRatios = null,
-		useSubharmonics = false
-	} = options;
-
-	// Check if source is already within tolerance
-	const relDiff = Math.abs(sourceFreq - targetFreq) / Math.max(sourceFreq, targetFreq);
-	if (relDiff < tolerance) {
-		return {
-			found: true,
-			path: [{ frequency: sourceFreq, step: "Start" }],
-			totalSteps: 0,
-			treeCount: 0,
-			finalError: relDiff
-		};
-	}
+// Frequencies a path matrix may hold - n of them take n × (n - 1) searches
+const MAX_MATRIX_FREQUENCIES = 24;
+
+// Frequencies a search explores by default - a cheapest-path search settles many more on
+// its way to the target than BFS has to expand
+const DEFAULT_MAX_FREQUENCIES = { bfs: 16, weighted: WEIGHTED_MAX_FREQUENCIES };
 
-	// BFS Queue: {frequency, path, stepCount, treeCount}
-	const queue = [{
-		frequency: sourceFreq,
-		path: [{ frequency: sourceFreq, step: "Start" }],
-		stepCount: 0,
-		treeCount: 0
-	}];
-
-	// Visited set to avoid cycles (with tolerance for floating point)
-	const visited = new Set();
-	const addToVisited = (freq) => {
-		visited.add(Math.round(freq * 1000) / 1000); // Round to 3 decimal places
+// Frequency Pathfinding Component
+const FrequencyPathfinding = ({ mode, tuningParams, direction, constraints, exact, referencePitch, errorUnit, onShowOnTree, h0Frequencies }) => {
+	// Pitches are kept as typed: Hz, note names or MIDI numbers (see parsePitch)
+	const [sourceFreq, setSourceFreq] = useState('440');
+	const [targetFreq, setTargetFreq] = useState('660');
+	const [furtherTargets, setFurtherTargets] = useState(''); // Comma-separated pitches visited after the target
+	const [continueFromReached, setContinueFromReached] = useState(false);
+	const [toleranceCents, setToleranceCents] = useState(1);
+	const [maxSteps, setMaxSteps] = useState(5);
+	const [maxRecursionDepth, setMaxRecursionDepth] = useState(3);
+	const [maxFrequencies, setMaxFrequencies] = useState(DEFAULT_MAX_FREQUENCIES.bfs);
+	const [useSubharmonics, setUseSubharmonics] = useState(false);
+	const [operatorText, setOperatorText] = useState(''); // Moves allowed, '' for the default moves
+	const [pathMode, setPathMode] = useState(''); // '' follows the global mode
+	const [searchAlgorithm, setSearchAlgorithm] = useState('bfs'); // 'bfs', 'dijkstra' or 'astar'
+	const [pathCost, setPathCost] = useState('tenney');
+	const [penalties, setPenalties] = useState({ stepPenalty: 0, treePenalty: 0, divisionPenalty: 0 });
+	const [pathCount, setPathCount] = useState(1); // k - number of paths to list
+	const [rankBy, setRankBy] = useState('steps');
+	const [pathResult, setPathResult] = useState(null);
+	const [pathSet, setPathSet] = useState(null); // The k best paths, when more than one was requested
+	const [selectedPath, setSelectedPath] = useState(0);
+	const [routeResult, setRouteResult] = useState(null); // Chained route, when further targets were given
+	const [selectedSegment, setSelectedSegment] = useState(0);
+	const [matrixFrequencies, setMatrixFrequencies] = useState(''); // Comma-separated pitches of the all-pairs matrix
+	const [matrixResult, setMatrixResult] = useState(null);
+	const [matrixMetric, setMatrixMetric] = useState('steps');
+	const [selectedCell, setSelectedCell] = useState(null); // [from, to] of the matrix cell inspected
+	const [searchedTarget, setSearchedTarget] = useState(null); // Target of the last single search
+	const [isSearching, setIsSearching] = useState(false);
+	const [searchProgress, setSearchProgress] = useState(null);
+	const [searchSettings, setSearchSettings] = useState(null); // Trees the last search grew, to retrace its paths
+	const searchTask = useRef(null);
+
+	const searchMode = pathMode || mode;
+	const weighted = searchAlgorithm !== 'bfs';
+	const sourcePitch = parsePitch(sourceFreq, referencePitch);
+	const targetPitch = parsePitch(targetFreq, referencePitch);
+	const routeTargets = furtherTargets.split(',').map(text => parsePitch(text, referencePitch)).filter(frequency => frequency > 0);
+	// Why the operator set cannot be used, if it cannot
+	const operatorError = (() => {
+		if (!operatorText.trim()) return null;
+		try {
+			parsePathOperators(operatorText);
+			return null;
+		} catch (error) {
+			return error.message;
+		}
+	})();
+	// Target of the path shown: its matrix cell, its leg of the route or the searched target
+	const pathTarget = selectedCell && matrixResult ? matrixResult.frequencies[selectedCell[1]]
+		: routeResult ? routeResult.segments[selectedSegment].target
+		: searchedTarget;
+	const pathIntervals = pathResult && pathResult.found && pathTarget ? describePathIntervals(pathResult, pathTarget) : null;
+	const matrixPitches = matrixFrequencies.split(',').map(text => parsePitch(text, referencePitch)).filter(frequency => frequency > 0);
+
+	// Stop a running search when the view goes away
+	useEffect(() => () => {
+		if (searchTask.current) searchTask.current.cancel();
+	}, []);
+	
+	const handlePenaltyChange = (key, text) => {
+		const value = parseFloat(text);
+		setPenalties(previous => ({ ...previous, [key]: value > 0 ? value : 0 }));
 	};
-	const isVisited = (freq) => {
-		return visited.has(Math.round(freq * 1000) / 1000);
+	
+	// Switch the search algorithm, moving a budget left at its default to the new search's
+	const changeSearchAlgorithm = (algorithm) => {
+		const previousDefault = DEFAULT_MAX_FREQUENCIES[weighted ? 'weighted' : 'bfs'];
+		if (parseInt(maxFrequencies) === previousDefault) {
+			setMaxFrequencies(DEFAULT_MAX_FREQUENCIES[algorithm !== 'bfs' ? 'weighted' : 'bfs']);
+		}
+		setSearchAlgorithm(algorithm);
 	};
 
-	addToVisited(sourceFreq);
-	let exploredCount = 0;
+	// Inspect one of the k best paths
+	const selectPath = (index) => {
+		setSelectedPath(index);
+		setPathResult(pathSet.paths[index]);
+	};
 
-	while (queue.length > 0 && exploredCount < maxFrequencies) {
-		const current = queue.shift();
-		exploredCount++;
+	// Inspect one leg of the route
+	const selectSegment = (index) => {
+		setSelectedSegment(index);
+		setPathResult(routeResult.segments[index].result);
+	};
 
-		// Don't explore further if we've reached max steps
-		if (current.stepCount >= maxSteps) {
-			continue;
-		}
+	// Inspect the path of one cell of the matrix
+	const selectCell = (from, to) => {
+		setSelectedCell([from, to]);
+		setPathResult(matrixResult.cells[from][to]);
+	};
 
-		// Generate all possible next frequencies
-		const nextFrequencies = [];
+	// Options of every search, from the current settings
+	const searchOptions = () => ({
+		k: parseInt(pathCount) || 1,
+		rankBy: rankBy,
+		algorithm: searchAlgorithm,
+		cost: pathCost,
+		...penalties,
+		toleranceCents: toleranceCents,
+		maxSteps: parseInt(maxSteps),
+		maxRecursionDepth: parseInt(maxRecursionDepth),
+		maxFrequencies: parseInt(maxFrequencies),
+		mode: searchMode,
+		modeParams: tuningParams[searchMode],
+		direction: direction,
+		useSubharmonics: useSubharmonics,
+		exact: exact,
+		continueFromReached: continueFromReached,
+		operators: operatorText.trim() ? operatorText : null,
+		...constraints
+	});
 
-		// 1. Generate harmonic tree from current frequency
-		try {
-			const structure = generateHarmonicStructure(
-				current.frequency, 
-				maxRecursionDepth, 
-				12, // Use 12 harmonics per level
-				mode,
-				customRatios
-			);
+	// Start a search task, remembering the trees it grows to retrace its paths
+	const startSearch = (name, args) => {
+		setIsSearching(true);
+		setSearchProgress(null);
+		const task = runHarmonicTask(name, args, searchMode, setSearchProgress);
+		searchTask.current = task;
+		setSearchSettings({
+			mode: searchMode,
+			modeParams: tuningParams[searchMode],
+			direction: direction,
+			maxRecursionDepth: parseInt(maxRecursionDepth),
+			minFrequency: constraints.minFrequency,
+			maxFrequency: constraints.maxFrequency
+		});
+		return task;
+	};
 
-			const allFreqs = extractAllFrequenciesWithPaths(structure);
-			
-			// Add all frequencies from the generated tree
-			allFreqs.forEach(freqData => {
-				if (freqData.level >= 0 && freqData.frequency !== current.frequency) { // Skip base frequency
-					nextFrequencies.push({
-						frequency: freqData.frequency,
-						step: `Tree→${freqData.pathString}`,
-						isNewTree: true
-					});
-				}
-			});
-		} catch (error) {
-			console.error("Error generating harmonic structure:", error);
-		}
+	const finishSearch = (task) => {
+		if (searchTask.current === task) searchTask.current = null;
+		setIsSearching(false);
+		setSearchProgress(null);
+	};
 
-		// 2. Add octave divisions (backtracking)
-		if (useSubharmonics) {
-			// Full subharmonics: f/2, f/3, f/5, f/7, f/11, f/13
-			const subharmonics = [2, 3, 5, 7, 11, 13];
-			subharmonics.forEach(divisor => {
-				const newFreq = current.frequency / divisor;
-				if (newFreq > 20) { // Keep above human hearing range
-					nextFrequencies.push({
-						frequency: newFreq,
-						step: `÷${divisor}`,
-						isNewTree: false
-					});
-				}
-			});
-		} else {
-			// Simple octaves: f/2, f/4, f/8
-			for (let octave = 1; octave <= 3; octave++) {
-				const divisor = Math.pow(2, octave);
-				const newFreq = current.frequency / divisor;
-				if (newFreq > 20) {
-					nextFrequencies.push({
-						frequency: newFreq,
-						step: `÷${divisor}`,
-						isNewTree: false
-					});
-				}
-			}
+	// The search runs off the main thread, reporting progress until it ends or is cancelled
+	// (a cancelled search shows the paths found so far). Further targets turn it into a
+	// chained route: source → target → each further target in turn.
+	const handleSearch = () => {
+		const k = parseInt(pathCount) || 1;
+		const route = routeTargets.length > 0;
+		if (!(sourcePitch > 0) || !(targetPitch > 0)) {
+			setPathSet(null);
+			setRouteResult(null);
+			setPathResult({ found: false, error: "Enter the source and target as Hz, a note name (A4, C#5+14c) or a MIDI number (MIDI 69)" });
+			return;
+		}
+		if (operatorError) {
+			setPathSet(null);
+			setRouteResult(null);
+			setPathResult({ found: false, error: operatorError });
+			return;
 		}
+		setMatrixResult(null);
+		setSelectedCell(null);
+		setSearchedTarget(targetPitch);
 
-		// 3. Process all next frequencies
-		for (const next of nextFrequencies) {
-			if (isVisited(next.frequency)) {
-				continue;
-			}
+		const options = searchOptions();
+		const task = route
+			? startSearch('route', { frequencies: [sourcePitch, targetPitch, ...routeTargets], options })
+			: startSearch(
+				k > 1 ? 'kBestPaths' : weighted ? 'weightedPath' : 'shortestPath',
+				{ sourceFreq: sourcePitch, targetFreq: targetPitch, options }
+			);
 
-			// Check if we've reached the target
-			const errorRatio = Math.abs(next.frequency - targetFreq) / Math.max(next.frequency, targetFreq);
-			if (errorRatio < tolerance) {
-				// Found target!
-				const finalPath = [...current.path, {
-					frequency: next.frequency,
-					step: next.step
-				}];
-
-				return {
-					found: true,
-					path: finalPath,
-					totalSteps: current.stepCount + 1,
-					treeCount: current.treeCount + (next.isNewTree ? 1 : 0),
-					finalError: errorRatio,
-					exploredFrequencies: exploredCount
-				};
+		task.promise.then((result) => {
+			setRouteResult(route && result ? result : null);
+			if (!result) {
+				setPathSet(null);
+				setPathResult({ found: false, reason: "Cancelled" });
+			} else if (route) {
+				setPathSet(null);
+				setSelectedSegment(0);
+				setPathResult(result.segments[0].result);
+			} else if (k > 1) {
+				setPathSet(result);
+				setSelectedPath(0);
+				setPathResult(result.paths.length > 0 ? result.paths[0] : {
+					found: false,
+					reason: result.reason,
+					exploredFrequencies: result.exploredFrequencies,
+					closest: result.closest
+				});
+			} else {
+				setPathSet(null);
+				setPathResult(result);
 			}
+		}).catch((error) => {
+			console.error("Pathfinding error:", error);
+			setPathSet(null);
+			setRouteResult(null);
+			setPathResult({
+				found: false,
+				error: error.message
+			});
+		}).finally(() => finishSearch(task));
+	};
+
+	// Shortest paths between every ordered pair of the matrix frequencies, shown as a
+	// heatmap whose cells open their path. A cancelled matrix keeps the pairs searched.
+	const handleMatrixSearch = () => {
+		setPathSet(null);
+		setRouteResult(null);
+		setPathResult(null);
+		setSelectedCell(null);
 
-			// Add to queue for further exploration
-			addToVisited(next.frequency);
-			queue.push({
-				frequency: next.frequency,
-				path: [...current.path, {
-					frequency: next.frequency,
-					step: next.step
-				}],
-				stepCount: current.stepCount + 1,
-				treeCount: current.treeCount + (next.isNewTree ? 1 : 0)
+		const task = startSearch('pathMatrix', { frequencies: matrixPitches, options: searchOptions() });
+		task.promise.then((result) => {
+			setMatrixResult(result);
+			if (!result) setPathResult({ found: false, reason: "Cancelled" });
+		}).catch((error) => {
+			console.error("Pathfinding error:", error);
+			setMatrixResult(null);
+			setPathResult({
+				found: false,
+				error: error.message
 			});
-		}
-	}
+		}).finally(() => finishSearch(task));
+	};
 
-	// No path found within constraints
-	return {
-		found: false,
-		path: [],
-		totalSteps: 0,
-		treeCount: 0,
-		finalError: 1,
-		exploredFrequencies: exploredCount,
-		reason: exploredCount >= maxFrequencies ? "Max frequencies explored" : "Max steps reached"
+	// Paths of a BFS matrix carry no cost, so it shows steps in place of cost
+	const matrixCosts = Boolean(matrixResult) && matrixResult.cells.some(row => row.some(result => result && result.totalCost !== null));
+	const shownMatrixMetric = matrixMetric === 'cost' && !matrixCosts ? 'steps' : matrixMetric;
+
+	// Value of a matrix cell for the heatmap - null where no path was found
+	const matrixValue = (result) => {
+		if (!result || !result.found) return null;
+		if (shownMatrixMetric === 'steps') return result.totalSteps;
+		if (shownMatrixMetric === 'cost') return result.totalCost;
+		return errorUnit === 'relative' ? result.finalError : result.finalErrorCents;
 	};
-};
 
-// Frequency Pathfinding Component
-const FrequencyPathfinding = ({ mode, customRatios }) => {
-	const [sourceFreq, setSourceFreq] = useState(440);
-	const [targetFreq, setTargetFreq] = useState(660);
-	const [tolerance, setTolerance] = useState(0.01);
-	const [maxSteps, setMaxSteps] = useState(5);
-	const [maxRecursionDepth, setMaxRecursionDepth] = useState(3);
-	const [maxFrequencies, setMaxFrequencies] = useState(16);
-	const [useSubharmonics, setUseSubharmonics] = useState(false);
-	const [pathResult, setPathResult] = useState(null);
-	const [isSearching, setIsSearching] = useState(false);
+	const formatMatrixValue = (result) => {
+		if (shownMatrixMetric === 'steps') return result.totalSteps;
+		if (shownMatrixMetric === 'cost') return result.totalCost.toFixed(2);
+		return formatError(result.finalError, errorUnit);
+	};
 
-	const handleSearch = () => {
-		setIsSearching(true);
-		
-		// Add a small delay to allow UI to update
-		setTimeout(() => {
-			try {
-				const result = findShortestHarmonicPath(
-					parseFloat(sourceFreq),
-					parseFloat(targetFreq),
-					{
-						tolerance: tolerance / 100, // Convert percentage to decimal
-						maxSteps: parseInt(maxSteps),
-						maxRecursionDepth: parseInt(maxRecursionDepth),
-						maxFrequencies: parseInt(maxFrequencies),
-						mode: mode,
-						customRatios: customRatios,
-						useSubharmonics: useSubharmonics
-					}
-				);
-				setPathResult(result);
-			} catch (error) {
-				console.error("Pathfinding error:", error);
-				setPathResult({
-					found: false,
-					error: error.message
-				});
-			} finally {
-				setIsSearching(false);
-			}
-		}, 100);
+	const matrixRange = (() => {
+		if (!matrixResult) return null;
+		const values = matrixResult.cells.flat().map(matrixValue).filter(value => value !== null);
+		return values.length > 0 ? { min: Math.min(...values), max: Math.max(...values) } : null;
+	})();
+
+	// Green for the lowest value found, through yellow, to red for the highest
+	const matrixColour = (value) => {
+		const t = matrixRange.max > matrixRange.min ? (value - matrixRange.min) / (matrixRange.max - matrixRange.min) : 0;
+		return `hsl(${Math.round(120 * (1 - t))}, 65%, 78%)`;
+	};
+
+	const cancelSearch = () => {
+		if (searchTask.current) searchTask.current.cancel();
 	};
 
 	return (
 		<div className="pathfinding-container">
 			<h2 className="content-title">Frequency Pathfinding</h2>
 			<p className="content-description">
-				Find the shortest path between two frequencies using harmonic relationships and octave divisions.
+				Find the shortest path between two frequencies - or a route through several - using harmonic relationships and octave divisions.
 			</p>
 
 			{/* Input Parameters */}
 			<div className="pathfinding-inputs">
 				<div className="pathfinding-row">
 					<div className="pathfinding-group">
-						<label>Source Frequency (Hz)</label>
+						<label>Source (Hz, note or MIDI)</label>
 						<input
-							type="number"
+							type="text"
 							value={sourceFreq}
 							onChange={(e) => setSourceFreq(e.target.value)}
-							min="20"
-							max="20000"
-							step="0.1"
 						/>
+						<small className="pitch-hint">{describePitch(sourcePitch, referencePitch)}</small>
 					</div>
 					<div className="pathfinding-group">
-						<label>Target Frequency (Hz)</label>
+						<label>Target (Hz, note or MIDI)</label>
 						<input
-							type="number"
+							type="text"
 							value={targetFreq}
 							onChange={(e) => setTargetFreq(e.target.value)}
-							min="20"
-							max="20000"
-							step="0.1"
 						/>
+						<small className="pitch-hint">{describePitch(targetPitch, referencePitch)}</small>
+					</div>
+				</div>
+
+				<div className="pathfinding-row">
+					<div className="pathfinding-group">
+						<label>Then Through (in order)</label>
+						<input
+							type="text"
+							value={furtherTargets}
+							onChange={(e) => setFurtherTargets(e.target.value)}
+							placeholder="e.g. 550, 495 or C#5, B4 - empty for a single target"
+						/>
+						{routeTargets.length > 0 && (
+							<small className="pitch-hint">{routeTargets.map(frequency => formatNoteName(frequency, referencePitch)).join(' → ')}</small>
+						)}
+					</div>
+					<div className="pathfinding-group">
+						<label className="checkbox-label">
+							<input
+								type="checkbox"
+								checked={continueFromReached}
+								onChange={(e) => setContinueFromReached(e.target.checked)}
+								disabled={routeTargets.length === 0}
+							/>
+							Start each leg from the frequency reached rather than the nominal target
+						</label>
+					</div>
+				</div>
+
+				<div className="pathfinding-row">
+					<div className="pathfinding-group">
+						<label>All-Pairs Matrix (scale or chord)</label>
+						<input
+							type="text"
+							value={matrixFrequencies}
+							onChange={(e) => setMatrixFrequencies(e.target.value)}
+							placeholder="e.g. 440, 495, 550, 660 or C4, E4, G4"
+						/>
+						{matrixPitches.length > 0 && (
+							<small className="pitch-hint">
+								{matrixPitches.map(frequency => formatNoteName(frequency, referencePitch)).join(', ')}
+								{matrixPitches.length > MAX_MATRIX_FREQUENCIES && ` - at most ${MAX_MATRIX_FREQUENCIES} frequencies`}
+							</small>
+						)}
+					</div>
+					<div className="pathfinding-group">
+						<button
+							className="scale-btn"
+							onClick={() => setMatrixFrequencies(h0Frequencies.map(frequency => parseFloat(frequency.toFixed(3))).join(', '))}
+							disabled={!h0Frequencies || h0Frequencies.length < 2}
+						>
+							Use H^0 Level ({h0Frequencies ? h0Frequencies.length : 0} frequencies)
+						</button>
 					</div>
 				</div>
 
 				<div className="pathfinding-row">
 					<div className="pathfinding-group">
-						<label>Tolerance (%)</label>
+						<label>Tolerance ({ERROR_UNITS[errorUnit].symbol})</label>
 						<input
 							type="range"
 							min="0"
-							max="10"
-							step="0.1"
-							value={tolerance}
-							onChange={(e) => setTolerance(parseFloat(e.target.value))}
+							max={errorUnit === 'relative' ? 10 : 50}
+							step={ERROR_UNITS[errorUnit].step}
+							value={toleranceToUnit(toleranceCents, errorUnit)}
+							onChange={(e) => setToleranceCents(toleranceFromUnit(parseFloat(e.target.value), errorUnit))}
 						/>
-						<span className="range-value">{tolerance.toFixed(1)}%</span>
+						<span className="range-value">
+							{toleranceToUnit(toleranceCents, errorUnit).toFixed(errorUnit === 'relative' ? 2 : 1)}{ERROR_UNITS[errorUnit].symbol}
+						</span>
 					</div>
 					<div className="pathfinding-group">
 						<label>Max Steps</label>
@@ -466,11 +575,127 @@ const FrequencyPathfinding = ({ mode, customRatios }) => {
 							value={maxFrequencies}
 							onChange={(e) => setMaxFrequencies(e.target.value)}
 							min="8"
-							max="100"
+							max={weighted ? 1000 : 100}
+						/>
+						<small className="pitch-hint">
+							{weighted ? 'Frequencies settled - a cheapest path often needs many more than the fewest steps' : 'Frequencies whose moves are tried'}
+						</small>
+					</div>
+				</div>
+
+				<div className="pathfinding-row">
+					<div className="pathfinding-group">
+						<label>Tree Mode</label>
+						<select
+							value={pathMode}
+							onChange={(e) => setPathMode(e.target.value)}
+						>
+							<option value="">Current mode ({getTuningMode(mode).label})</option>
+							{listTuningModes().map(definition => (
+								<option key={definition.name} value={definition.name}>{definition.label}</option>
+							))}
+						</select>
+					</div>
+					<div className="pathfinding-group">
+						<label>Search</label>
+						<select
+							value={searchAlgorithm}
+							onChange={(e) => changeSearchAlgorithm(e.target.value)}
+						>
+							<option value="bfs">Fewest steps (BFS)</option>
+							<option value="dijkstra">Cheapest path (Dijkstra)</option>
+							<option value="astar">Cheapest path (A*)</option>
+						</select>
+					</div>
+				</div>
+
+				<div className="pathfinding-row">
+					<div className="pathfinding-group">
+						<label>Moves</label>
+						<select
+							value={operatorText in OPERATOR_PRESETS ? operatorText : 'custom'}
+							onChange={(e) => e.target.value !== 'custom' && setOperatorText(e.target.value)}
+						>
+							{Object.entries(OPERATOR_PRESETS).map(([text, label]) => (
+								<option key={text} value={text}>{label}</option>
+							))}
+							<option value="custom">Custom</option>
+						</select>
+					</div>
+					<div className="pathfinding-group">
+						<label>Operators</label>
+						<input
+							type="text"
+							value={operatorText}
+							onChange={(e) => setOperatorText(e.target.value)}
+							placeholder="e.g. ×3/2, ×5/4 cost 2 max 2, ÷2, tree, mode - empty for the default moves"
 						/>
+						<small className="pitch-hint">
+							{operatorError || (operatorText.trim() ? `${parsePathOperators(operatorText).length} moves${weighted ? '' : ' - costs apply to the cheapest-path searches'}` : 'Harmonic trees of the recursion depth, then the divisions below')}
+						</small>
 					</div>
 				</div>
 
+				<div className="pathfinding-row">
+					<div className="pathfinding-group">
+						<label>Paths to List (k)</label>
+						<input
+							type="number"
+							value={pathCount}
+							onChange={(e) => setPathCount(e.target.value)}
+							min="1"
+							max="20"
+							disabled={routeTargets.length > 0}
+						/>
+						{routeTargets.length > 0 && (
+							<small className="pitch-hint">A route finds one path for each leg</small>
+						)}
+					</div>
+					<div className="pathfinding-group">
+						<label>Rank Paths By</label>
+						<select
+							value={rankBy}
+							onChange={(e) => setRankBy(e.target.value)}
+							disabled={!(parseInt(pathCount) > 1) || routeTargets.length > 0}
+						>
+							{Object.entries(PATH_RANKINGS).map(([name, label]) => (
+								<option key={name} value={name}>{label}</option>
+							))}
+						</select>
+					</div>
+				</div>
+
+				{weighted && (
+					<div className="pathfinding-row">
+						<div className="pathfinding-group">
+							<label>Step Cost</label>
+							<select
+								value={pathCost}
+								onChange={(e) => setPathCost(e.target.value)}
+							>
+								{Object.entries(PATH_COST_FUNCTIONS).map(([name, definition]) => (
+									<option key={name} value={name}>{definition.label}</option>
+								))}
+							</select>
+						</div>
+						<div className="pathfinding-group">
+							<label>Penalties (per step / tree / other move)</label>
+							<div className="band-inputs">
+								{['stepPenalty', 'treePenalty', 'divisionPenalty'].map(key => (
+									<input
+										key={key}
+										type="number"
+										value={penalties[key]}
+										onChange={(e) => handlePenaltyChange(key, e.target.value)}
+										min="0"
+										step="0.5"
+									/>
+								))}
+							</div>
+						</div>
+					</div>
+				)}
+
 				<div className="pathfinding-row">
 					<div className="pathfinding-group">
 						<label className="checkbox-label">
@@ -478,6 +703,7 @@ const FrequencyPathfinding = ({ mode, customRatios }) => {
 								type="checkbox"
 								checked={useSubharmonics}
 								onChange={(e) => setUseSubharmonics(e.target.checked)}
+								disabled={operatorText.trim() !== ''}
 							/>
 							Use Full Subharmonics (÷2,÷3,÷5,÷7,÷11,÷13) instead of Octaves Only (÷2,÷4,÷8)
 						</label>
@@ -490,47 +716,261 @@ const FrequencyPathfinding = ({ mode, customRatios }) => {
 						onClick={handleSearch}
 						disabled={isSearching}
 					>
-						{isSearching ? 'Searching...' : 'Find Shortest Path'}
+						{isSearching ? 'Searching...' : routeTargets.length > 0 ? `Find Route Through ${routeTargets.length + 2} Frequencies` : parseInt(pathCount) > 1 ? `Find ${parseInt(pathCount)} Best Paths` : weighted ? 'Find Cheapest Path' : 'Find Shortest Path'}
 					</button>
+					<button
+						className="search-btn"
+						onClick={handleMatrixSearch}
+						disabled={isSearching || matrixPitches.length < 2 || matrixPitches.length > MAX_MATRIX_FREQUENCIES || operatorError !== null}
+					>
+						Find All Pairs ({matrixPitches.length}×{matrixPitches.length})
+					</button>
+					{isSearching && (
+						<button className="cancel-btn" onClick={cancelSearch}>
+							Cancel
+						</button>
+					)}
+					{isSearching && searchProgress && (
+						<p className="task-progress">
+							{searchProgress.segment !== undefined && `Leg ${searchProgress.segment + 1} of ${routeTargets.length + 1} · `}
+							{searchProgress.pair !== undefined && `Pair ${searchProgress.pairsSearched + 1} of ${matrixPitches.length * (matrixPitches.length - 1)} · `}
+							Explored {searchProgress.exploredFrequencies} frequencies · {searchProgress.queueSize} queued · {searchProgress.pathsFound} {searchProgress.pathsFound === 1 ? 'path' : 'paths'} found
+						</p>
+					)}
 				</div>
 			</div>
 
 			{/* Results */}
+			{matrixResult && (
+				<div className="matches-table path-matrix">
+					<div className="path-matrix-header">
+						<h4 className="matches-title">
+							All pairs: {matrixResult.pairsFound} of {matrixResult.frequencies.length * (matrixResult.frequencies.length - 1)} paths found
+							{matrixResult.reason && ` (${matrixResult.reason.toLowerCase()} after ${matrixResult.pairsSearched} pairs)`}
+							{' · '}{matrixResult.exploredFrequencies} frequencies explored
+						</h4>
+						<select value={shownMatrixMetric} onChange={(e) => setMatrixMetric(e.target.value)}>
+							{Object.entries(MATRIX_METRICS).map(([name, label]) => (
+								<option key={name} value={name} disabled={name === 'cost' && !matrixCosts}>{label}</option>
+							))}
+						</select>
+						<button className="file-btn" onClick={() => downloadTextFile(pathMatrixToCsv(matrixResult), 'path-matrix.csv')}>
+							Export CSV
+						</button>
+					</div>
+					<div className="matches-scroll">
+						<table className="matches heatmap">
+							<thead>
+								<tr>
+									<th>From ↓ To →</th>
+									{matrixResult.frequencies.map((frequency, index) => (
+										<th key={index}>{formatFrequency(frequency, referencePitch, { digits: 1, unit: false })}</th>
+									))}
+								</tr>
+							</thead>
+							<tbody>
+								{matrixResult.cells.map((row, from) => (
+									<tr key={from}>
+										<th>{formatFrequency(matrixResult.frequencies[from], referencePitch, { digits: 1, unit: false })}</th>
+										{row.map((result, to) => {
+											const value = matrixValue(result);
+											const selected = selectedCell && selectedCell[0] === from && selectedCell[1] === to;
+											return from === to ? (
+												<td key={to} className="heatmap-diagonal">—</td>
+											) : (
+												<td
+													key={to}
+													className={`heatmap-cell${selected ? ' selected' : ''}`}
+													style={value !== null ? { background: matrixColour(value) } : undefined}
+													title={result ? (result.found ? result.path.map(step => step.step).join(' → ') : result.reason) : 'Not searched'}
+													onClick={() => result && selectCell(from, to)}
+												>
+													{value !== null ? formatMatrixValue(result) : result ? '✗' : ''}
+												</td>
+											);
+										})}
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				</div>
+			)}
+
+			{pathSet && pathSet.paths.length > 0 && (
+				<div className="matches-table path-comparison">
+					<h4 className="matches-title">
+						{pathSet.paths.length} of {pathSet.k} paths - {PATH_RANKINGS[pathSet.rankBy].toLowerCase()} first
+						{pathSet.reason && ` (${pathSet.reason.toLowerCase()})`}
+					</h4>
+					<div className="matches-scroll">
+						<table className="matches">
+							<thead>
+								<tr>
+									<th>#</th>
+									<th>Steps</th>
+									<th>Trees</th>
+									<th>Cost</th>
+									<th>Error</th>
+									<th>Exact Interval</th>
+									<th>Route</th>
+								</tr>
+							</thead>
+							<tbody>
+								{pathSet.paths.map((path, index) => (
+									<tr
+										key={index}
+										className={index === selectedPath ? 'selected' : ''}
+										onClick={() => selectPath(index)}
+									>
+										<td>{index + 1}</td>
+										<td>{path.totalSteps}</td>
+										<td>{path.treeCount}</td>
+										<td>{path.totalCost !== null ? path.totalCost.toFixed(3) : '—'}</td>
+										<td>{formatError(path.finalError, errorUnit)}</td>
+										<td>{formatRational(path.exactRatio)}</td>
+										<td className="path-cell">{path.path.map(step => step.step).join(' → ')}</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				</div>
+			)}
+
+			{routeResult && (
+				<div className="matches-table path-comparison">
+					<h4 className="matches-title">
+						Route through {routeResult.frequencies.length} frequencies
+						{routeResult.reason && ` (${routeResult.reason.toLowerCase()})`}
+					</h4>
+					<div className="matches-scroll">
+						<table className="matches">
+							<thead>
+								<tr>
+									<th>Leg</th>
+									<th>From (Hz)</th>
+									<th>To (Hz)</th>
+									<th>Reached (Hz)</th>
+									<th>Steps</th>
+									<th>Cost</th>
+									<th>Error</th>
+									<th>Route</th>
+								</tr>
+							</thead>
+							<tbody>
+								{routeResult.segments.map((segment, index) => (
+									<tr
+										key={index}
+										className={index === selectedSegment ? 'selected' : ''}
+										onClick={() => selectSegment(index)}
+									>
+										<td>{index + 1}</td>
+										<td>{formatFrequency(segment.source, referencePitch, { unit: false })}</td>
+										<td>{formatFrequency(segment.target, referencePitch, { unit: false })}</td>
+										<td>{segment.result.found ? formatFrequency(segment.result.path[segment.result.path.length - 1].frequency, referencePitch, { unit: false }) : '—'}</td>
+										<td>{segment.result.found ? segment.result.totalSteps : '—'}</td>
+										<td>{segment.result.found && segment.result.totalCost !== null ? segment.result.totalCost.toFixed(3) : '—'}</td>
+										<td>{segment.result.found ? formatError(segment.result.finalError, errorUnit) : segment.result.reason}</td>
+										<td className="path-cell">{segment.result.path.map(step => step.step).join(' → ')}</td>
+									</tr>
+								))}
+							</tbody>
+							<tfoot>
+								<tr>
+									<td>Total</td>
+									<td colSpan="3">{routeResult.exactRatio ? `End of route at ${formatRational(routeResult.exactRatio)} of the start` : ''}</td>
+									<td>{routeResult.totalSteps}</td>
+									<td>{routeResult.totalCost !== null ? routeResult.totalCost.toFixed(3) : '—'}</td>
+									<td>{formatError(routeResult.totalError, errorUnit, routeResult.totalErrorCents)} (max {formatError(routeResult.maxError, errorUnit)})</td>
+									<td>{routeResult.exploredFrequencies} frequencies explored</td>
+								</tr>
+							</tfoot>
+						</table>
+					</div>
+				</div>
+			)}
+
 			{pathResult && (
 				<div className="pathfinding-results">
 					{pathResult.found ? (
 						<>
 							<div className="result-summary">
-								<h3 className="result-title">✅ Path Found!</h3>
+								<h3 className="result-title">✅ {selectedCell && matrixResult ? `${formatNoteName(matrixResult.frequencies[selectedCell[0]], referencePitch)} → ${formatNoteName(matrixResult.frequencies[selectedCell[1]], referencePitch)}` : routeResult ? `Leg ${selectedSegment + 1} of ${routeResult.segments.length}` : pathSet ? `Path ${selectedPath + 1} of ${pathSet.paths.length}` : 'Path Found!'}</h3>
 								<div className="result-stats">
 									<div className="stat">
 										<span className="stat-label">Total Steps:</span>
 										<span className="stat-value">{pathResult.totalSteps}</span>
 									</div>
+									{pathResult.totalCost !== null && (
+										<div className="stat">
+											<span className="stat-label">Total Cost:</span>
+											<span className="stat-value">{pathResult.totalCost.toFixed(3)}</span>
+										</div>
+									)}
 									<div className="stat">
 										<span className="stat-label">Trees Generated:</span>
 										<span className="stat-value">{pathResult.treeCount}</span>
 									</div>
 									<div className="stat">
 										<span className="stat-label">Final Error:</span>
-										<span className="stat-value">{(pathResult.finalError * 100).toFixed(4)}%</span>
+										<span className="stat-value">{formatError(pathResult.finalError, errorUnit)}</span>
 									</div>
 									<div className="stat">
 										<span className="stat-label">Frequencies Explored:</span>
 										<span className="stat-value">{pathResult.exploredFrequencies}</span>
 									</div>
+									{exact && (
+										<div className="stat">
+											<span className="stat-label">Exact Interval:</span>
+											<span className="stat-value">{formatRational(pathResult.exactRatio)}</span>
+										</div>
+									)}
 								</div>
+								{pathIntervals && (
+									<p className="result-stats-text path-interval-summary">
+										The path amounts to {pathIntervals.ratio ? `${formatRational(pathIntervals.ratio)} ` : ''}({formatCents(pathIntervals.cents)}):
+										{' '}<strong>{pathIntervals.interval.name}</strong>{pathIntervals.interval.direction === 'down' ? ' down' : ''}.
+										{pathIntervals.commaRatio && pathIntervals.commaRatio.num === pathIntervals.commaRatio.den
+											? ' It ends exactly on the target.'
+											: ` The target is ${pathIntervals.commaRatio ? `${formatRational(pathIntervals.commaRatio)}${pathIntervals.commaName ? ` (the ${pathIntervals.commaName})` : ''}, ` : ''}${formatCents(pathIntervals.commaCents, 3)} from its end.`}
+									</p>
+								)}
 							</div>
 
 							<div className="path-visualization">
-								<h4>Path Steps:</h4>
+								<div className="path-steps-header">
+									<h4>Path Steps:</h4>
+									{onShowOnTree && searchSettings && (
+										<button className="scale-btn" onClick={() => onShowOnTree({ path: pathResult.path, settings: searchSettings, label: 'the path found' })}>
+											Show on Tree
+										</button>
+									)}
+								</div>
 								<div className="path-steps">
 									{pathResult.path.map((step, index) => (
 										<div key={index} className="path-step">
 											<div className="step-number">{index}</div>
 											<div className="step-content">
-												<div className="step-frequency">{step.frequency.toFixed(2)} Hz</div>
+												<div className="step-frequency">{formatFrequency(step.frequency, referencePitch)}</div>
 												<div className="step-action">{step.step}</div>
+												{pathIntervals ? (
+													<>
+														{index > 0 && (
+															<div className="step-ratio" title="This step">
+																×{pathIntervals.steps[index].stepRatio ? formatRational(pathIntervals.steps[index].stepRatio) : '~'} ({formatCents(pathIntervals.steps[index].stepCents)})
+															</div>
+														)}
+														<div className="step-ratio step-cumulative" title="From the source">
+															{pathIntervals.steps[index].ratio ? formatRational(pathIntervals.steps[index].ratio) : '~'} ({formatCents(pathIntervals.steps[index].cents)})
+														</div>
+													</>
+												) : step.ratio && (
+													<div className="step-ratio">{formatRational(step.ratio)}</div>
+												)}
+												{index > 0 && step.cost !== undefined && (
+													<div className="step-ratio">cost {step.cost.toFixed(2)}</div>
+												)}
 											</div>
 											{index < pathResult.path.length - 1 && (
 												<div className="step-arrow">→</div>
@@ -554,6 +994,17 @@ const FrequencyPathfinding = ({ mode, customRatios }) => {
 									Explored {pathResult.exploredFrequencies} frequencies before stopping.
 								</p>
 							)}
+							{pathResult.closest && (
+								<p className="result-stats-text">
+									Closest frequency reached: {formatFrequency(pathResult.closest.path[pathResult.closest.path.length - 1].frequency, referencePitch)}
+									({formatError(pathResult.closest.finalError, errorUnit)} from the target) via {pathResult.closest.path.map(step => step.step).join(' → ')}
+									{onShowOnTree && searchSettings && (
+										<button className="scale-btn" onClick={() => onShowOnTree({ path: pathResult.closest.path, settings: searchSettings, label: 'the path to the closest frequency' })}>
+											Show on Tree
+										</button>
+									)}
+								</p>
+							)}
 						</div>
 					)}
 				</div>
@@ -563,11 +1014,11 @@ const FrequencyPathfinding = ({ mode, customRatios }) => {
 };
 
 // Simplified utility functions for creating hierarchical data
-const createFrequencyTree = (f, maxLevel = 2, maxChildren = 5, mode = "harmonic", customRatios = null) => {
+const createFrequencyTree = (f, maxLevel = 2, maxChildren = 5, mode = "harmonic", modeParams = null) => {
 	// Create the root node (base frequency)
 	const root = {
 		id: 'root',
-		name: `Base: ${f.toFixed(2)} Hz`,
+		name: 'Base',
 		value: f,
 		level: -1,
 		nodeType: 'root',
@@ -579,24 +1030,43 @@ const createFrequencyTree = (f, maxLevel = 2, maxChildren = 5, mode = "harmonic"
 	return root;
 };
 
-// Generate children for a node on-demand with simplified structure
-const generateChildrenForNode = (node, baseFreq, maxChildren, mode, maxLevel, customRatios = null) => {
+// Generate children for a node on-demand with simplified structure.
+// Nodes keep their ratio to the base as a string (tree data is cloned through JSON) so
+// that children outside the prime/odd limits can be left out, as are children outside
+// the frequency band. constraints: { minFrequency, maxFrequency, primeLimit, oddLimit }
+const generateChildrenForNode = (node, baseFreq, maxChildren, mode, maxLevel, modeParams = null, direction = "otonal", constraints = {}) => {
 	if (!node) return null;
 	
+	// Undertone children are marked with a down arrow
+	const undertoneMark = (i) => isUndertoneChild(i, maxChildren, mode, modeParams, direction) ? ' ↓' : '';
+	
+	// Exact ratio of child i to the base, or null when tempered
+	const childRatios = generateChildRatios(maxChildren, mode, modeParams, direction);
+	const parentRatio = node.nodeType === 'root' ? RATIONAL_ONE : parseRationalKey(node.ratioKey);
+	const childRatio = (i) => (parentRatio && childRatios[i]) ? multiplyRationals(parentRatio, childRatios[i]) : null;
+	const ratioFields = (i) => {
+		const ratio = childRatio(i);
+		return { ratioKey: ratio ? rationalKey(ratio) : null, monzo: rationalMonzo(ratio) };
+	};
+	const withinConstraints = (child) => (
+		withinFrequencyBand(child.value, constraints) && withinHarmonicLimits(parseRationalKey(child.ratioKey), constraints)
+	);
+	
 	// If this is the root node, generate H^0 frequencies
 	if (node.nodeType === 'root') {
-		const h0Frequencies = generateBaseFrequencies(baseFreq, maxChildren, mode, customRatios);
+		const h0Frequencies = generateChildFrequencies(baseFreq, maxChildren, mode, modeParams, direction);
 		return h0Frequencies.map((freq, i) => ({
-			id: `h0-${i}`,
-			name: `${freq.toFixed(1)} Hz (H^0[${i}])`,
+			id: node.id === 'root' ? `h0-${i}` : `${node.id}h0-${i}`, // Sub-trees of a path overlay have their own roots
+			name: `H^0[${i}]${undertoneMark(i)}`,
 			value: freq,
 			level: 0,
 			nodeType: 'frequency',
 			index: i,
 			baseFreq: baseFreq,
 			recursionIndices: [i],
+			...ratioFields(i),
 			children: []
-		}));
+		})).filter(withinConstraints);
 	}
 	
 	// If this is a frequency node, generate its H^1 frequencies
@@ -608,10 +1078,10 @@ const generateChildrenForNode = (node, baseFreq, maxChildren, mode, maxLevel, cu
 		if (nextLevel > maxLevel) return [];
 		
 		// Generate H^1 frequencies for this specific frequency
-		const frequencies = generateBaseFrequencies(node.value, maxChildren, mode, customRatios);
+		const frequencies = generateChildFrequencies(node.value, maxChildren, mode, modeParams, direction);
 		return frequencies.map((freq, i) => ({
 			id: `h${nextLevel}-${node.id}-${i}`,
-			name: `${freq.toFixed(1)} Hz (H^${nextLevel}[${[...node.recursionIndices, i].join(',')}])`,
+			name: `H^${nextLevel}[${[...node.recursionIndices, i].join(',')}]${undertoneMark(i)}`,
 			value: freq,
 			level: nextLevel,
 			nodeType: 'frequency',
@@ -619,104 +1089,97 @@ const generateChildrenForNode = (node, baseFreq, maxChildren, mode, maxLevel, cu
 			baseFreq: node.baseFreq,
 			parentFreq: node.value,
 			recursionIndices: [...(node.recursionIndices || []), i],
+			...ratioFields(i),
 			children: []
-		}));
+		})).filter(withinConstraints);
 	}
 	
 	// Default return empty array
 	return [];
 };
 
-// Updated close frequencies finder that includes path information
-const findCloseFrequencies = (structure, threshold = 0.01) => {
-	const allFreqs = extractAllFrequenciesWithPaths(structure);
-	const closePairs = [];
-	
-	for (let i = 0; i < allFreqs.length; i++) {
-		for (let j = i + 1; j < allFreqs.length; j++) {
-			const freq1 = allFreqs[i];
-			const freq2 = allFreqs[j];
-			
-			// Check if frequencies are valid numbers
-			if (!freq1 || !freq2 || 
-				typeof freq1.frequency !== 'number' || 
-				typeof freq2.frequency !== 'number' ||
-				isNaN(freq1.frequency) || isNaN(freq2.frequency)) {
-				continue;
-			}
-			
-			// Calculate relative difference
-			const relDiff = Math.abs(freq1.frequency - freq2.frequency) / Math.max(freq1.frequency, freq2.frequency);
-			
-			if (relDiff < threshold && relDiff > 0) {  // Avoid exact matches
-				closePairs.push({
-					freq1: freq1.frequency,
-					freq2: freq2.frequency,
-					path1: freq1.pathString,
-					path2: freq2.pathString,
-					difference: relDiff,
-					level1: freq1.level,
-					level2: freq2.level
-				});
-			}
-		}
-	}
-	
-	return closePairs;
-};
+// Tree data retracing a path found by the pathfinder (see PathStep). The source is the
+// root; each Tree→H^n[...] step follows its indices down the tree grown from the frequency
+// it leaves - the source's own tree, or a sub-tree spawned from an intermediate frequency -
+// and every other step (÷n, or an operator such as ×3/2) adds a jump node, drawn as an arc
+// rather than a tree link.
+// settings: { mode, modeParams, direction, maxRecursionDepth, minFrequency, maxFrequency }
+// of the search. Returns { data, expanded, nodeIds (one per step placed), edges ("parent>child") }.
+const buildPathTree = (path, settings) => {
+	const { mode, modeParams, direction, maxRecursionDepth, minFrequency, maxFrequency } = settings;
+	const band = { minFrequency, maxFrequency };
+	const source = path[0].frequency;
+	const root = {
+		id: 'root',
+		name: 'Source',
+		value: source,
+		level: -1,
+		nodeType: 'root',
+		baseFreq: source,
+		recursionIndices: [],
+		children: []
+	};
+	const expanded = new Set(['root']);
+	const nodeIds = ['root'];
+	const edges = [];
+	const attach = (parent, child) => {
+		parent.children.push(child);
+		expanded.add(parent.id);
+		edges.push(`${parent.id}>${child.id}`);
+	};
 
-const analyzeFrequencyRatios = (structure, maxDenominator = 12) => {
-	const allFreqs = extractAllFrequenciesWithPaths(structure);
-	const ratios = [];
-	
-	for (let i = 0; i < allFreqs.length && i < 100; i++) {
-		for (let j = i + 1; j < allFreqs.length && j < 100; j++) {
-			const freq1 = allFreqs[i];
-			const freq2 = allFreqs[j];
-			
-			// Check if frequencies are valid numbers
-			if (!freq1 || !freq2 || 
-				typeof freq1.frequency !== 'number' || 
-				typeof freq2.frequency !== 'number' ||
-				isNaN(freq1.frequency) || isNaN(freq2.frequency)) {
-				continue;
+	let current = root;
+	for (let index = 1; index < path.length; index++) {
+		const step = path[index];
+		const tree = step.step.match(/^Tree→H\^\d+\[([\d,]+)\]$/);
+
+		if (tree) {
+			let node = current;
+			if (current !== root) {
+				node = {
+					id: `t${index}`,
+					name: 'Tree',
+					value: current.value,
+					level: -1,
+					nodeType: 'root',
+					baseFreq: current.value,
+					recursionIndices: [],
+					children: []
+				};
+				attach(current, node);
 			}
-			
-			const actualRatio = freq1.frequency < freq2.frequency ? 
-				freq1.frequency / freq2.frequency : 
-				freq2.frequency / freq1.frequency;
-			
-			// Find closest simple ratio
-			let bestDiff = Infinity;
-			let bestRatio = [0, 0];
-			
-			for (let denom = 1; denom <= maxDenominator; denom++) {
-				for (let num = 1; num <= denom; num++) {
-					if (gcd(num, denom) === 1) {  // Ensure reduced fraction
-						const ratio = num / denom;
-						const diff = Math.abs(actualRatio - ratio);
-						
-						if (diff < bestDiff) {
-							bestDiff = diff;
-							bestRatio = [num, denom];
-						}
-					}
+			const indices = tree[1].split(',').map(Number);
+			for (const childIndex of indices) {
+				if (node.children.length === 0) {
+					// Tree operators may be deeper than maxRecursionDepth
+					node.children = generateChildrenForNode(node, node.baseFreq, PATH_TREE_HARMONICS, mode, Math.max(maxRecursionDepth, indices.length - 1), modeParams, direction, band) || [];
 				}
+				const child = node.children.find(candidate => candidate.index === childIndex);
+				if (!child) return { data: root, expanded, nodeIds, edges };
+				expanded.add(node.id);
+				edges.push(`${node.id}>${child.id}`);
+				node = child;
 			}
-			
-			ratios.push({
-				freq1: freq1.frequency,
-				freq2: freq2.frequency,
-				path1: freq1.pathString,
-				path2: freq2.pathString,
-				actualRatio: actualRatio,
-				simpleRatio: bestRatio,
-				difference: bestDiff
-			});
+			current = node;
+		} else {
+			const node = {
+				id: `d${index}`,
+				name: step.step,
+				value: step.frequency,
+				level: -1,
+				nodeType: 'jump',
+				move: step.step,
+				baseFreq: step.frequency,
+				recursionIndices: [],
+				children: []
+			};
+			attach(current, node);
+			current = node;
 		}
+		nodeIds.push(current.id);
 	}
-	
-	return ratios;
+
+	return { data: root, expanded, nodeIds, edges };
 };
 
 // Simple, robust Phase Space Component
@@ -925,7 +1388,7 @@ const PhaseSpaceView = ({ structure, baseFreq, nHarmonics, mode }) => {
 						color: '#666'
 					}}>
 						<p>No valid harmonic ratio data found.</p>
-						<p style={{ fontSize: '0.9rem' }}>Recursion level: {structure?.levels?.length || 0}</p>
+						<p style={{ fontSize: '0.9rem' }}>Recursion level: {structure.levels ? structure.levels.length : structure.maxLevel + 1}</p>
 						<p style={{ fontSize: '0.9rem' }}>Try harmonic series mode with recursion level 2+</p>
 					</div>
 				)}
@@ -947,13 +1410,30 @@ const PhaseSpaceView = ({ structure, baseFreq, nHarmonics, mode }) => {
 };
 
 // Side View Component for frequency plotting - UPDATED VERSION
-const SideView = ({ structure, baseFreq, nHarmonics, mode }) => {
+// How many nodes the frequency band clipped while generating a structure
+const BandClipNote = ({ structure }) => {
+	if (!structure || !structure.stats) return null;
+	const { clippedBelow = 0, clippedAbove = 0 } = structure.stats;
+	const minFrequency = structure.minFrequency || 0;
+	const maxFrequency = structure.maxFrequency === undefined ? Infinity : structure.maxFrequency;
+	
+	return (
+		<p className="content-description">
+			Frequency band {minFrequency} Hz – {maxFrequency === Infinity ? 'no upper bound' : `${maxFrequency} Hz`}:{' '}
+			{clippedBelow + clippedAbove} node{clippedBelow + clippedAbove === 1 ? '' : 's'} clipped
+			({clippedBelow} below, {clippedAbove} above) together with everything they would have generated
+		</p>
+	);
+};
+
+const SideView = ({ structure, baseFreq, nHarmonics, mode, referencePitch, period = null }) => {
 	const [scaleType, setScaleType] = useState('linear');
 	
 	if (!structure) return null;
 	
-	// Extract all frequencies with level and path information
-	const allFreqs = extractAllFrequenciesWithPaths(structure);
+	// Extract all frequencies with level and path information - reduced into one period
+	// in the pitch-class mode
+	const allFreqs = period ? reduceNodesToPeriod(structure, period) : extractAllFrequenciesWithPaths(structure);
 	
 	// Group frequencies by their complete path to create columns
 	const frequencySets = [];
@@ -1115,7 +1595,8 @@ const SideView = ({ structure, baseFreq, nHarmonics, mode }) => {
 	return (
 		<div className="side-view-container">
 			<div className="side-view-controls">
-				<h3 className="side-view-title">Side View - Frequency Sets</h3>
+				<h3 className="side-view-title">Side View - Frequency Sets{period ? ` Within ${formatRatioValue(period)}` : ''}</h3>
+				<BandClipNote structure={structure} />
 				<div className="scale-controls">
 					<button 
 						className={`scale-btn ${scaleType === 'linear' ? 'active' : ''}`}
@@ -1152,12 +1633,12 @@ const SideView = ({ structure, baseFreq, nHarmonics, mode }) => {
 						/>
 						<YAxis 
 							scale={scaleType}
-							domain={scaleType === 'log' ? ['dataMin', 'dataMax'] : [0, 'dataMax']}
-							label={{ value: 'Frequency (Hz)', angle: -90, position: 'insideLeft' }}
+							domain={scaleType === 'log' || period ? ['dataMin', 'dataMax'] : [0, 'dataMax']}
+							label={{ value: period ? 'Reduced Frequency (Hz)' : 'Frequency (Hz)', angle: -90, position: 'insideLeft' }}
 						/>
 						<Tooltip 
 							formatter={(value, name, props) => [
-								`${value.toFixed(2)} Hz`, 
+								formatFrequency(value, referencePitch), 
 								`${props.payload.setName} [${props.payload.freqIndexInSet}]`
 							]}
 							labelFormatter={(setIndex) => {
@@ -1253,7 +1734,7 @@ const SideView = ({ structure, baseFreq, nHarmonics, mode }) => {
 			<div className="side-view-stats">
 				<p><strong>Total frequency sets:</strong> {frequencySets.length}</p>
 				<p><strong>Total frequencies:</strong> {chartData.length}</p>
-				<p><strong>Range:</strong> {Math.min(...chartData.map(d => d.frequency)).toFixed(2)} - {Math.max(...chartData.map(d => d.frequency)).toFixed(2)} Hz</p>
+				<p><strong>Range:</strong> {chartData.length > 0 ? `${formatFrequency(Math.min(...chartData.map(d => d.frequency)), referencePitch)} - ${formatFrequency(Math.max(...chartData.map(d => d.frequency)), referencePitch)}` : '—'}</p>
 				
 				<div style={{ marginTop: '8px' }}>
 					<strong>Sets by level: </strong>
@@ -1272,8 +1753,447 @@ const SideView = ({ structure, baseFreq, nHarmonics, mode }) => {
 	);
 };
 
+// How the structure sounds: the dissonance curve of the mode, the consonance of each
+// level and of any set of pitches
+const ConsonanceView = ({ structure, baseFreq, nHarmonics, mode, modeParams, referencePitch, h0Frequencies }) => {
+	const [setText, setSetText] = useState(''); // Comma-separated pitches of the set to measure
+
+	const curve = useMemo(() => dissonanceCurve(baseFreq), [baseFreq]);
+
+	// The mode's ratios folded into the octave the curve covers
+	const modeIntervals = useMemo(() => {
+		const intervals = new Map();
+		generateBaseFrequencies(1, nHarmonics, mode, modeParams).forEach(ratio => {
+			if (!(ratio > 0)) return;
+			const cents = ratioToCents(ratio) - 1200 * Math.floor(ratioToCents(ratio) / 1200);
+			const key = cents.toFixed(3);
+			if (!intervals.has(key)) intervals.set(key, { cents, ...intervalConsonance(baseFreq, baseFreq * Math.pow(2, cents / 1200)) });
+		});
+		return Array.from(intervals.values()).sort((a, b) => a.cents - b.cents);
+	}, [baseFreq, nHarmonics, mode, modeParams]);
+
+	const levels = useMemo(() => (structure ? consonanceByLevel(structure) : []), [structure]);
+
+	const setPitches = setText.split(',').map(text => parsePitch(text, referencePitch)).filter(frequency => frequency > 0);
+	const setMetrics = setPitches.length > 0 ? measureConsonance(setPitches) : null;
+	const formatMetric = (value, digits = 3) => (value === null ? '—' : value.toFixed(digits));
+
+	return (
+		<div className="consonance-content">
+			<h2 className="content-title">Consonance</h2>
+			<p className="content-description">
+				Sethares roughness of harmonic tones (6 partials), harmonic entropy (s = 17¢, n·d ≤ 10000) and Tenney height log2(n·d).
+				Lower is smoother for all three.
+			</p>
+
+			<h3 className="table-heading">Dissonance Curve</h3>
+			<p className="content-description">
+				An interval above {formatFrequency(baseFreq, referencePitch)}, with the {mode} mode's ratios, folded into the octave, marked
+			</p>
+			<div className="chart-container">
+				<ResponsiveContainer width="100%" height="100%">
+					<LineChart data={curve}>
+						<CartesianGrid strokeDasharray="3 3" />
+						<XAxis dataKey="cents" type="number" domain={[0, 1200]} ticks={[0, 200, 400, 600, 800, 1000, 1200]} label={{ value: 'Interval (cents)', position: 'bottom' }} />
+						<YAxis yAxisId="roughness" label={{ value: 'Roughness', angle: -90, position: 'insideLeft' }} />
+						<YAxis yAxisId="entropy" orientation="right" domain={['auto', 'auto']} label={{ value: 'Entropy (nats)', angle: 90, position: 'insideRight' }} />
+						<Tooltip formatter={(value) => value.toFixed(3)} labelFormatter={(cents) => `${cents}¢`} />
+						<Legend verticalAlign="top" />
+						{modeIntervals.map(interval => (
+							<ReferenceLine key={interval.cents} yAxisId="roughness" x={interval.cents} stroke="#e6550d" strokeDasharray="2 2" />
+						))}
+						<Line yAxisId="roughness" dataKey="roughness" name="Roughness" stroke="#4a90e2" dot={false} />
+						<Line yAxisId="entropy" dataKey="harmonicEntropy" name="Harmonic entropy" stroke="#2ca02c" dot={false} />
+					</LineChart>
+				</ResponsiveContainer>
+			</div>
+
+			<div className="table-container scrollable-table clusters-table">
+				<table className="data-table">
+					<thead>
+						<tr>
+							<th>Mode Interval</th>
+							<th>Ratio</th>
+							<th>Roughness</th>
+							<th>Harmonic Entropy</th>
+							<th>Tenney Height</th>
+						</tr>
+					</thead>
+					<tbody>
+						{modeIntervals.map(interval => (
+							<tr key={interval.cents}>
+								<td>{interval.cents.toFixed(1)}¢</td>
+								<td>{formatRational(interval.ratio)}</td>
+								<td>{formatMetric(interval.roughness)}</td>
+								<td>{formatMetric(interval.harmonicEntropy)}</td>
+								<td>{formatMetric(interval.tenneyHeight, 2)}</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			</div>
+
+			<h3 className="table-heading">A Set of Pitches</h3>
+			<div className="ratio-controls">
+				<label>
+					Pitches
+					<input
+						type="text"
+						value={setText}
+						onChange={(e) => setSetText(e.target.value)}
+						placeholder="e.g. C4, E4, G4 or 440, 550, 660"
+					/>
+				</label>
+				<button className="scale-btn" onClick={() => setSetText(h0Frequencies.map(frequency => parseFloat(frequency.toFixed(4))).join(', '))}>
+					Use H^0 Level
+				</button>
+			</div>
+			{setMetrics && (
+				<p className="result-stats-text consonance-set">
+					{setMetrics.size} pitches, {setMetrics.pairs} pairs: roughness {formatMetric(setMetrics.roughness)},
+					mean harmonic entropy {formatMetric(setMetrics.harmonicEntropy)},
+					mean Tenney height {formatMetric(setMetrics.tenneyHeight, 2)}
+				</p>
+			)}
+
+			<h3 className="table-heading">By Level</h3>
+			<p className="content-description">
+				Each level on its own - the means are over the intervals between neighbouring pitches
+			</p>
+			<div className="table-container">
+				<table className="data-table">
+					<thead>
+						<tr>
+							<th>Level</th>
+							<th>Pitches</th>
+							<th>Roughness</th>
+							<th>Mean Harmonic Entropy</th>
+							<th>Mean Tenney Height</th>
+						</tr>
+					</thead>
+					<tbody>
+						{levels.map(level => (
+							<tr key={level.level}>
+								<td>{level.level < 0 ? 'Base' : `H^${level.level}`}</td>
+								<td>{level.size}</td>
+								<td>{formatMetric(level.roughness)}</td>
+								<td>{formatMetric(level.harmonicEntropy)}</td>
+								<td>{formatMetric(level.tenneyHeight, 2)}</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			</div>
+		</div>
+	);
+};
+
+// Path pairs listed under a comma before the rest are only counted
+const MAX_COMMA_PAIRS = 50;
+
+// The commas of the structure: close pairs grouped by the exact interval between them
+const CommasView = ({ structure, referencePitch }) => {
+	const [maxCents, setMaxCents] = useState(30);
+	const [openComma, setOpenComma] = useState(null); // Key of the comma whose pairs are listed
+
+	const report = useMemo(() => (structure ? findCommas(structure, { maxCents: maxCents > 0 ? maxCents : 0 }) : null), [structure, maxCents]);
+
+	if (!report) return null;
+
+	return (
+		<div className="commas-content">
+			<h2 className="content-title">Commas</h2>
+			<p className="content-description">
+				Pairs of frequencies less than {maxCents}¢ apart, grouped by the exact ratio between them: {report.pairs} pairs
+				on {report.commas.length} commas{report.inexactPairs > 0 && `, and ${report.inexactPairs} tempered pairs with no exact ratio`}.
+				Click a comma to list the paths that produce it.
+			</p>
+			<div className="ratio-controls">
+				<label>
+					Largest comma (¢)
+					<input
+						type="number"
+						value={maxCents}
+						onChange={(e) => setMaxCents(parseFloat(e.target.value))}
+						min="1"
+						max="100"
+						step="1"
+					/>
+				</label>
+			</div>
+
+			<div className="table-container scrollable-table">
+				<table className="data-table ratio-table">
+					<thead>
+						<tr>
+							<th>Comma</th>
+							<th>Name</th>
+							<th>Size</th>
+							<th>Monzo</th>
+							<th>Pairs</th>
+						</tr>
+					</thead>
+					<tbody>
+						{report.commas.map(comma => {
+							const key = formatRational(comma.ratio);
+							return (
+								<Fragment key={key}>
+									<tr className={openComma === key ? 'selected' : ''} onClick={() => setOpenComma(openComma === key ? null : key)}>
+										<td>{key}</td>
+										<td>{comma.name || '—'}</td>
+										<td>{comma.cents.toFixed(3)}¢</td>
+										<td>{formatMonzo(comma.monzo)}</td>
+										<td>{comma.pairs.length}</td>
+									</tr>
+									{openComma === key && (
+										<tr className="comma-pairs">
+											<td colSpan="5">
+												{comma.pairs.slice(0, MAX_COMMA_PAIRS).map((pair, index) => (
+													<div key={index}>
+														{pair.path1} {formatFrequency(pair.freq1, referencePitch)} → {pair.path2} {formatFrequency(pair.freq2, referencePitch)}
+													</div>
+												))}
+												{comma.pairs.length > MAX_COMMA_PAIRS && <div>… and {comma.pairs.length - MAX_COMMA_PAIRS} more</div>}
+											</td>
+										</tr>
+									)}
+								</Fragment>
+							);
+						})}
+					</tbody>
+				</table>
+			</div>
+		</div>
+	);
+};
+
+// Run a callback with d3, loading it from the CDN on first use
+const withD3 = (callback) => {
+	if (typeof window.d3 !== 'undefined') {
+		callback(window.d3);
+		return;
+	}
+	const script = document.createElement('script');
+	script.src = 'https://cdnjs.cloudflare.com/ajax/libs/d3/7.8.5/d3.min.js';
+	script.onload = () => {
+		callback(window.d3);
+	};
+	document.head.appendChild(script);
+};
+
+// Harmonic Lattice Component - coincident nodes merged into one, drawn on a log-frequency axis
+const HarmonicLattice = ({ structure, referencePitch }) => {
+	const svgRef = useRef(null);
+	const [minMultiplicity, setMinMultiplicity] = useState(1);
+	const [colorBy, setColorBy] = useState('level'); // 'level' or 'prime'
+	
+	const lattice = useMemo(() => structure ? buildHarmonicLattice(structure) : null, [structure]);
+	
+	useEffect(() => {
+		if (!lattice) return;
+		
+		withD3(d3 => {
+			if (!svgRef.current) return;
+			
+			const visibleNodes = lattice.nodes.filter(node => node.level < 0 || node.multiplicity >= minMultiplicity);
+			const visibleIds = new Set(visibleNodes.map(node => node.id));
+			const visibleEdges = lattice.edges.filter(edge => visibleIds.has(edge.source) && visibleIds.has(edge.target));
+			
+			// x by log frequency, rows by the lowest level a pitch is reached at
+			const pixelsPerOctave = 180;
+			const rowHeight = 140;
+			const laneHeight = 18;
+			const padding = 60;
+			const minFreq = Math.min(...visibleNodes.map(node => node.frequency));
+			const lanes = {};
+			visibleNodes.forEach(node => {
+				lanes[node.level] = (lanes[node.level] || 0) + 1;
+				node.x = padding + Math.log2(node.frequency / minFreq) * pixelsPerOctave;
+				node.y = padding + (node.level + 1) * rowHeight + ((lanes[node.level] - 1) % 5) * laneHeight;
+			});
+			const nodeById = new Map(visibleNodes.map(node => [node.id, node]));
+			
+			const width = Math.max(800, Math.max(...visibleNodes.map(node => node.x)) + padding * 2);
+			const height = Math.max(400, Math.max(...visibleNodes.map(node => node.y)) + padding);
+			const radius = (node) => node.level < 0 ? 10 : 4 + 2 * Math.sqrt(node.multiplicity - 1);
+			const maxCount = Math.max(1, ...visibleEdges.map(edge => edge.count));
+			
+			const svg = d3.select(svgRef.current);
+			svg.selectAll("*").remove();
+			svg.attr("width", "100%")
+				.attr("height", 600)
+				.attr("viewBox", `0 0 ${width} ${height}`);
+			
+			const g = svg.append("g");
+			svg.call(d3.zoom()
+				.scaleExtent([0.1, 5])
+				.on("zoom", (event) => g.attr("transform", event.transform)));
+			
+			// Curved edges, thicker where many tree edges collapse onto one lattice edge
+			g.selectAll("path.lattice-link")
+				.data(visibleEdges)
+				.enter()
+				.append("path")
+				.attr("class", "lattice-link")
+				.attr("d", d => {
+					const source = nodeById.get(d.source);
+					const target = nodeById.get(d.target);
+					const midX = (source.x + target.x) / 2;
+					const midY = Math.min(source.y, target.y) - 30;
+					return `M${source.x},${source.y} Q${midX},${midY} ${target.x},${target.y}`;
+				})
+				.attr("fill", "none")
+				.attr("stroke", "#999")
+				.attr("stroke-opacity", 0.5)
+				.attr("stroke-width", d => 0.5 + 2.5 * (d.count / maxCount));
+			
+			const tooltip = d3.select("body")
+				.append("div")
+				.attr("class", "node-tooltip")
+				.style("position", "fixed")
+				.style("background", "white")
+				.style("border", "1px solid #ddd")
+				.style("border-radius", "5px")
+				.style("padding", "10px")
+				.style("box-shadow", "0 2px 4px rgba(0,0,0,0.1)")
+				.style("display", "none")
+				.style("z-index", "1000")
+				.style("pointer-events", "none");
+			
+			const colors = ["#4682B4", "#228B22", "#8A2BE2", "#FF6347", "#32CD32"];
+			const primeColors = { 1: "#8B4513", 2: "#999999", 3: "#4682B4", 5: "#228B22", 7: "#8A2BE2", 11: "#FF6347", 13: "#DAA520" };
+			const nodeColor = (d) => {
+				if (d.level < 0) return "#8B4513";
+				if (colorBy === 'prime') return d.monzo ? (primeColors[monzoPrimeLimit(d.monzo)] || "#DC143C") : "#cccccc";
+				return colors[d.level % colors.length];
+			};
+			const nodeGroups = g.selectAll(".lattice-node")
+				.data(visibleNodes)
+				.enter()
+				.append("g")
+				.attr("class", "lattice-node")
+				.attr("transform", d => `translate(${d.x},${d.y})`);
+			
+			nodeGroups.append("circle")
+				.attr("r", radius)
+				.attr("fill", nodeColor)
+				.attr("stroke", "white")
+				.attr("stroke-width", 1);
+			
+			nodeGroups.filter(d => d.multiplicity > 1 || d.level < 0)
+				.append("text")
+				.attr("y", d => -radius(d) - 4)
+				.attr("text-anchor", "middle")
+				.text(d => d.ratio ? formatRational(d.ratio) : `${d.frequency.toFixed(1)}`)
+				.attr("font-family", "Arial")
+				.attr("font-size", "10px");
+			
+			nodeGroups
+				.on("mouseenter", (event, d) => {
+					const shownPaths = d.paths.slice(0, 8).join('<br/>');
+					const morePaths = d.paths.length > 8 ? `<br/>… ${d.paths.length - 8} more` : '';
+					tooltip
+						.html(`<div><strong>${formatFrequency(d.frequency, referencePitch)}</strong>` +
+							(d.ratio ? `<p>Ratio: ${formatRational(d.ratio)} · Monzo: ${formatMonzo(d.monzo)}</p>` : '') +
+							`<p>Reached ${d.multiplicity} way${d.multiplicity === 1 ? '' : 's'} from ${d.inDegree} distinct parent${d.inDegree === 1 ? '' : 's'}</p>` +
+							`<p>${shownPaths}${morePaths}</p></div>`)
+						.style("display", "block")
+						.style("left", (event.clientX + 15) + "px")
+						.style("top", (event.clientY - 15) + "px");
+				})
+				.on("mousemove", (event) => {
+					tooltip
+						.style("left", (event.clientX + 15) + "px")
+						.style("top", (event.clientY - 15) + "px");
+				})
+				.on("mouseleave", () => {
+					tooltip.style("display", "none");
+				});
+		});
+		
+		return () => {
+			const tooltips = document.querySelectorAll('.node-tooltip');
+			tooltips.forEach(tooltip => tooltip.remove());
+		};
+	}, [lattice, minMultiplicity, colorBy, referencePitch]);
+	
+	if (!lattice) return null;
+	
+	const mostReachable = [...lattice.nodes]
+		.filter(node => node.level >= 0)
+		.sort((a, b) => b.multiplicity - a.multiplicity || a.frequency - b.frequency)
+		.slice(0, 25);
+	
+	return (
+		<div className="lattice-container">
+			<div className="lattice-controls">
+				<label>
+					Minimum multiplicity: {minMultiplicity}
+					<input
+						type="range"
+						min="1"
+						max={Math.max(1, ...lattice.nodes.map(node => node.multiplicity))}
+						value={minMultiplicity}
+						onChange={(e) => setMinMultiplicity(parseInt(e.target.value))}
+					/>
+				</label>
+				<label>
+					Colour by
+					<select value={colorBy} onChange={(e) => setColorBy(e.target.value)}>
+						<option value="level">Recursion level</option>
+						<option value="prime" disabled={!lattice.exact}>Prime limit</option>
+					</select>
+				</label>
+				<span className="tree-hint">
+					{lattice.treeNodeCount} tree nodes merged into {lattice.nodes.length} distinct pitches
+					with {lattice.edges.length} edges ({lattice.selfLoops} unison steps folded)
+					{lattice.exact ? ' - merged by exact ratio' : ' - merged by rounded frequency; enable exact ratios for exact merging'}
+				</span>
+			</div>
+			
+			<div className="tree-viewport">
+				<svg ref={svgRef} width="100%" height="600"></svg>
+			</div>
+			
+			<div className="matches-table">
+				<h4 className="matches-title">Most Reachable Pitches</h4>
+				<div className="matches-scroll">
+					<table className="matches">
+						<thead>
+							<tr>
+								<th>Frequency (Hz)</th>
+								<th>Ratio</th>
+								<th>Monzo</th>
+								<th>Paths</th>
+								<th>Distinct Parents</th>
+								<th>Levels</th>
+								<th>Example Paths</th>
+							</tr>
+						</thead>
+						<tbody>
+							{mostReachable.map(node => (
+								<tr key={node.id}>
+									<td>{formatFrequency(node.frequency, referencePitch, { unit: false })}</td>
+									<td>{formatRational(node.ratio)}</td>
+									<td>{formatMonzo(node.monzo)}</td>
+									<td>{node.multiplicity}</td>
+									<td>{node.inDegree}</td>
+									<td>{node.levels.map(level => `H^${level}`).join(', ')}</td>
+									<td className="path-cell">{node.paths.slice(0, 3).join(', ')}{node.paths.length > 3 ? ', …' : ''}</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</div>
+			</div>
+		</div>
+	);
+};
+
 // Fixed Hierarchical Tree Visualization Component
-const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLevel, customRatios }) => {
+// pathOverlay: { path, settings, label } of a path sent from the pathfinder, shown in place
+// of the tree until onClearPath is called (see buildPathTree)
+const HierarchicalTree = ({ data, structure, baseFreq, nHarmonics, mode, threshold, maxLevel, modeParams, direction, constraints, referencePitch, errorUnit, pathOverlay, onClearPath }) => {
 	const svgRef = useRef(null);
 	const zoomRef = useRef(null);
 	const transformRef = useRef(null);
@@ -1281,11 +2201,20 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 	const [treeData, setTreeData] = useState(data);
 	const [showCloseMatches, setShowCloseMatches] = useState(false);
 	const [closeMatches, setCloseMatches] = useState([]);
+	const [treeView, setTreeView] = useState('tree'); // 'tree' or 'lattice'
 	
-	// Update internal tree data when the data prop changes (e.g., mode switch)
+	const pathTree = useMemo(() => pathOverlay ? buildPathTree(pathOverlay.path, pathOverlay.settings) : null, [pathOverlay]);
+	
+	// Nodes expanded by hand grow with the settings of the tree on show
+	const generation = pathOverlay
+		? { nHarmonics: PATH_TREE_HARMONICS, mode: pathOverlay.settings.mode, maxLevel: pathOverlay.settings.maxRecursionDepth, modeParams: pathOverlay.settings.modeParams, direction: pathOverlay.settings.direction, constraints: { minFrequency: pathOverlay.settings.minFrequency, maxFrequency: pathOverlay.settings.maxFrequency } }
+		: { nHarmonics, mode, maxLevel, modeParams, direction, constraints };
+	
+	// Update internal tree data when the data prop changes (e.g., mode switch) or a path is shown
 	useEffect(() => {
-		setTreeData(data);
-	}, [data]);
+		setTreeData(pathTree ? pathTree.data : data);
+		if (pathTree) setTreeView('tree');
+	}, [data, pathTree]);
 	
 	// Toggle node expansion with improved logic
 	const toggleNode = (nodeId) => {
@@ -1305,7 +2234,7 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 			const findAndUpdateNode = (currentNode, targetId) => {
 				if (currentNode.id === targetId) {
 					if (!currentNode.children || currentNode.children.length === 0) {
-						const newChildren = generateChildrenForNode(currentNode, baseFreq, nHarmonics, mode, maxLevel, customRatios);
+						const newChildren = generateChildrenForNode(currentNode, currentNode.baseFreq || baseFreq, generation.nHarmonics, generation.mode, generation.maxLevel, generation.modeParams, generation.direction, generation.constraints);
 						if (newChildren && newChildren.length > 0) {
 							currentNode.children = newChildren;
 							return true;
@@ -1346,9 +2275,13 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 			value: node.value,
 			nodeType: node.nodeType,
 			level: node.level,
+			ratioKey: node.ratioKey,
+			monzo: node.monzo,
+			move: node.move,
 			hasChildren: node.children && node.children.length > 0,
 			isExpanded: isExpanded,
 			parent: parent,
+			depth: parent ? parent.depth + 1 : 0, // Sub-trees of a path overlay restart their levels
 			x: 0,
 			y: 0
 		};
@@ -1369,19 +2302,20 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 		const horizontalSpacing = 250;
 		
 		// Position root node first
-		const rootNode = visibleNodes.find(n => n.nodeType === 'root');
+		const rootNode = visibleNodes.find(n => !n.parent);
 		if (rootNode) {
 			rootNode.x = 50;
 			rootNode.y = 200;
 		}
 		
-		// Group nodes by level for processing
+		// Group nodes by depth below the root for processing (the level, continued through
+		// the sub-trees of a path overlay)
 		const nodesByLevel = {};
 		visibleNodes.forEach(node => {
-			if (!nodesByLevel[node.level]) {
-				nodesByLevel[node.level] = [];
+			if (!nodesByLevel[node.depth]) {
+				nodesByLevel[node.depth] = [];
 			}
-			nodesByLevel[node.level].push(node);
+			nodesByLevel[node.depth].push(node);
 		});
 		
 		// Count total number of visible nodes and parent groups for dynamic spacing
@@ -1390,7 +2324,7 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 		const levels = Object.keys(nodesByLevel).map(l => parseInt(l)).sort((a, b) => a - b);
 		
 		levels.forEach(level => {
-			if (level === -1) return;
+			if (level === 0) return;
 			const levelNodes = nodesByLevel[level];
 			const uniqueParents = new Set(levelNodes.map(node => node.parent ? node.parent.id : 'none'));
 			totalParentGroups += uniqueParents.size;
@@ -1409,7 +2343,7 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 		
 		// Process each level in order
 		levels.forEach(level => {
-			if (level === -1) return; // Skip root level
+			if (level === 0) return; // Skip root level
 			
 			const levelNodes = nodesByLevel[level];
 			
@@ -1477,55 +2411,37 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 			}
 		});
 		
-		// Find close matches
+		// Find close matches by sorting and sweeping rather than comparing every pair
 		const matches = [];
-		for (let i = 0; i < allFrequencies.length; i++) {
-			for (let j = i + 1; j < allFrequencies.length; j++) {
-				const f1 = allFrequencies[i];
-				const f2 = allFrequencies[j];
-				
-				// Calculate relative difference
-				const relDiff = Math.abs(f1.freq - f2.freq) / Math.max(f1.freq, f2.freq);
-				
-				if (relDiff < threshold && relDiff > 0) {
-					matches.push({
-						id1: f1.id,
-						id2: f2.id,
-						freq1: f1.freq,
-						freq2: f2.freq,
-						x1: f1.x,
-						x2: f2.x,
-						y1: f1.y,
-						y2: f2.y,
-						difference: relDiff,
-						name1: f1.name,
-						name2: f2.name
-					});
-				}
+		findCloseIndexPairs(allFrequencies.map(f => f.freq), threshold).forEach(([i, j, relDiff]) => {
+			const f1 = allFrequencies[i];
+			const f2 = allFrequencies[j];
+			if (relDiff > 0) {
+				matches.push({
+					id1: f1.id,
+					id2: f2.id,
+					freq1: f1.freq,
+					freq2: f2.freq,
+					x1: f1.x,
+					x2: f2.x,
+					y1: f1.y,
+					y2: f2.y,
+					difference: relDiff,
+					name1: f1.name,
+					name2: f2.name
+				});
 			}
-		}
+		});
 		
 		setCloseMatches(matches);
 	};
 	
 	// Render the tree visualization with D3
 	useEffect(() => {
-		// Check if d3 is available, if not load it
-		if (typeof window.d3 === 'undefined') {
-			const script = document.createElement('script');
-			script.src = 'https://cdnjs.cloudflare.com/ajax/libs/d3/7.8.5/d3.min.js';
-			script.onload = () => {
-				renderTree();
-			};
-			document.head.appendChild(script);
-		} else {
-			renderTree();
-		}
+		withD3(renderTree);
 
-		function renderTree() {
-			if (!svgRef.current || typeof window.d3 === 'undefined') return;
-			
-			const d3 = window.d3;
+		function renderTree(d3) {
+			if (!svgRef.current || typeof d3 === 'undefined') return;
 			
 			// Get visible nodes and calculate positions properly
 			const rawVisibleNodes = getVisibleNodes(treeData);
@@ -1586,19 +2502,22 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 				svg.call(zoomRef.current.transform, initialTransform);
 			}
 			
-			// Draw connection lines
+			// Draw connection lines - divisions and other operator moves on a path are arcs, drawn below
+			const pathEdges = new Set(pathTree ? pathTree.edges : []);
+			const pathNodes = new Set(pathTree ? pathTree.nodeIds : []);
 			const links = [];
 			visibleNodes.forEach(node => {
 				if (node.parent) {
 					links.push({
 						source: node.parent,
-						target: node
+						target: node,
+						onPath: pathEdges.has(`${node.parent.id}>${node.id}`)
 					});
 				}
 			});
 			
 			g.selectAll("line.tree-link")
-				.data(links)
+				.data(links.filter(d => d.target.nodeType !== 'jump'))
 				.enter()
 				.append("line")
 				.attr("class", "tree-link")
@@ -1606,8 +2525,33 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 				.attr("y1", d => d.source.y)
 				.attr("x2", d => d.target.x - nodeRadius)
 				.attr("y2", d => d.target.y)
-				.attr("stroke", "#999")
-				.attr("stroke-width", 1);
+				.attr("stroke", d => d.onPath ? "#e6550d" : "#999")
+				.attr("stroke-width", d => d.onPath ? 3 : 1)
+				.attr("stroke-dasharray", d => d.target.nodeType === 'root' ? "6,3" : null);
+			
+			const jumpLinks = links.filter(d => d.target.nodeType === 'jump');
+			const arcPeak = (d) => Math.min(d.source.y, d.target.y) - 60;
+			g.selectAll("path.jump-arc")
+				.data(jumpLinks)
+				.enter()
+				.append("path")
+				.attr("class", "jump-arc")
+				.attr("d", d => `M ${d.source.x + nodeRadius} ${d.source.y} Q ${(d.source.x + d.target.x) / 2} ${arcPeak(d)} ${d.target.x - nodeRadius} ${d.target.y}`)
+				.attr("fill", "none")
+				.attr("stroke", "#6a3d9a")
+				.attr("stroke-width", d => d.onPath ? 3 : 1);
+			g.selectAll("text.jump-label")
+				.data(jumpLinks)
+				.enter()
+				.append("text")
+				.attr("class", "jump-label")
+				.attr("x", d => (d.source.x + d.target.x) / 2)
+				.attr("y", d => (d.source.y + d.target.y) / 4 + arcPeak(d) / 2 - 4)
+				.attr("text-anchor", "middle")
+				.attr("font-family", "Arial")
+				.attr("font-size", "12px")
+				.attr("fill", "#6a3d9a")
+				.text(d => d.target.move);
 			
 			// Draw close matches if enabled
 			if (showCloseMatches) {
@@ -1682,11 +2626,12 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 				.attr("r", d => d.nodeType === 'root' ? 12 : 8)
 				.attr("fill", d => {
 					if (d.nodeType === 'root') return "#8B4513";
+					if (d.nodeType === 'jump') return "#6a3d9a";
 					const colors = ["#4682B4", "#228B22", "#8A2BE2", "#FF6347", "#32CD32"];
 					return colors[d.level % colors.length];
 				})
-				.attr("stroke", d => d.isExpanded ? "#333" : "#999")
-				.attr("stroke-width", 1);
+				.attr("stroke", d => pathNodes.has(d.id) ? "#e6550d" : d.isExpanded ? "#333" : "#999")
+				.attr("stroke-width", d => pathNodes.has(d.id) ? 3 : 1);
 			
 			// Add expansion indicators
 			nodeGroups.filter(d => d.hasChildren)
@@ -1704,7 +2649,7 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 				.attr("x", 20)
 				.attr("dy", ".35em")
 				.attr("text-anchor", "start")
-				.text(d => d.name)
+				.text(d => d.value ? `${d.name}: ${formatFrequency(d.value, referencePitch, { digits: 1 })}` : d.name)
 				.attr("font-family", "Arial")
 				.attr("font-size", "12px")
 				.attr("font-weight", d => d.nodeType === 'root' ? "bold" : "normal");
@@ -1713,8 +2658,9 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 			nodeGroups
 				.on("mouseenter", (event, d) => {
 					let tooltipContent = `<div><strong>${d.name}</strong>`;
-					if (d.value) tooltipContent += `<p>Frequency: ${d.value.toFixed(2)} Hz</p>`;
+					if (d.value) tooltipContent += `<p>Frequency: ${describePitch(d.value, referencePitch)}</p>`;
 					if (d.level >= 0) tooltipContent += `<p>Level: H^${d.level}</p>`;
+					if (d.ratioKey) tooltipContent += `<p>Ratio: ${d.ratioKey} · Monzo: ${formatMonzo(d.monzo)}</p>`;
 					tooltipContent += `</div>`;
 					
 					tooltip
@@ -1744,7 +2690,7 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 				transformRef.current = null;
 			}
 		};
-	}, [treeData, expandedNodes, showCloseMatches, closeMatches]);
+	}, [treeData, expandedNodes, showCloseMatches, closeMatches, treeView, referencePitch, pathTree]);
 	
 	// Effect to find matches when toggled
 	useEffect(() => {
@@ -1753,33 +2699,64 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 		}
 	}, [showCloseMatches, expandedNodes]);
 	
-	// Reset zoom and expanded nodes when fundamental tree parameters change
+	// Reset zoom and expanded nodes when fundamental tree parameters change, or expand the
+	// nodes along a path when one is shown
 	useEffect(() => {
 		zoomRef.current = null;
 		transformRef.current = null;
-		setExpandedNodes(new Set(['root'])); // Reset to only root expanded
-	}, [baseFreq, nHarmonics, mode, maxLevel]);
+		setExpandedNodes(pathTree ? new Set(pathTree.expanded) : new Set(['root'])); // Reset to only root expanded
+	}, [baseFreq, nHarmonics, mode, maxLevel, modeParams, direction, constraints, pathTree]);
 	
 	return (
 		<div className="tree-container">
 			<div className="tree-controls">
-				<h3 className="tree-title">Recursive Harmonic Frequency Tree</h3>
+				<h3 className="tree-title">{treeView === 'lattice' ? 'Harmonic Lattice (Merged Coincident Nodes)' : 'Recursive Harmonic Frequency Tree'}</h3>
 				<div className="tree-actions">
 					<button 
-						className={`close-matches-btn ${showCloseMatches ? 'active' : ''}`}
-						onClick={() => setShowCloseMatches(!showCloseMatches)}
+						className={`scale-btn ${treeView === 'tree' ? 'active' : ''}`}
+						onClick={() => setTreeView('tree')}
+					>
+						Tree
+					</button>
+					<button 
+						className={`scale-btn ${treeView === 'lattice' ? 'active' : ''}`}
+						onClick={() => setTreeView('lattice')}
 					>
-						{showCloseMatches ? 'Hide Close Matches' : 'Show Close Matches'}
+						Lattice (DAG)
 					</button>
-					<span className="tree-hint">Click nodes to expand/collapse. Each level shows harmonic relationships.</span>
+					{treeView === 'tree' && (
+						<>
+							<button 
+								className={`close-matches-btn ${showCloseMatches ? 'active' : ''}`}
+								onClick={() => setShowCloseMatches(!showCloseMatches)}
+							>
+								{showCloseMatches ? 'Hide Close Matches' : 'Show Close Matches'}
+							</button>
+							<span className="tree-hint">Click nodes to expand/collapse. Each level shows harmonic relationships.</span>
+						</>
+					)}
 				</div>
 			</div>
 			
-			<div className="tree-viewport">
-				<svg ref={svgRef} width="100%" height="600"></svg>
-			</div>
+			{pathOverlay && (
+				<div className="tree-path-banner">
+					<span>
+						Showing {pathOverlay.label}: {pathOverlay.path.map(step => step.step).join(' → ')}
+						{pathTree.nodeIds.length < pathOverlay.path.length && ` (only the first ${pathTree.nodeIds.length - 1} steps could be placed)`}
+					</span>
+					<button className="scale-btn" onClick={onClearPath}>Back to Tree</button>
+				</div>
+			)}
 			
-			{showCloseMatches && closeMatches.length > 0 && (
+			{treeView === 'lattice' ? (
+				<HarmonicLattice structure={structure} referencePitch={referencePitch} />
+			) : (
+				<div className="tree-viewport">
+					<svg ref={svgRef} width="100%" height="600"></svg>
+				</div>
+			)}
+			
+			{treeView === 'tree' && showCloseMatches && closeMatches.length > 0 && (
 				<div className="matches-table">
 					<h4 className="matches-title">Close Frequency Matches</h4>
 					<div className="matches-scroll">
@@ -1788,15 +2765,15 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 								<tr>
 									<th>Frequency 1</th>
 									<th>Frequency 2</th>
-									<th>Difference (%)</th>
+									<th>Difference ({ERROR_UNITS[errorUnit].symbol})</th>
 								</tr>
 							</thead>
 							<tbody>
 								{closeMatches.map((match, idx) => (
 									<tr key={idx}>
-										<td>{match.name1}</td>
-										<td>{match.name2}</td>
-										<td>{(match.difference * 100).toFixed(4)}%</td>
+										<td>{match.name1}: {formatFrequency(match.freq1, referencePitch, { digits: 1 })}</td>
+										<td>{match.name2}: {formatFrequency(match.freq2, referencePitch, { digits: 1 })}</td>
+										<td>{formatError(match.difference, errorUnit)}</td>
 									</tr>
 								))}
 							</tbody>
@@ -1808,23 +2785,103 @@ const HierarchicalTree = ({ data, baseFreq, nHarmonics, mode, threshold, maxLeve
 	);
 };
 
+// Rows shown by the cluster and pitch class tables - large structures have far more
+const MAX_TABLE_ROWS = 1000;
+
+// Rows per page of the close pair and ratio tables; only the page shown is formatted and
+// has its consonance and simplest ratios worked out
+const TABLE_PAGE_SIZE = 100;
+
+// Number of close pairs or ratio matches, marked when the analysis left further ones out
+const formatMatchCount = (count, truncated) => `${count}${truncated ? '+' : ''}`;
+
+// Previous / next controls of a table shown TABLE_PAGE_SIZE rows at a time
+const TablePager = ({ page, rows, truncated, onPage }) => {
+	const pages = Math.ceil(rows / TABLE_PAGE_SIZE);
+	if (pages <= 1) return null;
+	return (
+		<div className="table-pager">
+			<button className="scale-btn" onClick={() => onPage(page - 1)} disabled={page === 0}>
+				Previous
+			</button>
+			<span>
+				Rows {page * TABLE_PAGE_SIZE + 1}–{Math.min(rows, (page + 1) * TABLE_PAGE_SIZE)} of {formatMatchCount(rows, truncated)}, closest first
+			</span>
+			<button className="scale-btn" onClick={() => onPage(page + 1)} disabled={page >= pages - 1}>
+				Next
+			</button>
+		</div>
+	);
+};
+
+// Bars of the pitch-class histogram - 20¢ each over an octave
+const PITCH_CLASS_BINS = 60;
+
 // Main component
 const HarmonicFrequencyExplorer = () => {
 	const [baseFrequency, setBaseFrequency] = useState(440);
+	const [baseFrequencyText, setBaseFrequencyText] = useState(null); // Raw text while a pitch is being typed
+	const [referencePitch, setReferencePitch] = useState(DEFAULT_REFERENCE_PITCH); // A4 in Hz
 	const [recursionLevel, setRecursionLevel] = useState(2);
 	const [nHarmonics, setNHarmonics] = useState(12);
 	const [mode, setMode] = useState("harmonic");
-	const [customRatios, setCustomRatios] = useState([1, 1.25, 1.5, 1.75, 2, 2.25, 2.5, 2.75]);
-	const [customRatiosInput, setCustomRatiosInput] = useState("1, 1.25, 1.5, 1.75, 2, 2.25, 2.5, 2.75");
-	const [threshold, setThreshold] = useState(0.01);
+	const [direction, setDirection] = useState("otonal");
+	const [tuningParams, setTuningParams] = useState(() => defaultTuningParams());
+	const [paramInputs, setParamInputs] = useState({}); // Raw text of parameters being edited, keyed "mode.key"
+	const [scalaStatus, setScalaStatus] = useState(null);
+	const [errorUnit, setErrorUnit] = useState('cents');
+	const [thresholdCents, setThresholdCents] = useState(17); // About 1% apart
 	const [maxDenominator, setMaxDenominator] = useState(12);
+	const [simplestCents, setSimplestCents] = useState(5); // Window of the simplest ratio shown for each pair
+	const [ratioFilter, setRatioFilter] = useState(false); // List only the pairs within the threshold of a simple ratio
+	// Close pairs and ratio matches kept, the closest of each. Near every pair of nodes matches
+	// some simple ratio, so the matches grow with the square of the nodes.
+	const [matchLimit, setMatchLimit] = useState(10000);
+	const [selectedRatio, setSelectedRatio] = useState(null); // Row of the Simple Ratios page whose convergents are listed
+	const [closePairsPage, setClosePairsPage] = useState(0);
+	const [ratiosPage, setRatiosPage] = useState(0);
+	const [exactMode, setExactMode] = useState(false);
+	const [pitchClassMode, setPitchClassMode] = useState(false); // Analyse pitch classes within one period
+	const [periodText, setPeriodText] = useState('2'); // Period the pitch classes are reduced to
+	const [nodeBudget, setNodeBudget] = useState(50000);
+	const [minFrequency, setMinFrequency] = useState(AUDIBLE_BAND.minFrequency);
+	const [maxFrequency, setMaxFrequency] = useState(AUDIBLE_BAND.maxFrequency);
+	const [allowUltrasonic, setAllowUltrasonic] = useState(false); // Lifts the upper bound of the band
+	const [suppressDuplicates, setSuppressDuplicates] = useState(false);
+	const [primeLimit, setPrimeLimit] = useState(''); // Empty means no limit
+	const [oddLimit, setOddLimit] = useState(''); // Empty means no limit
 	const [harmonicStructure, setHarmonicStructure] = useState(null);
 	const [closePairs, setClosePairs] = useState([]);
+	const [closePairsTruncated, setClosePairsTruncated] = useState(false); // More close pairs were found than kept
+	const [closeClusters, setCloseClusters] = useState([]);
+	const [exactCoincidences, setExactCoincidences] = useState(0);
 	const [ratios, setRatios] = useState([]);
+	const [ratiosTruncated, setRatiosTruncated] = useState(false); // More ratio matches were found than kept
+	const [pitchClasses, setPitchClasses] = useState(null); // Set while the pitch-class mode is on
+	const [pitchClassPeriod, setPitchClassPeriod] = useState(null); // Period the pitch classes were reduced to
 	const [loading, setLoading] = useState(false);
+	const [calculationError, setCalculationError] = useState(null); // Message of the last failed calculation
+	const [cancelledPass, setCancelledPass] = useState(null); // Analysis pass a cancelled calculation stopped in
+	const [calculationProgress, setCalculationProgress] = useState(null);
+	const calculationTask = useRef(null);
 	const [currentTab, setCurrentTab] = useState('pathfinding');
+	const [treePath, setTreePath] = useState(null); // Path from the pathfinder shown on the tree
 	const [treeData, setTreeData] = useState(null);
 
+	const reference = parseFloat(referencePitch) > 0 ? parseFloat(referencePitch) : DEFAULT_REFERENCE_PITCH;
+	const threshold = centsToRelativeError(thresholdCents); // The relative form the analysis compares against
+	const modeDefinition = getTuningMode(mode);
+	const modeParams = tuningParams[mode] || null;
+	const period = parsePeriodValue(periodText);
+	const reducePeriod = pitchClassMode && period > 1 && isFinite(period) ? period : null;
+	// Frequency band and prime/odd limits applied to generation, the tree and pathfinding
+	const generationConstraints = useMemo(() => ({
+		minFrequency: parseFloat(minFrequency) > 0 ? parseFloat(minFrequency) : 0,
+		maxFrequency: !allowUltrasonic && parseFloat(maxFrequency) > 0 ? parseFloat(maxFrequency) : Infinity,
+		primeLimit: parseInt(primeLimit) || null,
+		oddLimit: parseInt(oddLimit) || null
+	}), [minFrequency, maxFrequency, allowUltrasonic, primeLimit, oddLimit]);
+
 	useEffect(() => {
 		calculateResults();
 		// Initialize improved tree data
@@ -1833,49 +2890,193 @@ const HarmonicFrequencyExplorer = () => {
 			recursionLevel, 
 			nHarmonics, 
 			mode,
-			mode === "custom" ? customRatios : null
+			modeParams
 		));
-	}, [baseFrequency, recursionLevel, nHarmonics, mode, threshold, maxDenominator, customRatios]);
+	}, [baseFrequency, recursionLevel, nHarmonics, mode, direction, threshold, maxDenominator, ratioFilter, matchLimit, modeParams, exactMode, nodeBudget, suppressDuplicates, generationConstraints, reducePeriod]);
+
+	// The H^0 level, offered to the pathfinder as a set of frequencies for its all-pairs matrix
+	const h0Frequencies = useMemo(() => (
+		generateChildFrequencies(parseFloat(baseFrequency), nHarmonics, mode, modeParams, direction)
+			.filter(frequency => withinFrequencyBand(frequency, generationConstraints))
+	), [baseFrequency, nHarmonics, mode, modeParams, direction, generationConstraints]);
+
+	// Retrace a path from the pathfinder on the tree
+	const showPathOnTree = (overlay) => {
+		setTreePath(overlay);
+		setCurrentTab('tree');
+	};
+
+	// Base frequency input - Hz, a note name or a MIDI number, applied once it parses
+	const handleBaseFrequencyChange = (text) => {
+		setBaseFrequencyText(text);
+		const frequency = parsePitch(text, reference);
+		if (frequency > 0) setBaseFrequency(frequency);
+	};
+
+	// A new reference pitch retunes a base frequency typed as a note or MIDI number
+	const handleReferencePitchChange = (text) => {
+		setReferencePitch(text);
+		const value = parseFloat(text);
+		if (baseFrequencyText !== null && value > 0) {
+			const frequency = parsePitch(baseFrequencyText, value);
+			if (frequency > 0) setBaseFrequency(frequency);
+		}
+	};
+
+	// Set one parameter of a tuning mode
+	const updateModeParam = (modeName, key, value) => {
+		setTuningParams(previous => ({
+			...previous,
+			[modeName]: { ...resolveModeParams(modeName, previous[modeName]), [key]: value }
+		}));
+	};
 
-	// Handle custom ratios input parsing
-	const handleCustomRatiosChange = (value) => {
-		setCustomRatiosInput(value);
+	// Handle mode parameter input - the raw text is kept while editing and the value is
+	// only applied once the schema's parser accepts it
+	const handleModeParamChange = (param, text) => {
+		setParamInputs(previous => ({ ...previous, [`${mode}.${param.key}`]: text }));
 		try {
-			const ratios = value.split(',').map(s => parseFloat(s.trim())).filter(n => !isNaN(n) && n > 0);
-			if (ratios.length >= 2 && ratios.length <= 20) {
-				setCustomRatios(ratios);
+			const value = param.parse ? param.parse(text) : parseFloat(text);
+			if (value !== null && value !== undefined && !(typeof value === 'number' && isNaN(value))) {
+				updateModeParam(mode, param.key, value);
 			}
 		} catch (e) {
-			// Invalid input, keep previous ratios
+			// Invalid input, keep previous value
 		}
 	};
 
-	const calculateResults = () => {
-		setLoading(true);
+	// Text shown in a mode parameter input
+	const modeParamText = (param) => {
+		const editing = paramInputs[`${mode}.${param.key}`];
+		if (editing !== undefined) return editing;
+		const value = resolveModeParams(mode, modeParams)[param.key];
+		return param.format ? param.format(value) : `${value}`;
+	};
+
+	// Load a Scala scale (and optional keyboard mapping) into custom mode
+	const handleScalaFiles = async (fileList) => {
+		const files = Array.from(fileList || []);
+		const sclFile = files.find(file => /\.scl$/i.test(file.name));
+		const kbmFile = files.find(file => /\.kbm$/i.test(file.name));
+		if (!sclFile) {
+			setScalaStatus({ error: true, message: "Select a .scl file (optionally together with a .kbm mapping)" });
+			return;
+		}
 		try {
-			const structure = generateHarmonicStructure(
-				parseFloat(baseFrequency), 
-				recursionLevel, 
-				nHarmonics, 
-				mode,
-				mode === "custom" ? customRatios : null
-			);
-			const pairs = findCloseFrequencies(structure, threshold);
-			const ratioAnalysis = analyzeFrequencyRatios(structure, maxDenominator);
+			const scale = parseScalaFile(await sclFile.text());
+			const kbm = kbmFile ? parseKeyboardMapping(await kbmFile.text()) : null;
+			const { ratios, baseFrequency } = scalaToCustomRatios(scale, kbm);
+			// Every ratio is generated: the custom mode only takes the first nHarmonics
+			const { maxNotes } = getTuningMode("custom");
+			if (ratios.length < 2 || ratios.length > maxNotes) {
+				throw new Error(`${sclFile.name} gives ${ratios.length} ratios; custom ratios take 2 to ${maxNotes}`);
+			}
 			
-			setHarmonicStructure(structure);
-			setClosePairs(pairs);
-			setRatios(ratioAnalysis);
+			updateModeParam("custom", "ratios", ratios);
+			setParamInputs(previous => ({ ...previous, "custom.ratios": undefined }));
+			if (baseFrequency) {
+				setBaseFrequency(parseFloat(baseFrequency.toFixed(6)));
+				setBaseFrequencyText(null);
+			}
+			setMode("custom");
+			setNHarmonics(ratios.length);
+			setScalaStatus({
+				error: false,
+				message: `Loaded ${sclFile.name}${kbmFile ? ` with ${kbmFile.name}` : ''}: ${scale.description || 'untitled'} (${scale.pitches.length} notes, ${ratios.length} ratios per level)`
+			});
 		} catch (error) {
+			setScalaStatus({ error: true, message: error.message });
+		}
+	};
+
+	// Export the current ratio set as a .scl file - ratio-list modes export their whole list
+	const handleExportRatios = () => {
+		const resolved = resolveModeParams(mode, modeParams);
+		const ratios = Array.isArray(resolved.ratios) ? resolved.ratios : generateBaseFrequencies(1, nHarmonics, mode, modeParams);
+		const fileName = `${mode}-ratios.scl`;
+		downloadTextFile(exportScalaFile(ratios, `${mode} ratios (${nHarmonics} per level)`, fileName), fileName);
+	};
+
+	// Export the generated structure reduced into one octave as a .scl file
+	const handleExportTreeScale = () => {
+		if (!harmonicStructure) return;
+		const fileName = `${mode}-H${recursionLevel}-octave-reduced.scl`;
+		downloadTextFile(
+			exportScalaFile(deriveOctaveReducedScale(harmonicStructure), `Octave-reduced H^${recursionLevel} ${mode} structure`, fileName),
+			fileName
+		);
+	};
+
+	// Generate and analyse the structure off the main thread. A newer calculation
+	// supersedes a running one; a cancelled one shows the nodes generated so far.
+	const calculateResults = () => {
+		if (calculationTask.current) calculationTask.current.cancel();
+		setLoading(true);
+		setCalculationProgress(null);
+		setCalculationError(null);
+
+		const task = runHarmonicTask(
+			'structure',
+			{
+				baseFreq: parseFloat(baseFrequency),
+				maxLevel: recursionLevel,
+				nHarmonics: nHarmonics,
+				mode: mode,
+				modeParams: modeParams,
+				options: {
+					exact: exactMode,
+					direction: direction,
+					maxNodes: nodeBudget > 0 ? nodeBudget : Infinity,
+					dedupe: suppressDuplicates,
+					...generationConstraints
+				},
+				threshold: threshold,
+				maxDenominator: maxDenominator,
+				ratioCents: ratioFilter ? thresholdCents : null,
+				reducePeriod: reducePeriod,
+				limit: matchLimit
+			},
+			mode,
+			(progress) => {
+				if (calculationTask.current === task) setCalculationProgress(progress);
+			}
+		);
+		calculationTask.current = task;
+
+		task.promise.then((result) => {
+			if (calculationTask.current !== task || !result) return;
+			setHarmonicStructure(result.structure);
+			setClosePairs(result.closePairs);
+			setClosePairsTruncated(result.closePairsTruncated);
+			setCloseClusters(result.closeClusters);
+			setExactCoincidences(result.exactCoincidences);
+			setRatios(result.ratios);
+			setRatiosTruncated(result.ratiosTruncated);
+			setPitchClasses(result.pitchClasses);
+			setPitchClassPeriod(result.pitchClasses ? reducePeriod : null);
+			setCancelledPass(result.cancelledPass);
+			setClosePairsPage(0);
+			setRatiosPage(0);
+			setSelectedRatio(null);
+		}).catch((error) => {
 			console.error("Error calculating results:", error);
-		} finally {
+			if (calculationTask.current === task) setCalculationError(error.message);
+		}).finally(() => {
+			if (calculationTask.current !== task) return;
+			calculationTask.current = null;
 			setLoading(false);
-		}
+			setCalculationProgress(null);
+		});
+	};
+
+	const cancelCalculation = () => {
+		if (calculationTask.current) calculationTask.current.cancel();
 	};
 
 	// Format frequencies for distribution chart (placeholder for now)
 	const getFrequencyDistribution = () => {
 		if (!harmonicStructure) return [];
+		if (pitchClasses) return getPitchClassDistribution();
 		
 		const allFreqs = flattenFrequencies(harmonicStructure);
 		const bins = {};
@@ -1897,34 +3098,82 @@ const HarmonicFrequencyExplorer = () => {
 		})).filter(item => item.count > 0);
 	};
 
+	// Nodes per PITCH_CLASS_BINS-th of the period, each pitch class counting every node
+	// that collapsed into it
+	const getPitchClassDistribution = () => {
+		const binSize = ratioToCents(pitchClassPeriod) / PITCH_CLASS_BINS;
+		const bins = {};
+		pitchClasses.forEach(pitchClass => {
+			const binIndex = Math.min(Math.floor(pitchClass.cents / binSize), PITCH_CLASS_BINS - 1);
+			bins[binIndex] = (bins[binIndex] || 0) + pitchClass.count;
+		});
+
+		return Object.entries(bins).map(([binIndex, count]) => ({
+			bin: parseFloat((binIndex * binSize).toFixed(1)),
+			binEnd: parseFloat(((Number(binIndex) + 1) * binSize).toFixed(1)),
+			count
+		}));
+	};
+
 	const distributionData = getFrequencyDistribution();
 
-	// Format close pairs for display with path information
-	const closePairsData = closePairs
+	// Format the close pairs of the page shown for display with path information. The task
+	// hands them over closest first.
+	const closePairsData = useMemo(() => closePairs
+		.slice(closePairsPage * TABLE_PAGE_SIZE, (closePairsPage + 1) * TABLE_PAGE_SIZE)
 		.filter(pair => pair && typeof pair.freq1 === 'number' && typeof pair.freq2 === 'number')
-		.sort((a, b) => a.difference - b.difference)
-		.map(pair => ({
-			freqA: pair.freq1.toFixed(2),
-			freqB: pair.freq2.toFixed(2),
-			pathA: pair.path1 || 'Unknown',
-			pathB: pair.path2 || 'Unknown',
-			difference: pair.difference.toFixed(6),
-			percentDiff: (pair.difference * 100).toFixed(4) + '%'
-		}));
+		.map(pair => {
+			const consonance = intervalConsonance(pair.freq1, pair.freq2, pair.interval);
+			return {
+				freqA: formatFrequency(pair.freq1, reference, { unit: false }),
+				freqB: formatFrequency(pair.freq2, reference, { unit: false }),
+				pathA: pair.path1 || 'Unknown',
+				pathB: pair.path2 || 'Unknown',
+				cents: pair.cents.toFixed(2) + '¢',
+				percentDiff: (pair.difference * 100).toFixed(4) + '%',
+				roughness: consonance.roughness.toFixed(3),
+				entropy: consonance.harmonicEntropy.toFixed(3),
+				tenneyHeight: `${consonance.tenneyHeight.toFixed(2)}${pair.interval ? '' : ` (${formatRational(consonance.ratio)})`}`,
+				interval: formatRational(pair.interval)
+			};
+		}), [closePairs, closePairsPage, reference]);
 
-	// Format ratios for display with path information
-	const ratiosData = ratios
+	// Clusters of mutually close frequencies, widest first
+	const clustersData = useMemo(() => [...closeClusters]
+		.sort((a, b) => b.nodes.length - a.nodes.length || a.min - b.min)
+		.slice(0, MAX_TABLE_ROWS)
+		.map(cluster => ({
+			range: `${formatFrequency(cluster.min, reference, { unit: false })} – ${formatFrequency(cluster.max, reference, { unit: false })}`,
+			size: cluster.distinctFrequencies < cluster.nodes.length ? `${cluster.nodes.length} (${cluster.distinctFrequencies} distinct)` : `${cluster.nodes.length}`,
+			spread: cluster.spreadCents.toFixed(2) + '¢',
+			paths: cluster.nodes.slice(0, 12).map(node => node.pathString).join(', ') + (cluster.nodes.length > 12 ? ` … and ${cluster.nodes.length - 12} more` : '')
+		})), [closeClusters, reference]);
+
+	// Format the ratios of the page shown for display with path information, closest first.
+	// Ratios are shown as intervals upwards (larger / smaller), so the engine's smaller /
+	// larger ratios are inverted and their cents negated
+	const ratiosData = useMemo(() => ratios
+		.slice(ratiosPage * TABLE_PAGE_SIZE, (ratiosPage + 1) * TABLE_PAGE_SIZE)
 		.filter(ratio => ratio && typeof ratio.freq1 === 'number' && typeof ratio.freq2 === 'number')
-		.sort((a, b) => a.difference - b.difference)
-		.map(ratio => ({
-			freqA: ratio.freq1.toFixed(2),
-			freqB: ratio.freq2.toFixed(2),
-			pathA: ratio.path1 || 'Unknown',
-			pathB: ratio.path2 || 'Unknown',
-			actualRatio: ratio.actualRatio.toFixed(6),
-			simpleRatio: `${ratio.simpleRatio[0]}/${ratio.simpleRatio[1]} (${(ratio.simpleRatio[0]/ratio.simpleRatio[1]).toFixed(6)})`,
-			difference: ratio.difference.toFixed(8)
-		}));
+		.map(ratio => {
+			const interval = 1 / ratio.actualRatio;
+			const [num, den] = ratio.simpleRatio;
+			const simplest = simplestCents > 0 ? simplestRatioWithin(interval, simplestCents) : null;
+			return {
+				freqA: formatFrequency(ratio.freq1, reference, { unit: false }),
+				freqB: formatFrequency(ratio.freq2, reference, { unit: false }),
+				pathA: ratio.path1 || 'Unknown',
+				pathB: ratio.path2 || 'Unknown',
+				interval: interval,
+				actualRatio: interval.toFixed(6),
+				simpleRatio: `${den}/${num} (${(den / num).toFixed(6)})`,
+				difference: Math.abs(interval - den / num).toFixed(8),
+				cents: formatCents(-ratio.cents, 2),
+				simplest: simplest ? `${formatRational(simplest.ratio)} (${formatCents(simplest.cents, 2)})` : '—',
+				exactRatio: ratio.exactRatio ? `${ratio.exactRatio.den}/${ratio.exactRatio.num}${ratio.isExactSimple ? ' ✓' : ''}` : '—'
+			};
+		}), [ratios, ratiosPage, simplestCents, reference]);
+	const selectedRatioRow = selectedRatio !== null && selectedRatio < ratiosData.length ? ratiosData[selectedRatio] : null;
 
 	return (
 		<div className="app" style={appStyles}>
@@ -1935,19 +3184,21 @@ const HarmonicFrequencyExplorer = () => {
 				<h2 className="section-title">The Recursive Harmonic Function</h2>
 				<p>This tool explores recursive harmonic relationships in frequency space, allowing you to:</p>
 				<ul>
-					<li>Generate frequency sets using harmonic series, Just Intonation ratios, 12-tone equal temperament, or custom ratios</li>
+					<li>Generate frequency sets using harmonic series, Just Intonation ratios, 12-tone or arbitrary equal divisions of any period, or custom ratios</li>
 					<li>Apply recursive transformations to explore complex harmonic structures</li>
 					<li>Explore the convergence of acoustic physics and musical harmony</li>
 					<li>Visualize hierarchical relationships between frequencies</li>
 					<li><strong>Find shortest paths between any two frequencies using harmonic navigation</strong></li>
+					<li>Compare frequencies by exact ratio, close pairs, simple ratios, commas and consonance</li>
 				</ul>
 				<p>
 				Everything has a fundamental frequency, and with that frequency comes a set of harmonics which has a relationship with every other tone that could exist. This tool
 				helps to visualize these connections.
 				</p>
 				<p>The notation H^n(f) represents n recursive applications of the harmonic function to the base frequency f.</p>
-				<p><strong>Pathfinding:</strong> Uses breadth-first search to find the minimum number of steps between two frequencies via harmonic trees and octave divisions.</p>
-				<p><strong>Tree View:</strong> Each frequency node can be expanded to show its harmonic children. Colors represent different recursion levels (H^0, H^1, etc.). Click any frequency to explore its recursive harmonic structure. Capped at 3 levels.</p>
+				<p><strong>Pathfinding:</strong> Uses breadth-first search to find the minimum number of steps between two frequencies via harmonic trees and octave divisions, or Dijkstra and A* to find the cheapest path. Your own operator sets, routes through further frequencies and an all-pairs matrix build on the same searches.</p>
+				<p><strong>Tree View:</strong> Each frequency node can be expanded to show its harmonic children. Colors represent different recursion levels (H^0, H^1, etc.). Click any frequency to explore its recursive harmonic structure. Capped at 6 levels; the lattice view merges repeated pitches into one node.</p>
+				<p><strong>Analysis:</strong> Frequencies are compared in cents, as exact ratios where the mode has them, and optionally as pitch classes within one period.</p>
 				<p><strong>Side View:</strong> Shows all generated frequencies plotted on a linear or logarithmic scale, color-coded by recursion level.</p>
 			</div>
 			
@@ -1956,13 +3207,31 @@ const HarmonicFrequencyExplorer = () => {
 				<h2 className="section-title">Parameters</h2>
 				<div className="parameters-grid">
 					<div className="param-group">
-						<label>Base Frequency (Hz)</label>
+						<label>Base Frequency (Hz, note or MIDI)</label>
+						<input
+							type="text"
+							value={baseFrequencyText !== null ? baseFrequencyText : baseFrequency}
+							onChange={(e) => handleBaseFrequencyChange(e.target.value)}
+						/>
+						<small className="pitch-hint">
+							{describePitch(baseFrequencyText !== null ? parsePitch(baseFrequencyText, reference) : parseFloat(baseFrequency), reference)}
+						</small>
+					</div>
+
+					<div className="param-group">
+						<label>Reference Pitch (A4, Hz)</label>
 						<input
 							type="number"
-							value={baseFrequency}
-							onChange={(e) => setBaseFrequency(e.target.value)}
-							min="1"
+							list="reference-pitches"
+							value={referencePitch}
+							onChange={(e) => handleReferencePitchChange(e.target.value)}
+							min="200"
+							max="1000"
+							step="0.1"
 						/>
+						<datalist id="reference-pitches">
+							{[440, 442, 432, 415, 466].map(pitch => <option key={pitch} value={pitch} />)}
+						</datalist>
 					</div>
 					
 					<div className="param-group">
@@ -1972,7 +3241,7 @@ const HarmonicFrequencyExplorer = () => {
 							value={recursionLevel}
 							onChange={(e) => setRecursionLevel(parseInt(e.target.value))}
 							min="0"
-							max="3"
+							max="6"
 						/>
 					</div>
 					
@@ -1983,7 +3252,7 @@ const HarmonicFrequencyExplorer = () => {
 							value={nHarmonics}
 							onChange={(e) => setNHarmonics(parseInt(e.target.value))}
 							min="3"
-							max="13"
+							max={modeDefinition.maxNotes}
 						/>
 					</div>
 					
@@ -1991,40 +3260,92 @@ const HarmonicFrequencyExplorer = () => {
 						<label>Mode</label>
 						<select
 							value={mode}
-							onChange={(e) => setMode(e.target.value)}
+							onChange={(e) => {
+								// Keep the values per level within what the new mode offers
+								const { maxNotes } = getTuningMode(e.target.value);
+								setNHarmonics(previous => Math.min(previous, maxNotes));
+								setMode(e.target.value);
+							}}
+						>
+							{listTuningModes().map(definition => (
+								<option key={definition.name} value={definition.name}>{definition.label}</option>
+							))}
+						</select>
+					</div>
+					
+					<div className="param-group">
+						<label>Direction</label>
+						<select
+							value={direction}
+							onChange={(e) => setDirection(e.target.value)}
 						>
-							<option value="harmonic">Harmonic Series</option>
-							<option value="just">Just Intonation</option>
-							<option value="equal">12-Tone Equal Temperament</option>
-							<option value="custom">Custom Ratios</option>
+							{Object.entries(GENERATION_DIRECTIONS).map(([name, label]) => (
+								<option key={name} value={name}>{label}</option>
+							))}
 						</select>
 					</div>
 					
-					{mode === "custom" && (
-						<div className="param-group custom-ratios">
-							<label>Custom Ratios (2-20 values)</label>
+					{modeDefinition.params.map(param => (
+						<div key={`${mode}.${param.key}`} className="param-group">
+							<label>{param.label}</label>
 							<input
-								type="text"
-								value={customRatiosInput}
-								onChange={(e) => handleCustomRatiosChange(e.target.value)}
-								placeholder="1, 1.25, 1.5, 1.75, 2"
-								style={{ fontSize: '0.8rem' }}
+								type={param.type === "number" ? "number" : "text"}
+								value={modeParamText(param)}
+								onChange={(e) => handleModeParamChange(param, e.target.value)}
+								placeholder={param.placeholder}
+								min={param.min}
+								max={param.max}
+								style={param.type === "number" ? undefined : { fontSize: '0.8rem' }}
 							/>
-							<small style={{ color: '#ccc', fontSize: '0.75rem' }}>
-								Enter comma-separated values.
-							</small>
+							{param.hint && (
+								<small style={{ color: '#ccc', fontSize: '0.75rem' }}>
+									{param.hint}
+								</small>
+							)}
 						</div>
-					)}
+					))}
+					
+					<div className="param-group">
+						<label>Scala Tuning Files</label>
+						<input
+							type="file"
+							accept=".scl,.kbm"
+							multiple
+							onChange={(e) => {
+								handleScalaFiles(e.target.files);
+								e.target.value = '';
+							}}
+							style={{ fontSize: '0.75rem' }}
+						/>
+						<div className="file-actions">
+							<button className="file-btn" onClick={handleExportRatios}>Export ratios (.scl)</button>
+							<button className="file-btn" onClick={handleExportTreeScale} disabled={!harmonicStructure}>Export tree scale (.scl)</button>
+						</div>
+						{scalaStatus && (
+							<small className={scalaStatus.error ? 'file-status error' : 'file-status'}>
+								{scalaStatus.message}
+							</small>
+						)}
+					</div>
+					
+					<div className="param-group">
+						<label>Error Unit</label>
+						<select value={errorUnit} onChange={(e) => setErrorUnit(e.target.value)}>
+							{Object.entries(ERROR_UNITS).map(([key, unit]) => (
+								<option key={key} value={key}>{unit.label}</option>
+							))}
+						</select>
+					</div>
 					
 					<div className="param-group">
-						<label>Closeness Threshold</label>
+						<label>Closeness Threshold ({ERROR_UNITS[errorUnit].symbol})</label>
 						<input
 							type="number"
-							value={threshold}
-							onChange={(e) => setThreshold(parseFloat(e.target.value))}
-							step="0.001"
-							min="0.0001"
-							max="0.1"
+							value={toleranceToUnit(thresholdCents, errorUnit)}
+							onChange={(e) => setThresholdCents(toleranceFromUnit(parseFloat(e.target.value), errorUnit))}
+							step={ERROR_UNITS[errorUnit].step}
+							min={ERROR_UNITS[errorUnit].min}
+							max={ERROR_UNITS[errorUnit].max}
 						/>
 					</div>
 					
@@ -2033,18 +3354,157 @@ const HarmonicFrequencyExplorer = () => {
 						<input
 							type="number"
 							value={maxDenominator}
-							onChange={(e) => setMaxDenominator(parseInt(e.target.value))}
+							onChange={(e) => setMaxDenominator(Math.min(parseInt(e.target.value), RATIO_SWEEP_MAX_DENOMINATOR))}
 							min="2"
-							max="24"
+							max={RATIO_SWEEP_MAX_DENOMINATOR}
+						/>
+					</div>
+					
+					<div className="param-group">
+						<label>Pairs Kept</label>
+						<input
+							type="number"
+							value={matchLimit}
+							onChange={(e) => setMatchLimit(Math.max(parseInt(e.target.value) || 0, 1))}
+							min="1"
+							step="1000"
+						/>
+					</div>
+					
+					<div className="param-group">
+						<label>Node Budget</label>
+						<input
+							type="number"
+							value={nodeBudget}
+							onChange={(e) => setNodeBudget(parseInt(e.target.value))}
+							min="1"
+							step="1000"
+						/>
+						<label className="checkbox-label">
+							<input
+								type="checkbox"
+								checked={suppressDuplicates}
+								onChange={(e) => setSuppressDuplicates(e.target.checked)}
+							/>
+							Suppress duplicates
+						</label>
+					</div>
+					
+					<div className="param-group">
+						<label>Frequency Band (Hz)</label>
+						<div className="band-inputs">
+							<input
+								type="number"
+								value={minFrequency}
+								onChange={(e) => setMinFrequency(e.target.value)}
+								min="0"
+								placeholder="No minimum"
+							/>
+							<span>–</span>
+							<input
+								type="number"
+								value={allowUltrasonic ? '' : maxFrequency}
+								onChange={(e) => setMaxFrequency(e.target.value)}
+								min="1"
+								placeholder="No maximum"
+								disabled={allowUltrasonic}
+							/>
+						</div>
+						<label className="checkbox-label">
+							<input
+								type="checkbox"
+								checked={allowUltrasonic}
+								onChange={(e) => setAllowUltrasonic(e.target.checked)}
+							/>
+							Allow ultrasonic
+						</label>
+					</div>
+					
+					<div className="param-group">
+						<label>Prime / Odd Limit</label>
+						<select
+							value={primeLimit}
+							onChange={(e) => setPrimeLimit(e.target.value)}
+						>
+							<option value="">No prime limit</option>
+							{[2, 3, 5, 7, 11, 13, 17, 19, 23].map(prime => (
+								<option key={prime} value={prime}>{prime}-limit</option>
+							))}
+						</select>
+						<input
+							type="number"
+							value={oddLimit}
+							onChange={(e) => setOddLimit(e.target.value)}
+							min="1"
+							step="2"
+							placeholder="No odd limit"
+						/>
+					</div>
+					
+					<div className="param-group">
+						<label>Arithmetic</label>
+						<label className="checkbox-label">
+							<input
+								type="checkbox"
+								checked={exactMode}
+								onChange={(e) => setExactMode(e.target.checked)}
+							/>
+							Exact ratios
+						</label>
+					</div>
+
+					<div className="param-group">
+						<label>Pitch Classes</label>
+						<label className="checkbox-label">
+							<input
+								type="checkbox"
+								checked={pitchClassMode}
+								onChange={(e) => setPitchClassMode(e.target.checked)}
+							/>
+							Reduce to one period
+						</label>
+						<input
+							type="text"
+							value={periodText}
+							onChange={(e) => setPeriodText(e.target.value)}
+							disabled={!pitchClassMode}
+							placeholder="2/1 or 1200c"
+							title="Period as a ratio (2, 3/1) or in cents (1200c)"
 						/>
+						{pitchClassMode && (
+							<small className="pitch-hint">
+								{reducePeriod ? `${ratioToCents(reducePeriod).toFixed(1)}¢ period` : 'Enter a period above 1/1'}
+							</small>
+						)}
 					</div>
 				</div>
 				
 				<div className="status-info">
-					<p>Current configuration: H^{recursionLevel}({baseFrequency}) with {nHarmonics} {mode === "harmonic" ? "harmonics" : mode === "custom" ? "custom ratios" : "notes"} per level</p>
-					<p>Generated {harmonicStructure ? flattenFrequencies(harmonicStructure).length : 0} frequencies with {closePairs.length} close pairs</p>
-					{mode === "custom" && (
-						<p>Custom ratios: [{customRatios.map(r => r.toFixed(3)).join(', ')}]</p>
+					<p>Current configuration: H^{recursionLevel}({formatFrequency(parseFloat(baseFrequency), reference)}) with {nHarmonics} {modeDefinition.unitLabel} per level{direction !== "otonal" ? `, ${direction} branching` : ""}</p>
+					<p>
+						Generated {harmonicStructure ? flattenFrequencies(harmonicStructure).length : 0} frequencies
+						{pitchClasses && ` in ${pitchClasses.length} pitch classes within ${formatRatioValue(pitchClassPeriod)}`} with {formatMatchCount(closePairs.length, closePairsTruncated)} close pairs in {closeClusters.length} clusters
+					</p>
+					{harmonicStructure && harmonicStructure.stats && (harmonicStructure.stats.prunedByFrequency > 0 || harmonicStructure.stats.prunedByLimit > 0 || harmonicStructure.stats.duplicates > 0 || harmonicStructure.stats.truncated) && (
+						<p>
+							Pruned: {harmonicStructure.stats.prunedByFrequency} outside the frequency band, {harmonicStructure.stats.prunedByLimit} outside the prime/odd limit, {harmonicStructure.stats.duplicates} duplicates
+							{harmonicStructure.stats.truncated && ` - node budget of ${nodeBudget} reached, remaining nodes were not generated`}
+						</p>
+					)}
+					{calculationError && (
+						<p className="calculation-error">Calculation failed: {calculationError}</p>
+					)}
+					{harmonicStructure && harmonicStructure.stats && harmonicStructure.stats.cancelled && (
+						<p>Cancelled: showing the nodes generated so far, without close pair or ratio analysis</p>
+					)}
+					{cancelledPass && (
+						<p>Cancelled while finding {cancelledPass}: the analysis from there on was skipped</p>
+					)}
+					{exactMode && (
+						<p>Exact mode: {exactCoincidences} exact coincidences{generateBaseRatios(nHarmonics, mode, modeParams).includes(null) ? " (tempered ratios have no exact form)" : ""}</p>
+					)}
+					{modeDefinition.describe && (
+						<p>{modeDefinition.describe(resolveModeParams(mode, modeParams))}</p>
 					)}
 				</div>
 			</div>
@@ -2094,160 +3554,347 @@ const HarmonicFrequencyExplorer = () => {
 					>
 						Simple Ratios
 					</button>
+					<button 
+						className={`tab ${currentTab === 'commas' ? 'active' : ''}`}
+						onClick={() => setCurrentTab('commas')}
+					>
+						Commas
+					</button>
+					<button 
+						className={`tab ${currentTab === 'consonance' ? 'active' : ''}`}
+						onClick={() => setCurrentTab('consonance')}
+					>
+						Consonance
+					</button>
 				</div>
 				
-				{loading ? (
-					<div className="loading">Loading calculations...</div>
-				) : (
-					<div className="content">
-						{currentTab === 'pathfinding' && (
-							<FrequencyPathfinding 
-								mode={mode}
-								customRatios={mode === "custom" ? customRatios : null}
-							/>
-						)}
-						
-						{currentTab === 'tree' && treeData && (
-							<HierarchicalTree 
-								data={treeData} 
-								baseFreq={parseFloat(baseFrequency)}
-								nHarmonics={nHarmonics}
-								mode={mode}
-								threshold={threshold}
-								maxLevel={recursionLevel}
-								customRatios={mode === "custom" ? customRatios : null}
-							/>
-						)}
-						
-						{currentTab === 'sideView' && (
-							<SideView 
-								structure={harmonicStructure}
-								baseFreq={parseFloat(baseFrequency)}
-								nHarmonics={nHarmonics}
-								mode={mode}
-							/>
-						)}
-						
-						{currentTab === 'phaseSpace' && (
-							<PhaseSpaceView 
-								structure={harmonicStructure}
-								baseFreq={parseFloat(baseFrequency)}
-								nHarmonics={nHarmonics}
-								mode={mode}
-							/>
-						)}
+				{loading && (
+					<div className="loading">
+						{!calculationProgress ? 'Loading calculations...'
+							: calculationProgress.phase === 'analysing' ? `Analysing ${calculationProgress.nodesGenerated} nodes: ${calculationProgress.pass}${calculationProgress.total ? ` ${Math.round(100 * calculationProgress.swept / calculationProgress.total)}%` : ''}...`
+							: `Generating H^${calculationProgress.level}: ${calculationProgress.nodesGenerated} nodes, ${calculationProgress.queueSize} queued...`}
+						<button className="cancel-btn" onClick={cancelCalculation}>
+							Cancel
+						</button>
+					</div>
+				)}
+
+				<div className="content">
+					{currentTab === 'pathfinding' && (
+						<FrequencyPathfinding 
+							mode={mode}
+							tuningParams={tuningParams}
+							direction={direction}
+							constraints={generationConstraints}
+							exact={exactMode}
+							referencePitch={reference}
+							errorUnit={errorUnit}
+							onShowOnTree={showPathOnTree}
+							h0Frequencies={h0Frequencies}
+						/>
+					)}
+					
+					{currentTab === 'tree' && treeData && (
+						<HierarchicalTree 
+							data={treeData} 
+							structure={harmonicStructure}
+							baseFreq={parseFloat(baseFrequency)}
+							nHarmonics={nHarmonics}
+							mode={mode}
+							threshold={threshold}
+							maxLevel={recursionLevel}
+							modeParams={modeParams}
+							direction={direction}
+							constraints={generationConstraints}
+							referencePitch={reference}
+							errorUnit={errorUnit}
+							pathOverlay={treePath}
+							onClearPath={() => setTreePath(null)}
+						/>
+					)}
+					
+					{currentTab === 'sideView' && (
+						<SideView 
+							structure={harmonicStructure}
+							baseFreq={parseFloat(baseFrequency)}
+							nHarmonics={nHarmonics}
+							mode={mode}
+							referencePitch={reference}
+							period={pitchClassPeriod}
+						/>
+					)}
+					
+					{currentTab === 'phaseSpace' && (
+						<PhaseSpaceView 
+							structure={harmonicStructure}
+							baseFreq={parseFloat(baseFrequency)}
+							nHarmonics={nHarmonics}
+							mode={mode}
+						/>
+					)}
 
-						{currentTab === 'frequencies' && (
-							<div className="frequencies-content">
-								<h2 className="content-title">Frequency Distribution</h2>
-								<div className="chart-container">
-									<ResponsiveContainer width="100%" height="100%">
-										<BarChart data={distributionData}>
-											<CartesianGrid strokeDasharray="3 3" />
+					{currentTab === 'frequencies' && (
+						<div className="frequencies-content">
+							<h2 className="content-title">Frequency Distribution</h2>
+							<BandClipNote structure={harmonicStructure} />
+							{pitchClasses && (
+								<p className="content-description">
+									Pitch classes within {formatRatioValue(pitchClassPeriod)} of the base - each counts every node that reduces onto it
+								</p>
+							)}
+							<div className="chart-container">
+								<ResponsiveContainer width="100%" height="100%">
+									<BarChart data={distributionData}>
+										<CartesianGrid strokeDasharray="3 3" />
+										{pitchClasses ? (
+											<XAxis dataKey="bin" label={{ value: 'Position in Period (¢)', position: 'bottom' }} />
+										) : (
 											<XAxis dataKey="bin" label={{ value: 'Frequency Bin (Hz)', position: 'bottom' }} />
-											<YAxis label={{ value: 'Count', angle: -90, position: 'insideLeft' }} />
-											<Tooltip formatter={(value, name, props) => [`${value} frequencies`, `${props.payload.bin} - ${props.payload.bin + 50} Hz`]} />
-											<Bar dataKey="count" fill="#8884d8" />
-										</BarChart>
-									</ResponsiveContainer>
-								</div>
-								
-								<div className="table-container scrollable-table">
+										)}
+										<YAxis label={{ value: 'Count', angle: -90, position: 'insideLeft' }} />
+										<Tooltip formatter={(value, name, props) => (pitchClasses
+											? [`${value} nodes`, `${props.payload.bin} - ${props.payload.binEnd}¢`]
+											: [`${value} frequencies`, `${formatFrequency(props.payload.bin, referencePitch, { digits: 0 })} - ${formatFrequency(props.payload.bin + 50, referencePitch, { digits: 0 })}`])} />
+										<Bar dataKey="count" fill="#8884d8" />
+									</BarChart>
+								</ResponsiveContainer>
+							</div>
+							
+							{pitchClasses ? (
+								<div className="table-container scrollable-table pitch-class-table">
 									<table className="data-table">
 										<thead>
 											<tr>
-												<th>Index</th>
+												<th>Cents</th>
 												<th>Frequency (Hz)</th>
+												{exactMode && <th>Exact Ratio</th>}
+												<th>Shallowest Path</th>
+												<th>Nodes</th>
+												<th>Periods Above Base</th>
 											</tr>
 										</thead>
 										<tbody>
-											{harmonicStructure && flattenFrequencies(harmonicStructure).map((freq, idx) => (
+											{pitchClasses.slice(0, MAX_TABLE_ROWS).map((pitchClass, idx) => (
 												<tr key={idx}>
-													<td>{idx}</td>
-													<td>{freq.toFixed(2)}</td>
+													<td>{pitchClass.cents.toFixed(2)}¢</td>
+													<td>{formatFrequency(pitchClass.frequency, reference, { unit: false })}</td>
+													{exactMode && <td>{formatRational(pitchClass.ratio)}</td>}
+													<td>{pitchClass.pathString}</td>
+													<td>{pitchClass.count}</td>
+													<td>{pitchClass.registers.join(', ')}</td>
 												</tr>
 											))}
 										</tbody>
 									</table>
 								</div>
-							</div>
-						)}
-						
-						{currentTab === 'closePairs' && (
-							<div className="pairs-content">
-								<h2 className="content-title">Close Frequency Pairs</h2>
-								<p className="content-description">
-									Showing frequency pairs that differ by less than {(threshold * 100).toFixed(2)}%
-								</p>
-								
+							) : (
 								<div className="table-container scrollable-table">
 									<table className="data-table">
 										<thead>
 											<tr>
-												<th>Frequency A (Hz)</th>
-												<th>Path A</th>
-												<th>Frequency B (Hz)</th>
-												<th>Path B</th>
-												<th>Relative Difference</th>
-												<th>Percent Difference</th>
+												<th>Index</th>
+												<th>Frequency (Hz)</th>
 											</tr>
 										</thead>
 										<tbody>
-											{closePairsData.map((pair, idx) => (
+											{harmonicStructure && flattenFrequencies(harmonicStructure).map((freq, idx) => (
 												<tr key={idx}>
-													<td>{pair.freqA}</td>
-													<td className="path-cell">{pair.pathA}</td>
-													<td>{pair.freqB}</td>
-													<td className="path-cell">{pair.pathB}</td>
-													<td>{pair.difference}</td>
-													<td>{pair.percentDiff}</td>
+													<td>{idx}</td>
+													<td>{formatFrequency(freq, reference, { unit: false })}</td>
 												</tr>
 											))}
 										</tbody>
 									</table>
 								</div>
-							</div>
-						)}
-						
-						{currentTab === 'ratios' && (
-							<div className="ratios-content">
-								<h2 className="content-title">Simple Ratio Approximations</h2>
-								<p className="content-description">
-									Finding the closest simple integer ratios for each frequency pair
-								</p>
-								
-								<div className="table-container scrollable-table">
-									<table className="data-table">
-										<thead>
-											<tr>
-												<th>Frequency A (Hz)</th>
-												<th>Path A</th>
-												<th>Frequency B (Hz)</th>
-												<th>Path B</th>
-												<th>Actual Ratio</th>
-												<th>Closest Simple Ratio</th>
-												<th>Difference</th>
-											</tr>
-										</thead>
-										<tbody>
-											{ratiosData.map((ratio, idx) => (
-												<tr key={idx}>
-													<td>{ratio.freqA}</td>
-													<td className="path-cell">{ratio.pathA}</td>
-													<td>{ratio.freqB}</td>
-													<td className="path-cell">{ratio.pathB}</td>
-													<td>{ratio.actualRatio}</td>
-													<td>{ratio.simpleRatio}</td>
-													<td>{ratio.difference}</td>
+							)}
+						</div>
+					)}
+					
+					{currentTab === 'commas' && (
+						<CommasView structure={harmonicStructure} referencePitch={reference} />
+					)}
+
+					{currentTab === 'consonance' && (
+						<ConsonanceView
+							structure={harmonicStructure}
+							baseFreq={parseFloat(baseFrequency)}
+							nHarmonics={nHarmonics}
+							mode={mode}
+							modeParams={modeParams}
+							referencePitch={reference}
+							h0Frequencies={h0Frequencies}
+						/>
+					)}
+
+					{currentTab === 'closePairs' && (
+						<div className="pairs-content">
+							<h2 className="content-title">Close Frequency Pairs</h2>
+							<p className="content-description">
+								Showing frequency pairs that differ by less than {formatError(threshold, errorUnit, thresholdCents)}
+								{pitchClasses && `, between pitch classes within ${formatRatioValue(pitchClassPeriod)}`}
+								{exactMode && ` - near misses only; ${exactCoincidences} exact coincidences are hidden`}
+							</p>
+
+							{clustersData.length > 0 && (
+								<>
+									<h3 className="table-heading">Clusters</h3>
+									<p className="content-description">
+										Groups of frequencies all within the threshold of each other - {closeClusters.length} in all
+									</p>
+									<div className="table-container scrollable-table clusters-table">
+										<table className="data-table">
+											<thead>
+												<tr>
+													<th>Range (Hz)</th>
+													<th>Nodes</th>
+													<th>Spread</th>
+													<th>Paths</th>
 												</tr>
-											))}
-										</tbody>
-									</table>
+											</thead>
+											<tbody>
+												{clustersData.map((cluster, idx) => (
+													<tr key={idx}>
+														<td>{cluster.range}</td>
+														<td>{cluster.size}</td>
+														<td>{cluster.spread}</td>
+														<td className="path-cell">{cluster.paths}</td>
+													</tr>
+												))}
+											</tbody>
+										</table>
+									</div>
+									<h3 className="table-heading">Pairs</h3>
+								</>
+							)}
+							<TablePager page={closePairsPage} rows={closePairs.length} truncated={closePairsTruncated} onPage={setClosePairsPage} />
+							
+							<div className="table-container scrollable-table">
+								<table className="data-table">
+									<thead>
+										<tr>
+											<th>Frequency A (Hz)</th>
+											<th>Path A</th>
+											<th>Frequency B (Hz)</th>
+											<th>Path B</th>
+											<th>Difference (¢)</th>
+											<th>Percent Difference</th>
+											<th>Roughness</th>
+											<th>Harmonic Entropy</th>
+											<th>Tenney Height</th>
+											{exactMode && <th>Exact Interval</th>}
+										</tr>
+									</thead>
+									<tbody>
+										{closePairsData.map((pair, idx) => (
+											<tr key={idx}>
+												<td>{pair.freqA}</td>
+												<td className="path-cell">{pair.pathA}</td>
+												<td>{pair.freqB}</td>
+												<td className="path-cell">{pair.pathB}</td>
+												<td>{pair.cents}</td>
+												<td>{pair.percentDiff}</td>
+												<td>{pair.roughness}</td>
+												<td>{pair.entropy}</td>
+												<td>{pair.tenneyHeight}</td>
+												{exactMode && <td>{pair.interval}</td>}
+											</tr>
+										))}
+									</tbody>
+								</table>
+							</div>
+						</div>
+					)}
+					
+					{currentTab === 'ratios' && (
+						<div className="ratios-content">
+							<h2 className="content-title">Simple Ratio Approximations</h2>
+							<p className="content-description">
+								{ratioFilter ? `Frequency pairs within ${formatError(threshold, errorUnit, thresholdCents)} of a simple integer ratio` : 'Every frequency pair with its closest simple integer ratio'} (denominators up to {maxDenominator})
+								{ratiosTruncated && ` - the closest ${ratios.length} are kept`}.
+								Intervals are given upwards, larger / smaller; click a row for its continued fraction convergents.
+							</p>
+
+							<div className="ratio-controls">
+								<label>
+									<input
+										type="checkbox"
+										checked={ratioFilter}
+										onChange={(e) => setRatioFilter(e.target.checked)}
+									/>
+									Only pairs within the closeness threshold
+								</label>
+								<label>
+									Simplest ratio within (¢)
+									<input
+										type="number"
+										value={simplestCents}
+										onChange={(e) => setSimplestCents(parseFloat(e.target.value))}
+										min="0.1"
+										step="0.5"
+									/>
+								</label>
+							</div>
+
+							{selectedRatioRow && (
+								<div className="convergents">
+									<strong>Convergents of {selectedRatioRow.actualRatio}</strong> ({selectedRatioRow.freqA} and {selectedRatioRow.freqB}):
+									{' '}{ratioConvergents(selectedRatioRow.interval).map(convergent => (
+										`${formatRational(convergent.ratio)} (${formatCents(convergent.cents, 3)})`
+									)).join(' → ')}
+									<button className="scale-btn" onClick={() => setSelectedRatio(null)}>Close</button>
 								</div>
+							)}
+							
+							<TablePager
+								page={ratiosPage}
+								rows={ratios.length}
+								truncated={ratiosTruncated}
+								onPage={(page) => {
+									setRatiosPage(page);
+									setSelectedRatio(null);
+								}}
+							/>
+							<div className="table-container scrollable-table">
+								<table className="data-table ratio-table">
+									<thead>
+										<tr>
+											<th>Frequency A (Hz)</th>
+											<th>Path A</th>
+											<th>Frequency B (Hz)</th>
+											<th>Path B</th>
+											<th>Actual Ratio</th>
+											<th>Closest Simple Ratio</th>
+											<th>Difference</th>
+											<th>Cents Off</th>
+											<th>Simplest Within {simplestCents}¢</th>
+											{exactMode && <th>Exact Ratio</th>}
+										</tr>
+									</thead>
+									<tbody>
+										{ratiosData.map((ratio, idx) => (
+											<tr
+												key={idx}
+												className={selectedRatio === idx ? 'selected' : ''}
+												onClick={() => setSelectedRatio(idx)}
+											>
+												<td>{ratio.freqA}</td>
+												<td className="path-cell">{ratio.pathA}</td>
+												<td>{ratio.freqB}</td>
+												<td className="path-cell">{ratio.pathB}</td>
+												<td>{ratio.actualRatio}</td>
+												<td>{ratio.simpleRatio}</td>
+												<td>{ratio.difference}</td>
+												<td>{ratio.cents}</td>
+												<td>{ratio.simplest}</td>
+												{exactMode && <td>{ratio.exactRatio}</td>}
+											</tr>
+										))}
+									</tbody>
+								</table>
 							</div>
-						)}
-					</div>
-				)}
+						</div>
+					)}
+				</div>
 			</div>
 		</div>
 	);
@@ -2263,4 +3910,5 @@ const appStyles = {
 	color: '#333'
 };
 
+export { registerTuningMode, listTuningModes } from './harmonicEngine';
 export default HarmonicFrequencyExplorer;
@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the explorer and generates the default structure', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
-});
+  expect(screen.getByText('Harmonic Frequency Explorer')).toBeInTheDocument();
+  expect(await screen.findByText(/Generated [1-9]\d* frequencies/, {}, { timeout: 20000 })).toBeInTheDocument();
+}, 30000);
@@ -0,0 +1,3683 @@
+/* global BigInt */
+// Harmonic engine - the maths behind the Harmonic Frequency Explorer, free of React and
+// the DOM so that the same code runs in the app, in notebooks and in Node batch jobs.
+//
+// The public API is the export list at the end of this file; see "Harmonic engine" in
+// README.md for an overview. ENGINE_VERSION follows semantic versioning: a new major
+// version means a breaking change to an exported function or to one of the result
+// shapes described by the typedefs below.
+
+const ENGINE_VERSION = "1.17.0";
+
+/**
+ * Exact ratio, always reduced with a positive denominator.
+ * @typedef {{ num: bigint, den: bigint }} Rational
+ */
+
+/**
+ * Prime factorisation of a ratio as { prime: exponent }, zero exponents left out.
+ * @typedef {Object<string, number>} Monzo
+ */
+
+/**
+ * One generated frequency. Level -1 is the base; level n is H^n.
+ * @typedef {Object} FrequencyNode
+ * @property {number} frequency - in Hz
+ * @property {number} level
+ * @property {number[]} path - child index taken at every level
+ * @property {string} pathString - e.g. "H^1[2,0]"
+ * @property {Rational|null} ratio - exact ratio to the base, null when not tracked or tempered
+ * @property {Monzo|null} monzo - factorisation of ratio
+ */
+
+/**
+ * Nested structure from generateHarmonicStructure: levels[0] is a flat list of frequencies,
+ * levels[n] nests n deep, and ratios/monzos (exact structures only) run parallel to levels.
+ * Pruned positions hold NaN.
+ * @typedef {Object} HarmonicStructure
+ * @property {number} base
+ * @property {Array} levels
+ * @property {Array} [ratios]
+ * @property {Array} [monzos]
+ * @property {boolean} exact - ratios are tracked: exact mode, or a prime or odd limit
+ * @property {string} direction
+ * @property {number} minFrequency
+ * @property {number} maxFrequency
+ * @property {number|null} primeLimit
+ * @property {number|null} oddLimit
+ * @property {GenerationStats} [stats] - present when a band or limit pruned the structure
+ */
+
+/**
+ * Flat structure from generateBoundedStructure, accepted wherever a structure is.
+ * @typedef {Object} BoundedStructure
+ * @property {number} base
+ * @property {null} levels
+ * @property {FrequencyNode[]} nodes
+ * @property {number} maxLevel
+ * @property {boolean} exact - nodes carry exact ratios: exact mode, or a prime or odd limit
+ * @property {string} direction
+ * @property {number} minFrequency
+ * @property {number} maxFrequency
+ * @property {number|null} primeLimit
+ * @property {number|null} oddLimit
+ * @property {GenerationStats} stats
+ */
+
+/**
+ * @typedef {Object} GenerationStats
+ * @property {number} [yielded]
+ * @property {number} prunedByFrequency - clippedBelow + clippedAbove
+ * @property {number} clippedBelow
+ * @property {number} clippedAbove
+ * @property {number} prunedByLimit
+ * @property {number} [duplicates]
+ * @property {boolean} [truncated] - the node budget was reached
+ * @property {number} [queued] - nodes still waiting for their children to be generated
+ * @property {boolean} [cancelled] - generation was stopped early (partial structures only)
+ */
+
+/**
+ * @typedef {Object} PathStep
+ * @property {number} frequency
+ * @property {string} step - "Start", "Tree→H^n[...]" or "÷n"
+ * @property {Rational|null} ratio - exact ratio to the source
+ * @property {number} [cost] - cost of the step (weighted searches only)
+ */
+
+/**
+ * @typedef {Object} PathResult
+ * @property {boolean} found
+ * @property {string} algorithm - "bfs", "dijkstra" or "astar"
+ * @property {PathStep[]} path
+ * @property {number} totalSteps
+ * @property {number} treeCount - steps that generated a new tree
+ * @property {number|null} totalCost - sum of the step costs (weighted searches only)
+ * @property {number} finalError - relative error of the last step
+ * @property {number} finalErrorCents - the same error in cents
+ * @property {number} exploredFrequencies
+ * @property {Rational|null} exactRatio - exact ratio of the end of the path to the source
+ * @property {string|null} reason - why nothing was found
+ * @property {PathResult|null} closest - when nothing was found, the path to the frequency
+ *   explored nearest to the target
+ */
+
+/**
+ * @typedef {Object} PathSet
+ * @property {PathResult[]} paths - best first
+ * @property {number} k - number of paths requested
+ * @property {string} rankBy - "steps", "cost" or "error"
+ * @property {string} algorithm - search used to collect the paths
+ * @property {number} exploredFrequencies
+ * @property {string|null} reason - why fewer than k paths were found
+ * @property {PathResult|null} closest - when nothing was found, as for PathResult
+ */
+
+/**
+ * One leg of a route from findHarmonicRoute.
+ * @typedef {Object} RouteSegment
+ * @property {number} source - where the leg starts: the previous target, or the frequency
+ *   reached for it with continueFromReached
+ * @property {number} target
+ * @property {PathResult} result
+ */
+
+/**
+ * @typedef {Object} RouteResult
+ * @property {boolean} found - every leg was found
+ * @property {number[]} frequencies - the nominal frequencies, in order
+ * @property {RouteSegment[]} segments - one per leg searched
+ * @property {number} totalSteps - summed over the legs found
+ * @property {number} treeCount
+ * @property {number|null} totalCost - weighted searches only
+ * @property {number} totalError - sum of the relative errors of the legs found
+ * @property {number} maxError
+ * @property {number} totalErrorCents - sum of the errors of the legs found, in cents
+ * @property {number} maxErrorCents
+ * @property {number} exploredFrequencies
+ * @property {Rational|null} exactRatio - end of the route to its start, when every leg
+ *   continues from the frequency reached and is exact
+ * @property {string|null} reason - why a leg failed, prefixed with its number
+ */
+
+/**
+ * Shortest paths between every ordered pair of a set of frequencies, from findHarmonicPathMatrix.
+ * @typedef {Object} PathMatrix
+ * @property {number[]} frequencies
+ * @property {Array<Array<PathResult|null>>} cells - cells[i][j] leads from frequencies[i] to
+ *   frequencies[j]; null on the diagonal and for pairs not searched yet
+ * @property {number} pairsSearched - including a pair stopped part way
+ * @property {number} pairsFound
+ * @property {number} exploredFrequencies - summed over the pairs searched
+ * @property {string|null} reason - "Cancelled" when stopped before every pair was searched
+ */
+
+/**
+ * Yielded by the stepwise searches after every frequency explored.
+ * @typedef {Object} SearchProgress
+ * @property {number} exploredFrequencies
+ * @property {number} queueSize - frequencies waiting to be explored
+ * @property {number} pathsFound
+ * @property {PathResult|PathSet|RouteResult|PathMatrix} partial - the result if the search were stopped now
+ * @property {number} [segment] - leg being searched (routes only)
+ * @property {number[]} [pair] - [from, to] indices of the pair being searched (matrices only)
+ * @property {number} [pairsSearched] - pairs completed (matrices only)
+ */
+
+/**
+ * Yielded by boundedStructureSteps every GENERATION_PROGRESS_INTERVAL nodes.
+ * @typedef {Object} GenerationProgress
+ * @property {number} nodesGenerated
+ * @property {number} level - level being generated
+ * @property {number} queueSize - nodes still waiting for their children
+ * @property {BoundedStructure} partial - the nodes so far, with stats.cancelled set
+ */
+
+/**
+ * Progress of a sweep of closeFrequencySteps or frequencyRatioSteps. It has no partial
+ * result: the kept matches are only put in order once the sweep ends.
+ * @typedef {Object} AnalysisProgress
+ * @property {number} swept - frequencies (or, comparing every pair, rows) done
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} ClosePair
+ * @property {number} freq1
+ * @property {number} freq2
+ * @property {string} path1
+ * @property {string} path2
+ * @property {number} difference - relative difference
+ * @property {number} cents - the same difference in cents
+ * @property {Rational|null} interval - exact interval (>= 1/1)
+ * @property {boolean} coincident - both nodes are the very same ratio
+ */
+
+/**
+ * Frequencies lying within a threshold of each other, from findCloseClusters.
+ * @typedef {Object} FrequencyCluster
+ * @property {FrequencyNode[]} nodes - lowest first
+ * @property {number} min
+ * @property {number} max
+ * @property {number} spread - relative difference between min and max
+ * @property {number} spreadCents
+ * @property {number} distinctFrequencies - members on different ratios (or frequencies)
+ * @property {boolean} coincident - every member is the very same ratio
+ */
+
+/**
+ * A node folded into one period above the base (see reduceNodesToPeriod). frequency, ratio
+ * and monzo are the reduced ones; path, pathString and level are the node's own.
+ * @typedef {Object} ReducedNode
+ * @property {number} frequency - in [base, base * period)
+ * @property {number} level
+ * @property {number[]} path
+ * @property {string} pathString
+ * @property {Rational|null} ratio - null unless the node's ratio and the period are both exact
+ * @property {Monzo|null} monzo
+ * @property {number} cents - position within the period
+ * @property {number} absoluteFrequency - the frequency before reduction
+ * @property {number} periods - periods the node was moved down (negative: up)
+ */
+
+/**
+ * Pitch class of a period-reduced structure: its shallowest node, reduced, standing for
+ * every node that collapsed into it.
+ * @typedef {Object} PitchClass
+ * @property {number} frequency
+ * @property {number} level
+ * @property {number[]} path
+ * @property {string} pathString
+ * @property {Rational|null} ratio
+ * @property {Monzo|null} monzo
+ * @property {number} cents
+ * @property {number} absoluteFrequency
+ * @property {number} periods
+ * @property {number} count - absolute nodes in the class
+ * @property {number[]} registers - distinct period offsets of those nodes, lowest first
+ */
+
+/**
+ * @typedef {Object} RatioMatch
+ * @property {number} freq1
+ * @property {number} freq2
+ * @property {string} path1
+ * @property {string} path2
+ * @property {number} actualRatio - smaller / larger
+ * @property {number[]} simpleRatio - [numerator, denominator] of the closest simple ratio
+ * @property {number} difference
+ * @property {number} cents - how far the actual ratio is from the simple ratio (signed)
+ * @property {Rational|null} exactRatio
+ * @property {boolean} isExactSimple - the exact ratio is the simple ratio
+ * @property {{ ratio: Rational, cents: number }|null} simplest - simplest ratio near the
+ *   interval larger / smaller (with options.simplestCents only)
+ */
+
+/**
+ * @typedef {Object} IntervalName
+ * @property {string} name - e.g. "perfect fifth + 1 octave"; intervals missing from
+ *   INTERVAL_NAMES are named after the nearest 12-TET interval, "≈ major third +14¢"
+ * @property {Rational|null} ratio - the octave-reduced exact ratio, null when tempered
+ * @property {number} octaves - whole octaves above the reduced ratio
+ * @property {boolean} named - the reduced ratio is in INTERVAL_NAMES
+ * @property {string} direction - "up", "down" or "none" (unison)
+ * @property {number} cents - signed
+ */
+
+/**
+ * One step of a path with its intervals, from describePathIntervals. Ratios are null
+ * where a tempered step leaves no exact fraction.
+ * @typedef {Object} PathStepInterval
+ * @property {number} frequency
+ * @property {string} step
+ * @property {Rational|null} stepRatio - the step on its own
+ * @property {number} stepCents
+ * @property {Rational|null} ratio - cumulative, from the source
+ * @property {number} cents - cumulative
+ */
+
+/**
+ * @typedef {Object} PathIntervals
+ * @property {PathStepInterval[]} steps
+ * @property {Rational|null} ratio - end of the path to the source
+ * @property {number} cents
+ * @property {IntervalName} interval - the interval the whole path amounts to
+ * @property {Rational|null} commaRatio - target to the end of the path
+ * @property {number} commaCents - signed, positive when the target lies above the end
+ * @property {string|null} commaName - the comma's name when NAMED_COMMAS knows it
+ */
+
+/**
+ * Close pairs that lie the same exact interval apart, from findCommas.
+ * @typedef {Object} CommaGroup
+ * @property {Rational} ratio - the interval between the pairs (above 1/1)
+ * @property {number} cents
+ * @property {string|null} name - from NAMED_COMMAS
+ * @property {Monzo} monzo
+ * @property {ClosePair[]} pairs - in node order, each turned so that freq1 is the lower
+ */
+
+/**
+ * @typedef {Object} CommaReport
+ * @property {CommaGroup[]} commas - smallest first
+ * @property {number} pairs - close pairs grouped
+ * @property {number} inexactPairs - close pairs with no exact interval (tempered), left out
+ */
+
+/**
+ * How a pair of frequencies sounds together, from intervalConsonance.
+ * @typedef {Object} IntervalConsonance
+ * @property {number} cents - size of the interval
+ * @property {number} roughness - Sethares roughness between the two tones
+ * @property {number} harmonicEntropy - in nats; low near simple ratios
+ * @property {Rational} ratio - the exact interval, or the simplest ratio near it
+ * @property {number} tenneyHeight - log2(n·d) of ratio
+ */
+
+/**
+ * Consonance of a set of frequencies, from measureConsonance.
+ * @typedef {Object} ConsonanceMetrics
+ * @property {number} size - distinct frequencies
+ * @property {number} pairs - pairs measured for the means
+ * @property {number} roughness - Sethares roughness between all the tones
+ * @property {number|null} harmonicEntropy - mean over the pairs (null for fewer than two)
+ * @property {number|null} tenneyHeight - mean over the pairs
+ */
+
+/**
+ * @typedef {Object} HarmonicLattice
+ * @property {Array<{ id: string, frequency: number, ratio: Rational|null, monzo: Monzo|null, level: number, levels: number[], multiplicity: number, paths: string[], parents: string[], inDegree: number }>} nodes
+ * @property {Array<{ source: string, target: string, count: number }>} edges
+ * @property {number} selfLoops
+ * @property {number} treeNodeCount
+ * @property {boolean} exact
+ */
+
+// Constants for just intonation ratios
+const JUST_INTONATION_RATIOS = {
+	"P1": 1/1,    // Perfect unison
+	"m2": 16/15,  // Minor second
+	"M2": 9/8,    // Major second
+	"m3": 6/5,    // Minor third
+	"M3": 5/4,    // Major third
+	"P4": 4/3,    // Perfect fourth
+	"A4": 45/32,  // Augmented fourth
+	"P5": 3/2,    // Perfect fifth
+	"m6": 8/5,    // Minor sixth
+	"M6": 5/3,    // Major sixth
+	"m7": 9/5,    // Minor seventh 
+	"M7": 15/8,   // Major seventh
+	"P8": 2/1     // Perfect octave
+};
+
+// Equal temperament ratio for step n: period^(n/divisions). The defaults give
+// 12-tone equal temperament (2^(n/12) where n is semitone number)
+const equalDivisionRatio = (step, divisions = 12, period = 2) => Math.pow(period, step / divisions);
+
+// Utility to find GCD for ratio simplification
+const gcd = (a, b) => {
+	return b === 0 ? a : gcd(b, a % b);
+};
+
+// Exact rational arithmetic - ratios are { num, den } pairs of BigInts, always reduced
+// with a positive denominator, so deep recursion never loses precision
+const bigGcd = (a, b) => {
+	while (b !== 0n) {
+		[a, b] = [b, a % b];
+	}
+	return a;
+};
+
+const makeRational = (num, den = 1n) => {
+	let n = BigInt(num);
+	let d = BigInt(den);
+	if (d === 0n) {
+		throw new Error("Rational denominator cannot be zero");
+	}
+	if (d < 0n) {
+		n = -n;
+		d = -d;
+	}
+	const divisor = bigGcd(n < 0n ? -n : n, d);
+	return { num: n / divisor, den: d / divisor };
+};
+
+const RATIONAL_ONE = makeRational(1n);
+
+const multiplyRationals = (a, b) => makeRational(a.num * b.num, a.den * b.den);
+
+const divideRationals = (a, b) => makeRational(a.num * b.den, a.den * b.num);
+
+const rationalsEqual = (a, b) => a.num === b.num && a.den === b.den;
+
+const rationalToNumber = (r) => Number(r.num) / Number(r.den);
+
+// Integer power of a ratio (BigInt-safe, avoids the ** operator)
+const rationalPower = (r, exponent) => {
+	let result = RATIONAL_ONE;
+	for (let i = 0; i < Math.abs(exponent); i++) {
+		result = multiplyRationals(result, r);
+	}
+	return exponent < 0 ? divideRationals(RATIONAL_ONE, result) : result;
+};
+
+const rationalKey = (r) => `${r.num}/${r.den}`;
+
+// Inverse of rationalKey, for ratios kept as strings (e.g. in JSON-cloned tree data)
+const parseRationalKey = (key) => {
+	if (!key) return null;
+	const [num, den] = key.split('/');
+	return makeRational(BigInt(num), BigInt(den));
+};
+
+const formatRational = (r) => r ? `${r.num}/${r.den}` : '—';
+
+// Interval between two ratios, always oriented upwards (>= 1/1)
+const intervalBetween = (a, b) => {
+	return a.num * b.den >= b.num * a.den ? divideRationals(a, b) : divideRationals(b, a);
+};
+
+// Tenney height log2(n·d) of a reduced ratio - a measure of its harmonic complexity
+const tenneyHeight = (r) => Math.log2(Number(r.num)) + Math.log2(Number(r.den));
+
+// Recover the exact fraction behind a float (e.g. 1.3333333333333333 -> 4/3) using
+// continued fractions. Returns null when no fraction with a small enough denominator
+// reproduces the value, which is how irrational (tempered) ratios are detected.
+const RATIONAL_RECOVERY_EPSILON = 4 * Number.EPSILON;
+
+const rationalFromNumber = (value, maxDenominator = 100000) => {
+	if (typeof value !== 'number' || !isFinite(value) || value <= 0) return null;
+	if (Number.isInteger(value)) return makeRational(BigInt(value));
+
+	let [h0, h1] = [0, 1];
+	let [k0, k1] = [1, 0];
+	let x = value;
+
+	for (;;) {
+		const a = Math.floor(x);
+		const h2 = a * h1 + h0;
+		const k2 = a * k1 + k0;
+		if (k2 > maxDenominator) return null;
+		if (Math.abs(h2 / k2 - value) <= value * RATIONAL_RECOVERY_EPSILON) {
+			return makeRational(BigInt(h2), BigInt(k2));
+		}
+		[h0, h1] = [h1, h2];
+		[k0, k1] = [k1, k2];
+		x = 1 / (x - a);
+	}
+};
+
+// Continued fractions stop after this many terms - doubles carry no more information
+const MAX_CONTINUED_FRACTION_TERMS = 64;
+
+// Walk the continued fraction of a positive number. Returns its convergents h/k (with the
+// partial quotient a that produced each) up to the last whose denominator stays within
+// maxDenominator, and the partial quotient that would come next (null once a convergent
+// reproduces the value).
+const continuedFraction = (value, maxDenominator) => {
+	const convergents = [];
+	let previous = { h: 0, k: 1 };
+	let current = { h: 1, k: 0 };
+	let x = value;
+	for (let i = 0; i < MAX_CONTINUED_FRACTION_TERMS; i++) {
+		const a = Math.floor(x);
+		const next = { h: a * current.h + previous.h, k: a * current.k + previous.k };
+		if (next.k > maxDenominator) return { convergents, nextTerm: a, previous, current };
+		convergents.push({ ...next, a });
+		[previous, current] = [current, next];
+		const rest = x - a;
+		if (rest <= 0 || Math.abs(next.h / next.k - value) <= value * RATIONAL_RECOVERY_EPSILON) break;
+		x = 1 / rest;
+	}
+	return { convergents, nextTerm: null, previous, current };
+};
+
+// A fraction h/k as an approximation of a value, with how far the value lies above it in cents
+const approximation = (value, h, k) => ({
+	ratio: makeRational(BigInt(h), BigInt(k)),
+	cents: ratioToCents(value * k / h)
+});
+
+/**
+ * The convergents of the continued fraction of a positive number - each the closest
+ * fraction to it with a denominator no larger - with how far the number lies above each
+ * in cents. Zero convergents of numbers below 1 are left out.
+ * @param {number} value
+ * @param {number} [maxDenominator]
+ * @returns {Array<{ ratio: Rational, cents: number, term: number }>} term is the partial quotient
+ */
+const ratioConvergents = (value, maxDenominator = 1000000) => {
+	if (!(value > 0) || !isFinite(value)) return [];
+	return continuedFraction(value, maxDenominator).convergents
+		.filter(({ h }) => h > 0)
+		.map(({ h, k, a }) => ({ ...approximation(value, h, k), term: a }));
+};
+
+/**
+ * The fraction closest to a positive number among those with a denominator up to
+ * maxDenominator: its last convergent within the bound or the semiconvergent after it.
+ * Numbers too small for any such fraction get 1/maxDenominator.
+ * @param {number} value
+ * @param {number} maxDenominator
+ * @returns {{ ratio: Rational, cents: number }}
+ */
+const bestRationalApproximation = (value, maxDenominator) => {
+	const { nextTerm, previous, current } = continuedFraction(value, maxDenominator);
+	let best = current;
+	if (nextTerm !== null) {
+		const n = Math.floor((maxDenominator - previous.k) / current.k);
+		const semiconvergent = { h: n * current.h + previous.h, k: n * current.k + previous.k };
+		if (n >= 1 && Math.abs(semiconvergent.h / semiconvergent.k - value) < Math.abs(best.h / best.k - value)) {
+			best = semiconvergent;
+		}
+	}
+	if (best.h === 0) best = { h: 1, k: maxDenominator };
+	return approximation(value, best.h, best.k);
+};
+
+/**
+ * The simplest fraction - smallest denominator, then smallest numerator - within the given
+ * cents either side of a positive number, found by descending the Stern-Brocot tree (the
+ * continued fractions of the two ends of the window).
+ * @param {number} value
+ * @param {number} cents - half the window, greater than 0
+ * @returns {{ ratio: Rational, cents: number }}
+ */
+const simplestRatioWithin = (value, cents) => {
+	if (!(value > 0) || !isFinite(value)) throw new Error("The value must be a positive number");
+	if (!(cents > 0)) throw new Error("The window must be more than 0 cents");
+	const simplestBetween = (low, high, depth) => {
+		const whole = Math.floor(low);
+		if (whole === low) return [whole, 1];
+		if (whole + 1 <= high || depth >= MAX_CONTINUED_FRACTION_TERMS) return [whole + 1, 1];
+		// Both ends share the whole part: recurse on the reciprocals of the fractional parts
+		const [p, q] = simplestBetween(1 / (high - whole), 1 / (low - whole), depth + 1);
+		return [whole * p + q, p];
+	};
+	const factor = Math.pow(2, cents / 1200);
+	const [h, k] = simplestBetween(value / factor, value * factor, 0);
+	return approximation(value, h, k);
+};
+
+// Prime factorisation of a ratio as a monzo (prime-exponent vector), stored sparsely as
+// { prime: exponent } with zero exponents left out - 5/4 is { 2: -2, 5: 1 }
+const factorizeBigInt = (value, sign, monzo) => {
+	let remaining = value;
+	for (let p = 2n; p * p <= remaining; p += (p === 2n ? 1n : 2n)) {
+		while (remaining % p === 0n) {
+			monzo[p] = (monzo[p] || 0) + sign;
+			remaining /= p;
+		}
+	}
+	if (remaining > 1n) {
+		monzo[remaining] = (monzo[remaining] || 0) + sign;
+	}
+	return monzo;
+};
+
+const rationalMonzo = (r) => {
+	if (!r) return null;
+	return factorizeBigInt(r.den, -1, factorizeBigInt(r.num, 1, {}));
+};
+
+// Monzo of a product (sign 1) or quotient (sign -1) of two ratios - exponents simply add,
+// which is much cheaper than factorising the product again
+const combineMonzos = (a, b, sign = 1) => {
+	if (!a || !b) return null;
+	const result = { ...a };
+	Object.entries(b).forEach(([prime, exponent]) => {
+		const sum = (result[prime] || 0) + sign * exponent;
+		if (sum === 0) {
+			delete result[prime];
+		} else {
+			result[prime] = sum;
+		}
+	});
+	return result;
+};
+
+// Largest prime with a non-zero exponent (1 for 1/1)
+const monzoPrimeLimit = (monzo) => {
+	return Object.keys(monzo).reduce((largest, prime) => Math.max(largest, Number(prime)), 1);
+};
+
+// Monzos are written in the usual bracket notation [e2 e3 e5 …⟩ while the primes stay
+// small, and as a product of prime powers otherwise
+const MONZO_BRACKET_PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31];
+
+const formatMonzo = (monzo) => {
+	if (!monzo) return '—';
+	const limit = monzoPrimeLimit(monzo);
+	if (limit <= MONZO_BRACKET_PRIMES[MONZO_BRACKET_PRIMES.length - 1]) {
+		const exponents = MONZO_BRACKET_PRIMES.filter(prime => prime <= Math.max(limit, 2)).map(prime => monzo[prime] || 0);
+		return `[${exponents.join(' ')}⟩`;
+	}
+	return Object.keys(monzo)
+		.map(Number)
+		.sort((a, b) => a - b)
+		.map(prime => monzo[prime] === 1 ? `${prime}` : `${prime}^${monzo[prime]}`)
+		.join(' · ');
+};
+
+// Odd limit of a ratio: the larger of the odd parts of its numerator and denominator
+const oddPart = (value) => {
+	let result = value;
+	while (result > 0n && result % 2n === 0n) {
+		result /= 2n;
+	}
+	return result;
+};
+
+const rationalOddLimit = (r) => {
+	const numOdd = oddPart(r.num);
+	const denOdd = oddPart(r.den);
+	return Number(numOdd > denOdd ? numOdd : denOdd);
+};
+
+// Whether every prime factor of the ratio is at most primeLimit - divides out the small
+// primes only, so large prime factors never have to be found
+const isWithinPrimeLimit = (r, primeLimit) => {
+	const strip = (value) => {
+		let remaining = value;
+		for (let p = 2n; p <= BigInt(primeLimit) && remaining > 1n; p++) {
+			while (remaining % p === 0n) {
+				remaining /= p;
+			}
+		}
+		return remaining;
+	};
+	return strip(r.num) === 1n && strip(r.den) === 1n;
+};
+
+// Prime/odd limit filter shared by generation and pathfinding. A limit of null (or 0)
+// is off; tempered ratios have no factorisation and never pass an active limit.
+const hasHarmonicLimits = ({ primeLimit = null, oddLimit = null } = {}) => Boolean(primeLimit) || Boolean(oddLimit);
+
+const withinHarmonicLimits = (ratio, { primeLimit = null, oddLimit = null } = {}) => {
+	if (!primeLimit && !oddLimit) return true;
+	if (!ratio) return false;
+	if (primeLimit && !isWithinPrimeLimit(ratio, primeLimit)) return false;
+	if (oddLimit && rationalOddLimit(ratio) > oddLimit) return false;
+	return true;
+};
+
+// Frequency band shared by generation, the tree and pathfinding. Nodes outside it are
+// clipped together with everything generated from them.
+const AUDIBLE_BAND = { minFrequency: 20, maxFrequency: 20000 };
+
+// -1 below the band, 1 above it, 0 inside
+const frequencyBandSide = (frequency, { minFrequency = 0, maxFrequency = Infinity } = {}) => {
+	if (frequency < minFrequency) return -1;
+	if (frequency > maxFrequency) return 1;
+	return 0;
+};
+
+const withinFrequencyBand = (frequency, band = {}) => frequencyBandSide(frequency, band) === 0;
+
+// Tuning mode registry. Each mode is registered once with:
+//   name        - identifier used in state and options
+//   label       - text shown in the Mode dropdowns
+//   unitLabel   - what one generated value is called in the status line ("harmonics", "notes", ...)
+//   maxNotes    - upper bound offered for the number of values per level (default 13)
+//   params      - parameter schema: [{ key, label, type: 'number' | 'text', default, parse, format, min, max, placeholder, hint }]
+//                 parse(text) returns the value or null when the text is not (yet) valid
+//   generate    - (f, nHarmonics, params) => frequencies
+//   exactRatios - optional (nHarmonics, params) => exact ratios (null where irrational); when omitted
+//                 the ratios are recovered from generate(1, ...)
+//   describe    - optional (params) => extra status line text
+const TUNING_MODES = new Map();
+
+const registerTuningMode = (definition) => {
+	if (!definition || !definition.name || typeof definition.generate !== 'function') {
+		throw new Error("A tuning mode needs a name and a generate(f, nHarmonics, params) function");
+	}
+	TUNING_MODES.set(definition.name, {
+		label: definition.name,
+		unitLabel: "notes",
+		maxNotes: 13,
+		params: [],
+		exactRatios: null,
+		describe: null,
+		...definition
+	});
+	return TUNING_MODES.get(definition.name);
+};
+
+const getTuningMode = (name) => {
+	const definition = TUNING_MODES.get(name);
+	if (!definition) {
+		const names = Array.from(TUNING_MODES.keys()).map(key => `'${key}'`).join(', ');
+		throw new Error(`Unknown mode '${name}'. Registered modes: ${names}`);
+	}
+	return definition;
+};
+
+const listTuningModes = () => Array.from(TUNING_MODES.values());
+
+// Fill in schema defaults for any parameter the caller did not provide.
+// A bare array is accepted as the ratio list of ratio-based modes (e.g. custom).
+const resolveModeParams = (mode, params = null) => {
+	const definition = getTuningMode(mode);
+	const given = Array.isArray(params) ? { ratios: params } : (params || {});
+	const resolved = {};
+	definition.params.forEach(param => {
+		resolved[param.key] = given[param.key] !== undefined && given[param.key] !== null ? given[param.key] : param.default;
+	});
+	return { ...given, ...resolved };
+};
+
+// Default parameters for every registered mode, keyed by mode name
+const defaultTuningParams = () => {
+	const defaults = {};
+	listTuningModes().forEach(definition => {
+		defaults[definition.name] = resolveModeParams(definition.name);
+	});
+	return defaults;
+};
+
+// Core model functions converted to JavaScript with new structure
+const generateHarmonicSeries = (f, nHarmonics = 12) => {
+	return Array.from({ length: nHarmonics }, (_, i) => f * (i + 1));
+};
+
+// Exact ratios of an equal division: only whole periods are rational, and only when the period itself is
+const equalDivisionExactRatios = (nHarmonics, divisions = 12, period = 2) => {
+	const periodRatio = rationalFromNumber(period);
+	return Array.from({ length: nHarmonics }, (_, i) => {
+		return (periodRatio && i % divisions === 0) ? rationalPower(periodRatio, i / divisions) : null;
+	});
+};
+
+registerTuningMode({
+	name: "harmonic",
+	label: "Harmonic Series",
+	unitLabel: "harmonics",
+	generate: (f, nHarmonics) => generateHarmonicSeries(f, nHarmonics)
+});
+
+registerTuningMode({
+	name: "just",
+	label: "Just Intonation",
+	generate: (f, nHarmonics) => Object.values(JUST_INTONATION_RATIOS)
+		.sort((a, b) => a - b)
+		.slice(0, nHarmonics)
+		.map(ratio => f * ratio)
+});
+
+registerTuningMode({
+	name: "equal",
+	label: "12-Tone Equal Temperament",
+	generate: (f, nHarmonics) => Array.from({ length: nHarmonics }, (_, i) => f * equalDivisionRatio(i)),
+	exactRatios: (nHarmonics) => equalDivisionExactRatios(nHarmonics)
+});
+
+registerTuningMode({
+	name: "edo",
+	label: "Equal Divisions (n-EDO)",
+	maxNotes: 72,
+	params: [
+		{
+			key: "divisions",
+			label: "Divisions per Period",
+			type: "number",
+			default: 19,
+			min: 1,
+			max: 311,
+			parse: (text) => {
+				const divisions = parseInt(text);
+				return !isNaN(divisions) && divisions >= 1 ? divisions : null;
+			}
+		},
+		{
+			key: "period",
+			label: "Period",
+			type: "text",
+			default: 2,
+			placeholder: "2/1, 3/1 or 1200c",
+			hint: "Ratio (2/1, 3/1 for Bohlen-Pierce) or cents (1901.955c).",
+			parse: (text) => {
+				const period = parsePeriodValue(text);
+				return isFinite(period) && period > 1 ? period : null;
+			},
+			format: (period) => {
+				const ratio = rationalFromNumber(period);
+				return ratio ? `${ratio.num}/${ratio.den}` : `${ratioToCents(period).toFixed(3)}c`;
+			}
+		}
+	],
+	generate: (f, nHarmonics, { divisions, period }) => {
+		return Array.from({ length: nHarmonics }, (_, i) => f * equalDivisionRatio(i, divisions, period));
+	},
+	exactRatios: (nHarmonics, { divisions, period }) => equalDivisionExactRatios(nHarmonics, divisions, period),
+	describe: ({ divisions, period }) => {
+		return `${divisions} equal divisions of ${formatRatioValue(period)} (${ratioToCents(equalDivisionRatio(1, divisions, period)).toFixed(3)} cents per step)`;
+	}
+});
+
+// Most ratios the custom mode takes - as many as a keyboard mapping has keys, so that a
+// mapped Scala file always fits
+const MAX_CUSTOM_RATIOS = 128;
+
+registerTuningMode({
+	name: "custom",
+	label: "Custom Ratios",
+	unitLabel: "custom ratios",
+	maxNotes: MAX_CUSTOM_RATIOS,
+	params: [
+		{
+			key: "ratios",
+			label: `Custom Ratios (2-${MAX_CUSTOM_RATIOS} values)`,
+			type: "text",
+			default: [1, 1.25, 1.5, 1.75, 2, 2.25, 2.5, 2.75],
+			placeholder: "1, 5/4, 3/2, 7/4, 2",
+			hint: "Enter comma-separated decimals or fractions.",
+			parse: (text) => {
+				const ratios = text.split(',').map(s => parseRatioValue(s)).filter(n => isFinite(n) && n > 0);
+				return ratios.length >= 2 && ratios.length <= MAX_CUSTOM_RATIOS ? ratios : null;
+			},
+			format: (ratios) => ratios.map(formatRatioValue).join(', ')
+		}
+	],
+	generate: (f, nHarmonics, { ratios }) => ratios
+		.slice(0, nHarmonics)
+		.map(ratio => f * ratio),
+	describe: ({ ratios }) => `Custom ratios: [${ratios.map(r => r.toFixed(3)).join(', ')}]`
+});
+
+// params: parameters of the mode (see its schema); omitted values fall back to the schema defaults
+const generateBaseFrequencies = (f, nHarmonics = 12, mode = "harmonic", params = null) => {
+	return getTuningMode(mode).generate(f, nHarmonics, resolveModeParams(mode, params));
+};
+
+// Exact ratios to f matching generateBaseFrequencies; null entries mark irrational (tempered) ratios
+const generateBaseRatios = (nHarmonics = 12, mode = "harmonic", params = null) => {
+	const definition = getTuningMode(mode);
+	if (definition.exactRatios) {
+		return definition.exactRatios(nHarmonics, resolveModeParams(mode, params));
+	}
+	return generateBaseFrequencies(1, nHarmonics, mode, params).map(ratio => rationalFromNumber(ratio));
+};
+
+// Branching directions: otonal children multiply by the mode's ratios (f·r, the overtone
+// side), utonal children divide by them (f/r - the undertone series f/1, f/2, f/3 … in
+// harmonic mode) and mixed children branch both ways: the otonal children followed by
+// the utonal ones, leaving out the repeated unison.
+const GENERATION_DIRECTIONS = {
+	otonal: "Otonal (overtones, f×r)",
+	utonal: "Utonal (undertones, f÷r)",
+	mixed: "Mixed (both directions)"
+};
+
+const checkDirection = (direction) => {
+	if (!GENERATION_DIRECTIONS[direction]) {
+		throw new Error(`Direction must be ${Object.keys(GENERATION_DIRECTIONS).map(name => `'${name}'`).join(', ')}`);
+	}
+};
+
+// Children of f in the given direction
+const generateChildFrequencies = (f, nHarmonics, mode, modeParams = null, direction = "otonal") => {
+	checkDirection(direction);
+	if (direction === "otonal") {
+		return generateBaseFrequencies(f, nHarmonics, mode, modeParams);
+	}
+	const ratios = generateBaseFrequencies(1, nHarmonics, mode, modeParams);
+	const undertones = ratios
+		.filter(ratio => direction === "utonal" || ratio !== 1)
+		.map(ratio => f / ratio);
+	return direction === "utonal"
+		? undertones
+		: [...generateBaseFrequencies(f, nHarmonics, mode, modeParams), ...undertones];
+};
+
+// Whether child number `index` of generateChildFrequencies lies on the undertone side
+const isUndertoneChild = (index, nHarmonics, mode, modeParams = null, direction = "otonal") => {
+	if (direction === "otonal") return false;
+	if (direction === "utonal") return true;
+	return index >= generateBaseFrequencies(1, nHarmonics, mode, modeParams).length;
+};
+
+// Exact ratios matching generateChildFrequencies (null where irrational)
+const generateChildRatios = (nHarmonics, mode, modeParams = null, direction = "otonal") => {
+	checkDirection(direction);
+	const ratios = generateBaseRatios(nHarmonics, mode, modeParams);
+	if (direction === "otonal") {
+		return ratios;
+	}
+	const values = generateBaseFrequencies(1, nHarmonics, mode, modeParams);
+	const undertones = ratios
+		.filter((_, i) => direction === "utonal" || values[i] !== 1)
+		.map(ratio => ratio ? divideRationals(RATIONAL_ONE, ratio) : null);
+	return direction === "utonal" ? undertones : [...ratios, ...undertones];
+};
+
+// Map every leaf list of a nested level together with its parallel ratio list
+const mapNestedWithRatios = (values, ratios, depth, fn) => {
+	if (depth === 0) {
+		return values.map((value, i) => fn(value, ratios ? ratios[i] : null));
+	}
+	return values.map((subArray, i) => mapNestedWithRatios(subArray, ratios ? ratios[i] : null, depth - 1, fn));
+};
+
+// Build the exact ratio levels and their monzos (parallel to structure.levels) and
+// recompute every frequency from its exact ratio so that equal ratios yield identical frequencies
+const applyExactRatios = (structure, nHarmonics, mode, modeParams = null, direction = "otonal") => {
+	const baseRatios = generateChildRatios(nHarmonics, mode, modeParams, direction);
+	const baseMonzos = baseRatios.map(rationalMonzo);
+	structure.ratios = [baseRatios];
+	structure.monzos = [baseMonzos];
+
+	for (let level = 1; level < structure.levels.length; level++) {
+		structure.ratios[level] = mapNestedWithRatios(
+			structure.ratios[level - 1],
+			null,
+			level - 1,
+			(parentRatio) => baseRatios.map(ratio => (parentRatio && ratio) ? multiplyRationals(parentRatio, ratio) : null)
+		);
+		structure.monzos[level] = mapNestedWithRatios(
+			structure.monzos[level - 1],
+			null,
+			level - 1,
+			(parentMonzo) => baseMonzos.map(monzo => combineMonzos(parentMonzo, monzo))
+		);
+	}
+
+	structure.levels = structure.levels.map((level, levelIndex) => mapNestedWithRatios(
+		level,
+		structure.ratios[levelIndex],
+		levelIndex,
+		(freq, ratio) => ratio ? structure.base * rationalToNumber(ratio) : freq
+	));
+
+	return structure;
+};
+
+// Replace every node outside the frequency band or the prime/odd limits - and everything
+// below it - by NaN, which extractAllFrequenciesWithPaths skips. Tree positions (and so
+// path strings) are kept. Dropped nodes are counted in structure.stats the same way
+// iterateHarmonicNodes counts them: only where the parent itself was kept.
+const pruneStructure = (structure, constraints) => {
+	const stats = { prunedByFrequency: 0, clippedBelow: 0, clippedAbove: 0, prunedByLimit: 0 };
+	const keep = (freq, ratio) => {
+		if (isNaN(freq)) return false;
+		const band = frequencyBandSide(freq, constraints);
+		if (band !== 0) {
+			stats.prunedByFrequency++;
+			stats[band < 0 ? 'clippedBelow' : 'clippedAbove']++;
+			return false;
+		}
+		if (!withinHarmonicLimits(ratio, constraints)) {
+			stats.prunedByLimit++;
+			return false;
+		}
+		return true;
+	};
+	const pruneLevel = (values, ratios, parents, depth) => {
+		if (depth === 0) {
+			return values.map((children, i) => children.map((freq, j) => (
+				!isNaN(parents[i]) && keep(freq, ratios ? ratios[i][j] : null) ? freq : NaN
+			)));
+		}
+		return values.map((subArray, i) => pruneLevel(subArray, ratios ? ratios[i] : null, parents[i], depth - 1));
+	};
+
+	const ratioLevels = structure.ratios || null;
+	structure.levels[0] = structure.levels[0].map((freq, i) => keep(freq, ratioLevels ? ratioLevels[0][i] : null) ? freq : NaN);
+	for (let level = 1; level < structure.levels.length; level++) {
+		structure.levels[level] = pruneLevel(structure.levels[level], ratioLevels ? ratioLevels[level] : null, structure.levels[level - 1], level - 1);
+	}
+	structure.stats = stats;
+	return structure;
+};
+
+/**
+ * New structured frequency generation.
+ * options: exact, direction, minFrequency, maxFrequency, primeLimit, oddLimit (a prime or
+ * odd limit implies exact ratios)
+ * @returns {HarmonicStructure}
+ */
+const generateHarmonicStructure = (baseFreq, maxLevel, nHarmonics, mode, modeParams = null, options = {}) => {
+	const {
+		direction = "otonal",
+		minFrequency = 0,
+		maxFrequency = Infinity,
+		primeLimit = null,
+		oddLimit = null
+	} = options;
+	const limited = hasHarmonicLimits({ primeLimit, oddLimit });
+	const banded = minFrequency > 0 || maxFrequency < Infinity;
+	const exact = Boolean(options.exact) || limited;
+	const structure = {
+		base: baseFreq,
+		levels: [],
+		exact: exact,
+		direction: direction,
+		minFrequency: minFrequency,
+		maxFrequency: maxFrequency,
+		primeLimit: primeLimit || null,
+		oddLimit: oddLimit || null
+	};
+	
+	// Generate H^0
+	const H0 = generateChildFrequencies(baseFreq, nHarmonics, mode, modeParams, direction);
+	structure.levels[0] = H0;
+	
+	// Generate higher levels recursively
+	for (let level = 1; level <= maxLevel; level++) {
+		const currentLevel = [];
+		const prevLevel = structure.levels[level - 1];
+		
+		if (level === 1) {
+			// H^1: each frequency in H^0 generates a harmonic series
+			prevLevel.forEach(freq => {
+				if (typeof freq === 'number' && !isNaN(freq)) {
+					currentLevel.push(generateChildFrequencies(freq, nHarmonics, mode, modeParams, direction));
+				}
+			});
+			structure.levels[level] = currentLevel;
+		} else {
+			// H^2+: recursively apply to nested structure
+			const processNestedLevel = (data) => {
+				if (Array.isArray(data)) {
+					if (typeof data[0] === 'number') {
+						// This is an array of frequencies, generate harmonics for each
+						return data.map(freq => {
+							if (typeof freq === 'number' && !isNaN(freq)) {
+								return generateChildFrequencies(freq, nHarmonics, mode, modeParams, direction);
+							}
+							return [];
+						});
+					} else {
+						// This is an array of arrays, process recursively
+						return data.map(subArray => processNestedLevel(subArray));
+					}
+				}
+				return [];
+			};
+			
+			const result = processNestedLevel(prevLevel);
+			structure.levels[level] = result;
+		}
+	}
+
+	if (exact) {
+		applyExactRatios(structure, nHarmonics, mode, modeParams, direction);
+	}
+	if (limited || banded) {
+		pruneStructure(structure, { minFrequency, maxFrequency, primeLimit, oddLimit });
+	}
+
+	return structure;
+};
+
+/**
+ * Helper function to get all frequencies from structure with path information.
+ * For exact structures each entry also carries `ratio`, its exact ratio to the base,
+ * and `monzo`, the prime factorisation of that ratio.
+ * @param {HarmonicStructure|BoundedStructure} structure
+ * @returns {FrequencyNode[]}
+ */
+const extractAllFrequenciesWithPaths = (structure) => {
+	const result = [];
+	
+	// Bounded structures are already flat
+	if (structure && Array.isArray(structure.nodes)) {
+		return structure.nodes;
+	}
+	
+	if (!structure || !structure.base || !structure.levels) {
+		return result;
+	}
+	
+	const ratioLevels = structure.ratios || null;
+	const monzoLevels = structure.monzos || null;
+	
+	// Add base frequency
+	if (typeof structure.base === 'number' && !isNaN(structure.base)) {
+		result.push({
+			frequency: structure.base,
+			level: -1,
+			path: [],
+			pathString: 'Base',
+			ratio: ratioLevels ? RATIONAL_ONE : null,
+			monzo: monzoLevels ? {} : null
+		});
+	}
+	
+	// Process each level
+	structure.levels.forEach((level, levelIndex) => {
+		if (!level) return;
+		
+		const processLevel = (data, ratioData, monzoData, currentPath, depth) => {
+			if (!Array.isArray(data)) return;
+			
+			if (depth === 0) {
+				// Base case: data is an array of frequencies
+				data.forEach((freq, index) => {
+					if (typeof freq === 'number' && !isNaN(freq)) {
+						const fullPath = [...currentPath, index];
+						const pathString = `H^${levelIndex}[${fullPath.join(',')}]`;
+						result.push({
+							frequency: freq,
+							level: levelIndex,
+							path: fullPath,
+							pathString: pathString,
+							ratio: ratioData ? ratioData[index] : null,
+							monzo: monzoData ? monzoData[index] : null
+						});
+					}
+				});
+			} else {
+				// Recursive case: data is array of arrays
+				data.forEach((subArray, index) => {
+					if (Array.isArray(subArray)) {
+						processLevel(subArray, ratioData ? ratioData[index] : null, monzoData ? monzoData[index] : null, [...currentPath, index], depth - 1);
+					}
+				});
+			}
+		};
+		
+		if (levelIndex === 0) {
+			// H^0 is a simple array
+			if (Array.isArray(level)) {
+				level.forEach((freq, index) => {
+					if (typeof freq === 'number' && !isNaN(freq)) {
+						result.push({
+							frequency: freq,
+							level: levelIndex,
+							path: [index],
+							pathString: `H^${levelIndex}[${index}]`,
+							ratio: ratioLevels ? ratioLevels[0][index] : null,
+							monzo: monzoLevels ? monzoLevels[0][index] : null
+						});
+					}
+				});
+			}
+		} else {
+			// H^1+ are nested arrays - depth should match the level index for proper nesting
+			processLevel(level, ratioLevels ? ratioLevels[levelIndex] : null, monzoLevels ? monzoLevels[levelIndex] : null, [], levelIndex);
+		}
+	});
+	
+	return result;
+};
+
+// Canonical key for a generated frequency - its exact ratio when known, otherwise
+// the frequency rounded to absorb floating point noise
+const frequencyKey = (item) => {
+	return item.ratio ? rationalKey(item.ratio) : `~${item.frequency.toPrecision(10)}`;
+};
+
+/**
+ * Lazily walk the harmonic structure level by level, yielding nodes shaped like the
+ * entries of extractAllFrequenciesWithPaths (and in the same order) without building the
+ * nested arrays. Generation is bounded by:
+ *   minFrequency,
+ *   maxFrequency - nodes outside the band are clipped together with their subtrees
+ *   maxNodes     - generation stops once this many nodes have been yielded
+ *   dedupe       - a frequency already reached is dropped with its subtree; walking level
+ *                  by level guarantees the kept occurrence is the shallowest one, so its
+ *                  own subtree already covers everything the duplicate would add
+ *   primeLimit,
+ *   oddLimit     - nodes whose ratio to the base is outside the limits are dropped with
+ *                  their subtrees (ratios are tracked exactly whenever a limit is set)
+ * Every node with a known ratio is tagged with its monzo.
+ * Pass a `stats` object to receive its GenerationStats.
+ * @returns {Generator<FrequencyNode>}
+ */
+function* iterateHarmonicNodes(baseFreq, maxLevel, nHarmonics, mode, modeParams = null, options = {}) {
+	const {
+		exact = false,
+		minFrequency = 0,
+		maxFrequency = Infinity,
+		maxNodes = Infinity,
+		dedupe = false,
+		direction = "otonal",
+		primeLimit = null,
+		oddLimit = null,
+		stats = {}
+	} = options;
+
+	Object.assign(stats, {
+		yielded: 0,
+		prunedByFrequency: 0,
+		clippedBelow: 0,
+		clippedAbove: 0,
+		prunedByLimit: 0,
+		duplicates: 0,
+		truncated: false,
+		queued: 0
+	});
+	const band = { minFrequency, maxFrequency };
+	const limits = { primeLimit, oddLimit };
+	const trackRatios = exact || hasHarmonicLimits(limits);
+	const baseRatios = trackRatios ? generateChildRatios(nHarmonics, mode, modeParams, direction) : null;
+	const baseMonzos = trackRatios ? baseRatios.map(rationalMonzo) : null;
+	const seen = new Set();
+
+	const base = {
+		frequency: baseFreq,
+		level: -1,
+		path: [],
+		pathString: 'Base',
+		ratio: trackRatios ? RATIONAL_ONE : null,
+		monzo: trackRatios ? {} : null
+	};
+	if (maxNodes < 1) {
+		stats.truncated = true;
+		return;
+	}
+	if (dedupe) seen.add(frequencyKey(base));
+	stats.yielded++;
+	yield base;
+
+	let frontier = [base];
+	for (let level = 0; level <= maxLevel && frontier.length > 0; level++) {
+		const nextFrontier = [];
+		for (let p = 0; p < frontier.length; p++) {
+			const parent = frontier[p];
+			stats.queued = frontier.length - p - 1 + nextFrontier.length;
+			const frequencies = generateChildFrequencies(parent.frequency, nHarmonics, mode, modeParams, direction);
+			for (let i = 0; i < frequencies.length; i++) {
+				const ratio = (parent.ratio && baseRatios[i]) ? multiplyRationals(parent.ratio, baseRatios[i]) : null;
+				const frequency = ratio ? baseFreq * rationalToNumber(ratio) : frequencies[i];
+				if (typeof frequency !== 'number' || isNaN(frequency)) continue;
+				const side = frequencyBandSide(frequency, band);
+				if (side !== 0) {
+					stats.prunedByFrequency++;
+					stats[side < 0 ? 'clippedBelow' : 'clippedAbove']++;
+					continue;
+				}
+				if (!withinHarmonicLimits(ratio, limits)) {
+					stats.prunedByLimit++;
+					continue;
+				}
+
+				const path = [...parent.path, i];
+				const monzo = ratio ? combineMonzos(parent.monzo, baseMonzos[i]) : null;
+				const node = { frequency, level, path, pathString: `H^${level}[${path.join(',')}]`, ratio, monzo };
+				if (dedupe) {
+					const key = frequencyKey(node);
+					if (seen.has(key)) {
+						stats.duplicates++;
+						continue;
+					}
+					seen.add(key);
+				}
+
+				if (stats.yielded >= maxNodes) {
+					stats.truncated = true;
+					return;
+				}
+				stats.yielded++;
+				yield node;
+				if (level < maxLevel) nextFrontier.push(node);
+			}
+		}
+		frontier = nextFrontier;
+	}
+	stats.queued = 0;
+}
+
+// Drive a stepwise computation (boundedStructureSteps, the path search steps) to its end.
+// onProgress receives every progress value yielded; once shouldStop() returns true the
+// remaining steps are abandoned and the partial result of the last progress is returned.
+const completeSteps = (steps, { onProgress = null, shouldStop = null } = {}) => {
+	for (;;) {
+		const { value, done } = steps.next();
+		if (done) return value;
+		if (onProgress) onProgress(value);
+		if (shouldStop && shouldStop()) return value.partial;
+	}
+};
+
+// Nodes generated between two GenerationProgress reports
+const GENERATION_PROGRESS_INTERVAL = 500;
+
+/**
+ * Stepwise form of generateBoundedStructure (same arguments), yielding a GenerationProgress
+ * every GENERATION_PROGRESS_INTERVAL nodes. The partial structure of a progress report
+ * shares its node list with the structure still being generated.
+ * @returns {Generator<GenerationProgress, BoundedStructure>}
+ */
+function* boundedStructureSteps(baseFreq, maxLevel, nHarmonics, mode, modeParams = null, options = {}) {
+	const stats = {};
+	const structure = {
+		base: baseFreq,
+		levels: null,
+		nodes: [],
+		maxLevel: maxLevel,
+		// Limits are checked on exact ratios, so the nodes carry them either way (as in
+		// generateHarmonicStructure)
+		exact: Boolean(options.exact) || hasHarmonicLimits(options),
+		direction: options.direction || "otonal",
+		minFrequency: options.minFrequency || 0,
+		maxFrequency: options.maxFrequency || Infinity,
+		primeLimit: options.primeLimit || null,
+		oddLimit: options.oddLimit || null,
+		stats: stats
+	};
+
+	for (const node of iterateHarmonicNodes(baseFreq, maxLevel, nHarmonics, mode, modeParams, { ...options, stats })) {
+		structure.nodes.push(node);
+		if (structure.nodes.length % GENERATION_PROGRESS_INTERVAL === 0) {
+			yield {
+				nodesGenerated: structure.nodes.length,
+				level: node.level,
+				queueSize: stats.queued,
+				partial: { ...structure, stats: { ...stats, cancelled: true } }
+			};
+		}
+	}
+	return structure;
+}
+
+/**
+ * Materialise a bounded, lazily generated structure (same options as iterateHarmonicNodes,
+ * plus onProgress and shouldStop as for completeSteps - a stopped generation returns the
+ * nodes generated so far with stats.cancelled set).
+ * The result is accepted wherever a structure is: extractAllFrequenciesWithPaths returns
+ * its flat node list directly.
+ * @returns {BoundedStructure}
+ */
+const generateBoundedStructure = (baseFreq, maxLevel, nHarmonics, mode, modeParams = null, options = {}) => {
+	return completeSteps(boundedStructureSteps(baseFreq, maxLevel, nHarmonics, mode, modeParams, options), options);
+};
+
+// Flat node list of a structure, or of any iterable of nodes (e.g. iterateHarmonicNodes)
+const toNodeList = (source) => {
+	if (!source) return [];
+	if (Array.isArray(source)) return source;
+	if (source.levels !== undefined || source.nodes !== undefined) return extractAllFrequenciesWithPaths(source);
+	if (typeof source[Symbol.iterator] === 'function') return Array.from(source);
+	return [];
+};
+
+// Group frequencies by exact ratio - every group with more than one member is a true
+// coincidence (the same pitch reached through different paths)
+const groupByExactRatio = (allFreqs) => {
+	const groups = new Map();
+	allFreqs.forEach(item => {
+		if (!item.ratio) return;
+		const key = rationalKey(item.ratio);
+		if (!groups.has(key)) {
+			groups.set(key, { ratio: item.ratio, frequency: item.frequency, members: [] });
+		}
+		groups.get(key).members.push(item);
+	});
+	return Array.from(groups.values());
+};
+
+// Number of node pairs that land on exactly the same ratio
+const countExactCoincidences = (structure) => {
+	return groupByExactRatio(toNodeList(structure))
+		.reduce((total, group) => total + (group.members.length * (group.members.length - 1)) / 2, 0);
+};
+
+// Tree path of a node's parent (H^0 nodes hang off the base)
+const parentPathString = (item) => {
+	if (item.level <= 0) return 'Base';
+	return `H^${item.level - 1}[${item.path.slice(0, -1).join(',')}]`;
+};
+
+/**
+ * Merge coincident nodes of a structure into a harmonic lattice: a directed graph
+ * with one node per distinct frequency, the number of tree nodes (paths) merged into
+ * it, and an edge for every parent -> child step. Unison steps (ratio 1/1) would be
+ * self-loops and are only counted, so for otonal generation with ratios >= 1/1 the
+ * result is acyclic (utonal generation is acyclic too; mixed generation can loop).
+ * @returns {HarmonicLattice}
+ */
+const buildHarmonicLattice = (structure) => {
+	const allFreqs = toNodeList(structure);
+	const nodes = new Map();
+	const edges = new Map();
+	const keyByPath = new Map();
+	let selfLoops = 0;
+
+	allFreqs.forEach(item => {
+		const key = frequencyKey(item);
+		if (!nodes.has(key)) {
+			nodes.set(key, {
+				id: key,
+				frequency: item.frequency,
+				ratio: item.ratio,
+				monzo: item.monzo || null,
+				level: item.level,
+				levels: new Set(),
+				multiplicity: 0,
+				paths: [],
+				parents: new Set()
+			});
+		}
+		const node = nodes.get(key);
+		node.multiplicity++;
+		node.paths.push(item.pathString);
+		node.levels.add(item.level);
+		node.level = Math.min(node.level, item.level);
+		keyByPath.set(item.pathString, key);
+
+		if (item.level < 0) return;
+
+		// Levels are extracted in order, so the parent has always been seen already
+		const parentKey = keyByPath.get(parentPathString(item));
+		if (parentKey === undefined) return;
+		if (parentKey === key) {
+			selfLoops++;
+			return;
+		}
+		const edgeKey = `${parentKey}->${key}`;
+		if (!edges.has(edgeKey)) {
+			edges.set(edgeKey, { source: parentKey, target: key, count: 0 });
+		}
+		edges.get(edgeKey).count++;
+		node.parents.add(parentKey);
+	});
+
+	return {
+		nodes: Array.from(nodes.values())
+			.map(node => ({
+				...node,
+				levels: Array.from(node.levels).sort((a, b) => a - b),
+				parents: Array.from(node.parents),
+				inDegree: node.parents.size
+			}))
+			.sort((a, b) => a.frequency - b.frequency),
+		edges: Array.from(edges.values()),
+		selfLoops: selfLoops,
+		treeNodeCount: allFreqs.length,
+		exact: allFreqs.some(item => item.ratio)
+	};
+};
+
+// Helper function to flatten all frequencies (for backward compatibility)
+const flattenFrequencies = (structure) => {
+	const allFreqs = extractAllFrequenciesWithPaths(structure);
+	return allFreqs.map(item => item.frequency);
+};
+
+// Convert a frequency ratio to cents
+const ratioToCents = (ratio) => 1200 * Math.log2(ratio);
+
+// Size in cents of the interval between two frequencies, whichever is higher
+const centsBetween = (frequency1, frequency2) => Math.abs(ratioToCents(frequency1 / frequency2));
+
+// Errors in cents and as relative differences (|a - b| / max(a, b)) measure the same
+// interval, so a tolerance converts exactly between the two. Cents mean the same at
+// every pitch; the relative form is what the searches compare against.
+const centsToRelativeError = (cents) => 1 - Math.pow(2, -Math.abs(cents) / 1200);
+const relativeErrorToCents = (error) => {
+	if (error <= 0) return 0;
+	return error >= 1 ? Infinity : -1200 * Math.log2(1 - error);
+};
+
+// Names of the common just intervals within the octave, by reduced ratio
+const INTERVAL_NAMES = {
+	"1/1": "unison",
+	"256/243": "Pythagorean limma",
+	"16/15": "just diatonic semitone",
+	"2187/2048": "Pythagorean apotome",
+	"10/9": "minor whole tone",
+	"9/8": "major whole tone",
+	"8/7": "septimal whole tone",
+	"7/6": "septimal minor third",
+	"32/27": "Pythagorean minor third",
+	"6/5": "just minor third",
+	"11/9": "neutral third",
+	"5/4": "just major third",
+	"81/64": "Pythagorean major third",
+	"9/7": "septimal major third",
+	"4/3": "perfect fourth",
+	"11/8": "undecimal superfourth",
+	"7/5": "septimal tritone",
+	"45/32": "just augmented fourth",
+	"729/512": "Pythagorean tritone",
+	"64/45": "just diminished fifth",
+	"10/7": "Euler's tritone",
+	"3/2": "perfect fifth",
+	"128/81": "Pythagorean minor sixth",
+	"8/5": "just minor sixth",
+	"13/8": "tridecimal neutral sixth",
+	"5/3": "just major sixth",
+	"27/16": "Pythagorean major sixth",
+	"12/7": "septimal major sixth",
+	"7/4": "harmonic seventh",
+	"16/9": "Pythagorean minor seventh",
+	"9/5": "just minor seventh",
+	"15/8": "just major seventh",
+	"243/128": "Pythagorean major seventh"
+};
+
+// Names of the known commas and other small intervals, by reduced ratio above 1/1
+const NAMED_COMMAS = {
+	"32805/32768": "schisma",
+	"2048/2025": "diaschisma",
+	"81/80": "syntonic comma",
+	"531441/524288": "Pythagorean comma",
+	"128/125": "lesser diesis",
+	"648/625": "greater diesis",
+	"3125/3072": "magic comma",
+	"250/243": "porcupine comma",
+	"20000/19683": "tetracot comma",
+	"15625/15552": "kleisma",
+	"393216/390625": "würschmidt comma",
+	"16875/16384": "negri comma",
+	"64/63": "septimal comma",
+	"36/35": "septimal diesis",
+	"50/49": "jubilisma",
+	"49/48": "slendro diesis",
+	"126/125": "starling comma",
+	"225/224": "marvel comma",
+	"245/243": "sensamagic comma",
+	"1029/1024": "gamelisma",
+	"1728/1715": "orwellisma",
+	"3136/3125": "hemimean comma",
+	"5120/5103": "hemifamity comma",
+	"6144/6125": "porwell comma",
+	"4375/4374": "ragisma",
+	"2401/2400": "breedsma",
+	"33/32": "undecimal quarter-tone",
+	"100/99": "ptolemisma",
+	"121/120": "biyatisma",
+	"243/242": "rastma",
+	"385/384": "keenanisma",
+	"441/440": "werckisma",
+	"65/64": "tridecimal comma",
+	"169/168": "dhanvantarisma"
+};
+
+const TWELVE_TET_INTERVALS = ["unison", "minor second", "major second", "minor third", "major third", "perfect fourth", "tritone", "perfect fifth", "minor sixth", "major sixth", "minor seventh", "major seventh"];
+
+const formatOctaves = (octaves) => `${octaves} octave${octaves === 1 ? '' : 's'}`;
+
+/**
+ * Name an interval, given as an exact ratio or a number: octave-reduced and looked up in
+ * INTERVAL_NAMES, else described by the nearest 12-TET interval. Intervals below 1/1 are
+ * named as their inverse, with direction "down".
+ * @param {Rational|number} interval
+ * @returns {IntervalName}
+ */
+const nameInterval = (interval) => {
+	const value = typeof interval === 'number' ? interval : rationalToNumber(interval);
+	const cents = ratioToCents(value);
+	const direction = cents > 0 ? "up" : cents < 0 ? "down" : "none";
+	let ratio = typeof interval === 'number' ? rationalFromNumber(value) : interval;
+	if (ratio && direction === "down") ratio = divideRationals(RATIONAL_ONE, ratio);
+
+	// Octave reduction, exact where the ratio is known
+	let octaves = Math.floor(Math.abs(cents) / 1200);
+	if (ratio) {
+		octaves = 0;
+		while (ratio.num >= 2n * ratio.den) {
+			ratio = makeRational(ratio.num, ratio.den * 2n);
+			octaves++;
+		}
+	}
+	const withOctaves = (name) => (octaves === 0 ? name : `${name} + ${formatOctaves(octaves)}`);
+
+	const named = Boolean(ratio) && rationalKey(ratio) in INTERVAL_NAMES;
+	if (named) {
+		const name = ratio.num === 1n && octaves > 0 ? formatOctaves(octaves) : withOctaves(INTERVAL_NAMES[rationalKey(ratio)]);
+		return { name, ratio, octaves, named, direction, cents };
+	}
+
+	const reducedCents = Math.abs(cents) - 1200 * octaves;
+	const semitones = Math.round(reducedCents / 100);
+	const deviation = reducedCents - 100 * semitones;
+	const rounded = deviation.toFixed(0);
+	const offset = Number(rounded) === 0 ? "" : ` ${deviation > 0 ? '+' : ''}${rounded}¢`;
+	const nearest = semitones === 12
+		? formatOctaves(octaves + 1)
+		: semitones === 0 && octaves > 0 ? formatOctaves(octaves) : withOctaves(TWELVE_TET_INTERVALS[semitones]);
+	return { name: `≈ ${nearest}${offset}`, ratio, octaves, named, direction, cents };
+};
+
+// Name of a comma from NAMED_COMMAS, either way up, or null
+const nameComma = (ratio) => {
+	if (!ratio) return null;
+	const upwards = ratio.num >= ratio.den ? ratio : divideRationals(RATIONAL_ONE, ratio);
+	return NAMED_COMMAS[rationalKey(upwards)] || null;
+};
+
+// Pitch notation: 12-TET note names and MIDI note numbers, tuned to a reference pitch
+// for A4 (MIDI note 69). Names are spelled with sharps; flats are accepted when parsing.
+const DEFAULT_REFERENCE_PITCH = 440;
+const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+const NOTE_LETTER_STEPS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Fractional MIDI note number of a frequency
+const frequencyToMidi = (frequency, referencePitch = DEFAULT_REFERENCE_PITCH) => {
+	return 69 + 12 * Math.log2(frequency / referencePitch);
+};
+
+const midiToFrequency = (midi, referencePitch = DEFAULT_REFERENCE_PITCH) => {
+	return referencePitch * Math.pow(2, (midi - 69) / 12);
+};
+
+/**
+ * Nearest 12-TET note to a frequency, with the deviation from it in cents (-50 to +50).
+ * @returns {{ name: string, midi: number, octave: number, cents: number }}
+ */
+const nearestNote = (frequency, referencePitch = DEFAULT_REFERENCE_PITCH) => {
+	const exactMidi = frequencyToMidi(frequency, referencePitch);
+	const midi = Math.round(exactMidi);
+	const octave = Math.floor(midi / 12) - 1;
+	return {
+		name: `${NOTE_NAMES[((midi % 12) + 12) % 12]}${octave}`,
+		midi: midi,
+		octave: octave,
+		cents: 100 * (exactMidi - midi)
+	};
+};
+
+// Nearest note and cent deviation as text: "A4", "C#5 +14¢", "D3 -31¢". The cents are
+// rounded to centsDigits and left out when they round to zero.
+const formatNoteName = (frequency, referencePitch = DEFAULT_REFERENCE_PITCH, centsDigits = 0) => {
+	if (!(frequency > 0)) return '—';
+	const { name, cents } = nearestNote(frequency, referencePitch);
+	const rounded = cents.toFixed(centsDigits);
+	if (Number(rounded) === 0) return name;
+	return `${name} ${cents > 0 ? '+' : ''}${rounded}¢`;
+};
+
+// Letter, accidentals, octave, then optional cents: "C#5+14c", "Bb3 -20¢", "a4"
+const NOTE_NAME_PATTERN = /^([A-Ga-g])([#♯b♭]*)(-?\d+)\s*(?:([+-]\s*\d+(?:\.\d+)?)\s*(?:c|¢|cents?)?)?$/;
+
+/**
+ * Parse a pitch typed as a frequency ("440", "440 Hz"), a note name with optional cents
+ * ("A4", "C#5+14c", "Bb3 -20¢") or a MIDI note number, fractional or not ("MIDI 69", "m60.5").
+ * @returns {number} frequency in Hz, NaN when the text is not a pitch
+ */
+const parsePitch = (text, referencePitch = DEFAULT_REFERENCE_PITCH) => {
+	const trimmed = String(text).trim();
+	const hz = trimmed.match(/^(\d+(?:\.\d*)?|\.\d+)\s*(?:hz)?$/i);
+	if (hz) return parseFloat(hz[1]);
+
+	const midi = trimmed.match(/^(?:midi|m)\s*(-?\d+(?:\.\d+)?)$/i);
+	if (midi) return midiToFrequency(parseFloat(midi[1]), referencePitch);
+
+	const note = trimmed.match(NOTE_NAME_PATTERN);
+	if (!note) return NaN;
+	const [, letter, accidentals, octave, cents] = note;
+	const alteration = Array.from(accidentals).reduce((sum, accidental) => sum + (accidental === '#' || accidental === '♯' ? 1 : -1), 0);
+	const noteNumber = 12 * (parseInt(octave) + 1) + NOTE_LETTER_STEPS[letter.toUpperCase()] + alteration;
+	const centsOffset = cents ? parseFloat(cents.replace(/\s+/g, '')) : 0;
+	return midiToFrequency(noteNumber + centsOffset / 100, referencePitch);
+};
+
+// Scala tuning files (.scl scales and .kbm keyboard mappings)
+// Format reference: https://www.huygens-fokker.org/scala/scl_format.html
+
+// Lines that are not comments ('!' starts a comment line)
+const scalaDataLines = (text) => {
+	return text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+};
+
+// Parse a single .scl pitch: values containing a period are cents, everything else is a ratio
+const parseScalaPitch = (line) => {
+	const token = line.trim().split(/\s+/)[0];
+	if (!token) {
+		throw new Error("Empty pitch line in Scala file");
+	}
+	if (token.includes('.')) {
+		const cents = parseFloat(token);
+		if (isNaN(cents)) {
+			throw new Error(`Invalid cents value in Scala file: "${token}"`);
+		}
+		return { value: Math.pow(2, cents / 1200), cents: cents, ratio: null, text: token };
+	}
+	const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+	if (!match || (match[2] !== undefined && BigInt(match[2]) === 0n)) {
+		throw new Error(`Invalid ratio in Scala file: "${token}"`);
+	}
+	const ratio = makeRational(BigInt(match[1]), BigInt(match[2] || 1));
+	const value = rationalToNumber(ratio);
+	if (!(value > 0)) {
+		throw new Error(`Scala pitches must be positive: "${token}"`);
+	}
+	return { value: value, cents: ratioToCents(value), ratio: ratio, text: token };
+};
+
+// Parse the text of a .scl file into its description and pitches (1/1 is implicit)
+const parseScalaFile = (text) => {
+	const lines = scalaDataLines(text);
+	if (lines.length < 2) {
+		throw new Error("Scala file must contain a description and a note count");
+	}
+	const description = lines[0].trim();
+	const noteCount = parseInt(lines[1].trim(), 10);
+	if (isNaN(noteCount) || noteCount < 0) {
+		throw new Error(`Invalid note count in Scala file: "${lines[1].trim()}"`);
+	}
+	const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+	if (pitchLines.length < noteCount) {
+		throw new Error(`Scala file declares ${noteCount} notes but only lists ${pitchLines.length}`);
+	}
+	const pitches = pitchLines.slice(0, noteCount).map(parseScalaPitch);
+	return {
+		description: description,
+		pitches: pitches,
+		// The last pitch is the period the scale repeats at (usually 2/1)
+		period: pitches.length > 0 ? pitches[pitches.length - 1].value : 2
+	};
+};
+
+// Parse the text of a .kbm keyboard mapping file
+const parseKeyboardMapping = (text) => {
+	const lines = scalaDataLines(text).map(line => line.trim()).filter(line => line !== '');
+	if (lines.length < 7) {
+		throw new Error("Keyboard mapping must contain at least 7 header values");
+	}
+	const header = lines.slice(0, 7).map(line => parseFloat(line.split(/\s+/)[0]));
+	if (header.some(value => isNaN(value))) {
+		throw new Error("Keyboard mapping header contains a non-numeric value");
+	}
+	const [mapSize, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree] = header;
+	const mapping = lines.slice(7, 7 + mapSize).map(line => {
+		const token = line.split(/\s+/)[0];
+		if (token === 'x') return null;
+		const degree = parseInt(token, 10);
+		if (isNaN(degree)) {
+			throw new Error(`Invalid keyboard mapping entry: "${token}"`);
+		}
+		return degree;
+	});
+	// Missing trailing entries are unmapped keys
+	while (mapping.length < mapSize) {
+		mapping.push(null);
+	}
+	return { mapSize, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping };
+};
+
+// Ratio of scale degree n to 1/1, repeating the scale at its period
+const scalaDegreeRatio = (scale, degree) => {
+	const noteCount = scale.pitches.length;
+	if (noteCount === 0) return 1;
+	const periods = Math.floor(degree / noteCount);
+	const step = degree - periods * noteCount;
+	const stepRatio = step === 0 ? 1 : scale.pitches[step - 1].value;
+	return stepRatio * Math.pow(scale.period, periods);
+};
+
+// Scale degree played by a key, or null when the key is unmapped
+const keyboardDegree = (kbm, key) => {
+	const offset = key - kbm.middleNote;
+	if (kbm.mapSize === 0) return offset; // Linear mapping
+	const mapOctaves = Math.floor(offset / kbm.mapSize);
+	const mapIndex = offset - mapOctaves * kbm.mapSize;
+	const degree = kbm.mapping[mapIndex];
+	return degree === null ? null : degree + mapOctaves * kbm.octaveDegree;
+};
+
+// Turn a parsed scale (and optional keyboard mapping) into custom-mode ratios.
+// Without a mapping the ratios are 1/1 followed by every scale pitch; with one they
+// follow the mapped keys upwards from the middle note, and the base frequency is the
+// middle note's frequency derived from the mapping's reference pitch.
+const scalaToCustomRatios = (scale, kbm = null) => {
+	if (!kbm) {
+		return {
+			ratios: [1, ...scale.pitches.map(pitch => pitch.value)],
+			baseFrequency: null
+		};
+	}
+
+	const referenceDegree = keyboardDegree(kbm, kbm.referenceNote);
+	if (referenceDegree === null) {
+		throw new Error("Keyboard mapping reference note is unmapped");
+	}
+
+	const ratios = [];
+	for (let key = kbm.middleNote; key <= kbm.lastNote; key++) {
+		const degree = keyboardDegree(kbm, key);
+		if (degree !== null) {
+			ratios.push(scalaDegreeRatio(scale, degree));
+		}
+	}
+	if (ratios.length === 0) {
+		throw new Error("Keyboard mapping leaves no keys mapped above the middle note");
+	}
+
+	return {
+		// Normalise so the first mapped key is 1/1
+		ratios: ratios.map(ratio => ratio / ratios[0]),
+		baseFrequency: kbm.referenceFrequency * ratios[0] / scalaDegreeRatio(scale, referenceDegree)
+	};
+};
+
+// Format a ratio as a Scala pitch line - exact fractions where the value is rational,
+// otherwise cents (which must contain a period)
+const formatScalaPitch = (value) => {
+	const ratio = rationalFromNumber(value);
+	return ratio ? `${ratio.num}/${ratio.den}` : ratioToCents(value).toFixed(6);
+};
+
+// Serialise a set of ratios as a .scl file. Unisons are dropped because 1/1 is implicit.
+const exportScalaFile = (ratios, description = "Harmonic Frequency Explorer scale", fileName = "scale.scl") => {
+	const pitches = Array.from(new Set(ratios.filter(ratio => ratio > 1).map(formatScalaPitch)))
+		.map(text => ({ text, cents: parseScalaPitch(text).cents }))
+		.sort((a, b) => a.cents - b.cents);
+
+	return [
+		`! ${fileName}`,
+		'!',
+		description.replace(/\r?\n/g, ' '),
+		` ${pitches.length}`,
+		'!',
+		...pitches.map(pitch => ` ${pitch.text}`),
+		''
+	].join('\n');
+};
+
+// Reduce every node of a generated structure into one period (see reduceNodesToPeriod) and
+// collect the distinct pitches, giving a scale (ending on the period) that can be exported as .scl
+const deriveOctaveReducedScale = (structure, period = 2, centsTolerance = 0.001) => {
+	const reduced = reduceNodesToPeriod(structure, period)
+		.map(node => ({
+			value: node.ratio ? rationalToNumber(node.ratio) : node.frequency / structure.base,
+			cents: node.cents
+		}))
+		.sort((a, b) => a.cents - b.cents);
+
+	const scale = [];
+	reduced.forEach(item => {
+		if (scale.length === 0 || item.cents - scale[scale.length - 1].cents > centsTolerance) {
+			scale.push(item);
+		}
+	});
+
+	return [...scale.map(item => item.value), period];
+};
+
+/**
+ * Fold every node into one period above the base, [base, base * period), so that 660 Hz and
+ * 1320 Hz over a 440 Hz base both land on 660 Hz. Exact ratios and monzos are divided by the
+ * period when it is itself a ratio. The base is structure.base, or the lowest node of a
+ * plain node list.
+ * @param {HarmonicStructure|BoundedStructure|Iterable<FrequencyNode>} structure
+ * @returns {ReducedNode[]}
+ */
+const reduceNodesToPeriod = (structure, period = 2) => {
+	const nodes = validFrequencyNodes(toNodeList(structure))
+		.map(({ node }) => node)
+		.filter(node => node.frequency > 0);
+	if (nodes.length === 0 || !(period > 1) || !isFinite(period)) return [];
+
+	const base = structure && structure.base > 0
+		? structure.base
+		: nodes.reduce((lowest, node) => Math.min(lowest, node.frequency), Infinity);
+	const periodRatio = rationalFromNumber(period);
+	const periodMonzo = rationalMonzo(periodRatio);
+
+	return nodes.map(node => {
+		let value = node.frequency / base;
+		let periods = 0;
+		while (value >= period * (1 - RATIONAL_RECOVERY_EPSILON)) {
+			value /= period;
+			periods++;
+		}
+		while (value < 1 - RATIONAL_RECOVERY_EPSILON) {
+			value *= period;
+			periods--;
+		}
+
+		const ratio = node.ratio && periodRatio ? divideRationals(node.ratio, rationalPower(periodRatio, periods)) : null;
+		// Scaling by a power of the period keeps a 2/1 reduction free of rounding
+		const frequency = ratio ? base * rationalToNumber(ratio) : node.frequency * Math.pow(period, -periods);
+		return {
+			...node,
+			frequency,
+			ratio,
+			monzo: ratio ? combineMonzos(node.monzo, periodMonzo, -periods) : null,
+			cents: Math.max(0, ratioToCents(frequency / base)),
+			absoluteFrequency: node.frequency,
+			periods
+		};
+	});
+};
+
+/**
+ * Pitch classes of a structure reduced to one period: nodes that fold onto the same ratio
+ * (or frequency, by frequencyKey) become one class, counted, lowest first. The classes are
+ * FrequencyNodes, so findCloseFrequencies, findCloseClusters and analyzeFrequencyRatios
+ * accept them as they are. Pairs straddling the period boundary are not joined.
+ * @param {HarmonicStructure|BoundedStructure|Iterable<FrequencyNode>} structure
+ * @returns {PitchClass[]}
+ */
+const periodPitchClasses = (structure, period = 2) => {
+	const classes = new Map();
+	reduceNodesToPeriod(structure, period).forEach(node => {
+		const key = frequencyKey(node);
+		const pitchClass = classes.get(key);
+		if (!pitchClass) {
+			classes.set(key, { ...node, count: 1, registers: [node.periods] });
+			return;
+		}
+		const count = pitchClass.count + 1;
+		const registers = pitchClass.registers.includes(node.periods)
+			? pitchClass.registers
+			: [...pitchClass.registers, node.periods];
+		classes.set(key, node.level < pitchClass.level
+			? { ...node, count, registers }
+			: { ...pitchClass, count, registers });
+	});
+
+	return Array.from(classes.values())
+		.map(pitchClass => ({ ...pitchClass, registers: pitchClass.registers.sort((a, b) => a - b) }))
+		.sort((a, b) => a.cents - b.cents);
+};
+
+// Parse a ratio typed as a decimal ("1.25") or a fraction ("5/4")
+const parseRatioValue = (text) => {
+	const [num, den] = text.split('/').map(part => parseFloat(part.trim()));
+	return den === undefined ? num : num / den;
+};
+
+// Parse an equal temperament period typed as a ratio ("2/1", "3") or in cents ("1200c")
+const parsePeriodValue = (text) => {
+	const trimmed = text.trim();
+	if (/c$/i.test(trimmed)) {
+		return Math.pow(2, parseFloat(trimmed.slice(0, -1)) / 1200);
+	}
+	return parseRatioValue(trimmed);
+};
+
+// Format a ratio for the custom ratios input, preferring exact fractions
+const formatRatioValue = (value) => {
+	const ratio = rationalFromNumber(value);
+	return ratio ? (ratio.den === 1n ? `${ratio.num}` : `${ratio.num}/${ratio.den}`) : `${parseFloat(value.toFixed(8))}`;
+};
+
+// Every path search returns the same shape, whatever the outcome
+const createPathResult = (fields) => {
+	const result = {
+		found: false,
+		algorithm: "bfs",
+		path: [],
+		totalSteps: 0,
+		treeCount: 0,
+		totalCost: null,
+		finalError: 1,
+		exploredFrequencies: 0,
+		exactRatio: null,
+		reason: null,
+		closest: null,
+		...fields
+	};
+	result.finalErrorCents = relativeErrorToCents(result.finalError);
+	return result;
+};
+
+// Harmonics per level of the trees grown by the path searches' tree moves
+const PATH_TREE_HARMONICS = 12;
+
+// Parse one move of a pathfinder operator set (see parsePathOperators)
+const parsePathOperator = (token) => {
+	const words = token.trim().split(/\s+/);
+	const move = words[0];
+	const operator = { cost: null, maxUses: null };
+	for (let i = 1; i < words.length; i += 2) {
+		const value = parseFloat(words[i + 1]);
+		if (words[i] === "cost" && value >= 0) {
+			operator.cost = value;
+		} else if (words[i] === "max" && Number.isInteger(value) && value >= 1) {
+			operator.maxUses = value;
+		} else {
+			throw new Error(`Invalid operator "${token.trim()}": expected "cost <number>" or "max <whole number>" after the move`);
+		}
+	}
+
+	const tree = move.match(/^tree(\d*)$/i);
+	if (tree) return { type: "tree", depth: tree[1] ? parseInt(tree[1]) : null, ...operator };
+	if (/^mode$/i.test(move)) return { type: "mode", ...operator };
+
+	const ratio = move.match(/^([×x*÷/]?)(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?(c?)$/i);
+	if (!ratio || (ratio[4] && ratio[3])) {
+		throw new Error(`Invalid operator "${token.trim()}". Use e.g. ×3/2, ÷2, ×700c, tree, tree2 or mode`);
+	}
+	const [, sign, first, second, cents] = ratio;
+	const divide = sign === "÷" || sign === "/";
+	if (!cents && /^\d+$/.test(first) && (!second || /^\d+$/.test(second))) {
+		// Whole-number ratios stay exact
+		const num = BigInt(first);
+		const den = BigInt(second || "1");
+		if (num === 0n || den === 0n) throw new Error(`Operator ratios must be positive: "${token.trim()}"`);
+		if (num === den) throw new Error(`Operator ratios cannot be 1/1: "${token.trim()}"`);
+		return { type: "ratio", ratio: divide ? makeRational(den, num) : makeRational(num, den), ...operator };
+	}
+	const value = cents ? Math.pow(2, parseFloat(first) / 1200) : parseFloat(first) / (second ? parseFloat(second) : 1);
+	if (!(value > 0) || !isFinite(value)) throw new Error(`Operator ratios must be positive: "${token.trim()}"`);
+	if (value === 1) throw new Error(`Operator ratios cannot be 1/1: "${token.trim()}"`);
+	return { type: "ratio", ratio: divide ? 1 / value : value, ...operator };
+};
+
+/**
+ * Parse a pathfinder operator set: moves separated by commas or new lines, each optionally
+ * followed by "cost <number>" (used by the weighted searches in place of the step cost
+ * function) and "max <n>" (uses per path). Moves:
+ *   ×3/2, *3/2, x3/2 or 3/2  - multiply by a ratio (exact for whole numbers; ×700c in cents)
+ *   ÷2 or /2                 - divide by a ratio
+ *   tree, tree2              - jump to any node of the harmonic tree grown from the current
+ *                              frequency (of the given depth, maxRecursionDepth by default)
+ *   mode                     - multiply by any ratio of the search's tuning mode
+ * e.g. "×3/2, ÷2" stacks Pythagorean fifths and "×3/2 cost 1, ×5/4 cost 2 max 2, ÷2".
+ * Throws on a move that cannot be read or that does not move (a ratio of 1/1).
+ * @returns {Object[]} operators for the operators option of the path searches
+ */
+const parsePathOperators = (text) => {
+	const tokens = text.split(/[,\n]/).filter(token => token.trim() !== "");
+	if (tokens.length === 0) throw new Error("An operator set needs at least one move");
+	return tokens.map(parsePathOperator);
+};
+
+// Label of a ratio move, in the style of the default moves ("÷2", "×3/2", "×701.955c")
+const operatorStepLabel = (value, ratio) => {
+	if (ratio) {
+		if (ratio.num === 1n) return `÷${ratio.den}`;
+		return `×${ratio.num}${ratio.den === 1n ? "" : `/${ratio.den}`}`;
+	}
+	return `×${ratioToCents(value).toFixed(3)}c`;
+};
+
+// One move of a resolved operator set: ratio moves carry { value, ratio, label, num, den }
+const ratioMove = (value, ratio) => ({
+	value: value,
+	ratio: ratio,
+	label: operatorStepLabel(value, ratio),
+	// Multiplying by num then dividing by den keeps divisions as exact as f / n
+	num: ratio ? Number(ratio.num) : value,
+	den: ratio ? Number(ratio.den) : 1
+});
+
+// The operator groups a search expands every node with. Without an operators option these
+// are the default moves: the harmonic tree, then the octave drops (÷2, ÷4, ÷8) or with
+// useSubharmonics the subharmonics (÷2, ÷3, ÷5, ÷7, ÷11, ÷13). A mode operator expands to
+// every ratio of the mode's H^0 level (other than 1/1) but counts as one operator for max.
+const resolvePathOperators = (options, { mode, modeParams, direction, maxRecursionDepth, useSubharmonics }) => {
+	const { operators = null } = options;
+	const specs = operators === null
+		? [{ type: "tree" }, ...(useSubharmonics ? [2, 3, 5, 7, 11, 13] : [2, 4, 8]).map(divisor => ({ type: "ratio", ratio: makeRational(1n, BigInt(divisor)) }))]
+		: (typeof operators === "string" ? parsePathOperators(operators) : operators);
+
+	return specs.map((spec, id) => {
+		const { cost = null, maxUses = null, depth = null } = spec;
+		const group = { id: id, cost: cost, maxUses: maxUses };
+		if (spec.type === "tree") {
+			return { ...group, kind: "tree", depth: depth !== null ? depth : maxRecursionDepth };
+		}
+		if (spec.type === "mode") {
+			const values = generateChildFrequencies(1, PATH_TREE_HARMONICS, mode, modeParams, direction);
+			const ratios = generateChildRatios(PATH_TREE_HARMONICS, mode, modeParams, direction);
+			const moves = values
+				.map((value, i) => ratioMove(value, ratios[i]))
+				.filter(move => Math.abs(move.value - 1) > 1e-12);
+			return { ...group, kind: "ratios", moves: moves };
+		}
+		if (spec.type === "ratio") {
+			const value = typeof spec.ratio === "number" ? spec.ratio : rationalToNumber(spec.ratio);
+			const ratio = typeof spec.ratio === "number" ? rationalFromNumber(spec.ratio) : spec.ratio;
+			// Ratios given in cents or as decimals are only exact when they round-trip
+			const exactRatio = ratio && Math.abs(rationalToNumber(ratio) - value) < 1e-12 ? ratio : null;
+			// A move by 1/1 goes nowhere, and its cost per octave moved would be undefined
+			if (Math.abs(value - 1) < 1e-12) {
+				throw new Error(`Operator ratios cannot be 1/1: "${operatorStepLabel(value, null)}"`);
+			}
+			return { ...group, kind: "ratios", moves: [ratioMove(value, exactRatio)] };
+		}
+		throw new Error(`Unknown operator type "${spec.type}". Use "tree", "ratio" or "mode"`);
+	});
+};
+
+// Options shared by every path search, with their defaults. A tolerance in cents
+// (toleranceCents) takes precedence over the relative tolerance.
+const resolvePathOptions = (options, { needsStepRatios = false } = {}) => {
+	const {
+		tolerance = 0.01,
+		toleranceCents = null,
+		maxSteps = 5,
+		maxRecursionDepth = 3,
+		maxFrequencies = 16,
+		mode = "harmonic",
+		modeParams = null,
+		direction = "otonal",
+		useSubharmonics = false,
+		minFrequency = AUDIBLE_BAND.minFrequency,
+		maxFrequency = AUDIBLE_BAND.maxFrequency,
+		primeLimit = null,
+		oddLimit = null
+	} = options;
+	const limits = { primeLimit, oddLimit };
+	const operators = resolvePathOperators(options, { mode, modeParams, direction, maxRecursionDepth, useSubharmonics });
+	return {
+		tolerance: toleranceCents !== null ? centsToRelativeError(toleranceCents) : tolerance,
+		maxSteps,
+		maxRecursionDepth,
+		maxFrequencies,
+		mode,
+		modeParams,
+		direction,
+		useSubharmonics,
+		band: { minFrequency, maxFrequency },
+		operators: operators,
+		// Per-path operator use counts, tracked only when an operator has a max
+		startUses: operators.some(operator => operator.maxUses !== null) ? operators.map(() => 0) : null,
+		limits: limits,
+		exact: Boolean(options.exact) || hasHarmonicLimits(limits),
+		// Step ratios are the exact ratio of each step on its own, tracked even when the
+		// ratios to the source are not (e.g. for Tenney height costs)
+		stepRatios: Boolean(options.exact) || hasHarmonicLimits(limits) || needsStepRatios,
+		// Trees of the tree operators, built on first use (see pathTreeNodes)
+		treeNodes: new Map()
+	};
+};
+
+// Relative error used as the tolerance test of every path search
+const pathError = (frequency, targetFreq) => Math.abs(frequency - targetFreq) / Math.max(frequency, targetFreq);
+
+// Key of a visited frequency - exact ratios when known, otherwise frequencies rounded
+// to absorb floating point noise
+const pathNodeKey = (freq, ratio) => {
+	return ratio ? rationalKey(ratio) : Math.round(freq * 1000) / 1000; // Round to 3 decimal places
+};
+
+// Key of a search state: the frequency, and with operator limits the uses left to it
+const searchStateKey = (key, uses) => (uses ? `${key}#${uses.join(',')}` : key);
+
+// Nodes of the harmonic tree a tree operator grows, relative to the frequency it is grown
+// from. The tree has the same shape from every frequency - only the band clips it
+// differently - so it is built once per search. Each node keeps the lowest and highest
+// value on its way from the root, which clip it (and so everything below a clipped node)
+// the way generateHarmonicStructure does.
+const pathTreeNodes = (operator, settings) => {
+	const { mode, modeParams, direction, stepRatios, treeNodes } = settings;
+	if (treeNodes.has(operator.id)) return treeNodes.get(operator.id);
+
+	const nodes = [];
+	try {
+		const structure = generateHarmonicStructure(1, operator.depth, PATH_TREE_HARMONICS, mode, modeParams, { exact: stepRatios, direction });
+		const byPath = new Map();
+		extractAllFrequenciesWithPaths(structure).forEach(freqData => {
+			if (freqData.level < 0) return;
+			const parent = freqData.level > 0 ? byPath.get(`H^${freqData.level - 1}[${freqData.path.slice(0, -1).join(',')}]`) : null;
+			const node = {
+				value: freqData.frequency,
+				ratio: freqData.ratio,
+				pathString: freqData.pathString,
+				lowest: parent ? Math.min(parent.lowest, freqData.frequency) : freqData.frequency,
+				highest: parent ? Math.max(parent.highest, freqData.frequency) : freqData.frequency
+			};
+			byPath.set(node.pathString, node);
+			nodes.push(node);
+		});
+	} catch (error) {
+		console.error("Error generating harmonic structure:", error);
+	}
+	treeNodes.set(operator.id, nodes);
+	return nodes;
+};
+
+// Every frequency reachable in one step from a search node with the search's operators
+// (by default any node of the harmonic tree grown from it, or a division back down). Each
+// carries its exact ratio to the source (null when untracked or tempered), the exact ratio
+// of the step itself, the operator's cost (null for the cost function's) and the operator
+// use counts of the path through it. Operators used up on the path to the node are skipped.
+// A frequency reached several ways is only listed once, by its first move.
+const generatePathNeighbours = (current, sourceFreq, settings) => {
+	const { band, exact, stepRatios, operators } = settings;
+	const nextFrequencies = [];
+	const listed = new Set();
+	const addNeighbour = (next, operator) => {
+		const key = pathNodeKey(next.frequency, next.ratio);
+		if (listed.has(key)) return;
+		listed.add(key);
+		nextFrequencies.push({
+			...next,
+			cost: operator.cost,
+			uses: current.uses ? current.uses.map((count, id) => (id === operator.id ? count + 1 : count)) : null
+		});
+	};
+
+	operators.forEach(operator => {
+		if (operator.maxUses !== null && current.uses && current.uses[operator.id] >= operator.maxUses) return;
+
+		// Harmonic tree grown from the current frequency, clipped to the band
+		if (operator.kind === "tree") {
+			pathTreeNodes(operator, settings).forEach(node => {
+				const frequency = current.frequency * node.value;
+				if (frequency === current.frequency
+					|| frequencyBandSide(current.frequency * node.lowest, band) < 0
+					|| frequencyBandSide(current.frequency * node.highest, band) > 0) {
+					return;
+				}
+				const ratio = (exact && current.ratio && node.ratio) ? multiplyRationals(current.ratio, node.ratio) : null;
+				addNeighbour({
+					// Exact frequencies are derived from the source so errors never accumulate
+					frequency: ratio ? sourceFreq * rationalToNumber(ratio) : frequency,
+					ratio: ratio,
+					stepRatio: node.ratio,
+					step: `Tree→${node.pathString}`,
+					isNewTree: true
+				}, operator);
+			});
+			return;
+		}
+
+		// Ratio moves, e.g. the octave divisions (backtracking) or ×3/2
+		operator.moves.forEach(move => {
+			const newFreq = current.frequency * move.num / move.den;
+			if (withinFrequencyBand(newFreq, band)) { // Keep inside the frequency band
+				addNeighbour({
+					frequency: newFreq,
+					ratio: current.ratio && move.ratio ? multiplyRationals(current.ratio, move.ratio) : null,
+					stepRatio: stepRatios ? move.ratio : null,
+					step: move.label,
+					isNewTree: false
+				}, operator);
+			}
+		});
+	});
+
+	return nextFrequencies;
+};
+
+// Trivial result when the source already lies within tolerance of the target
+const sourceWithinTolerance = (sourceFreq, targetFreq, settings, algorithm) => {
+	const relDiff = pathError(sourceFreq, targetFreq);
+	if (relDiff >= settings.tolerance) return null;
+	const ratio = settings.exact ? RATIONAL_ONE : null;
+	return createPathResult({
+		found: true,
+		algorithm: algorithm,
+		path: [{ frequency: sourceFreq, step: "Start", ratio: ratio, ...(algorithm === "bfs" ? {} : { cost: 0 }) }],
+		totalCost: algorithm === "bfs" ? null : 0,
+		finalError: relDiff,
+		exactRatio: ratio
+	});
+};
+
+// Why a search stopped without finding (enough) paths
+const searchStopReason = (exploredCount, maxFrequencies) => {
+	return exploredCount >= maxFrequencies ? "Max frequencies explored" : "Max steps reached";
+};
+
+// Reason given by the partial result of a search stopped early
+const SEARCH_CANCELLED = "Cancelled";
+
+// Keep track of the frequency nearest the target reached by a search - candidates are
+// queue entries (path, ratio, stepCount, treeCount and, for weighted searches, cost)
+const createClosestTracker = (targetFreq, algorithm) => {
+	let best = null;
+	let bestError = Infinity;
+	return {
+		offer: (candidate) => {
+			const error = pathError(candidate.frequency, targetFreq);
+			if (error < bestError) {
+				best = candidate;
+				bestError = error;
+			}
+		},
+		result: (exploredCount) => best && createPathResult({
+			algorithm: algorithm,
+			path: best.path,
+			totalSteps: best.stepCount,
+			treeCount: best.treeCount,
+			totalCost: best.cost === undefined ? null : best.cost,
+			finalError: bestError,
+			exploredFrequencies: exploredCount,
+			exactRatio: best.ratio,
+			reason: "Closest frequency reached"
+		})
+	};
+};
+
+// Re-yield the raw states of a search generator ({ paths, exploredCount, queueSize, closest })
+// as SearchProgress, and turn its final state into a result. finish(state, reason) builds
+// the result; reason is SEARCH_CANCELLED for the partial results and null at the end.
+function* reportSearchProgress(search, finish) {
+	for (;;) {
+		const { value: state, done } = search.next();
+		if (done) return finish(state, null);
+		yield {
+			exploredFrequencies: state.exploredCount,
+			queueSize: state.queueSize,
+			pathsFound: state.paths.length,
+			partial: finish(state, SEARCH_CANCELLED)
+		};
+	}
+}
+
+// Result of a single-path search from the final or partial state of its search generator
+const singlePathResult = (state, reason, settings, algorithm) => {
+	if (state.paths.length > 0) return state.paths[0];
+	return createPathResult({
+		algorithm: algorithm,
+		exploredFrequencies: state.exploredCount,
+		reason: reason || searchStopReason(state.exploredCount, settings.maxFrequencies),
+		closest: state.closest.result(state.exploredCount)
+	});
+};
+
+// Breadth-first search collecting up to k distinct paths in order of step count. Paths
+// are distinct when they pass through different frequencies; intermediate frequencies are
+// visited once, but the target may be reached from any number of them.
+// Yields its state after every frequency explored and returns the final state.
+function* breadthFirstPaths(sourceFreq, targetFreq, settings, k) {
+	const { tolerance, maxSteps, maxFrequencies, limits, exact } = settings;
+
+	// In exact mode every queued frequency carries its exact ratio to the source
+	// (null once a tempered step makes it irrational)
+	const startRatio = exact ? RATIONAL_ONE : null;
+	const startKey = pathNodeKey(sourceFreq, startRatio);
+
+	// BFS Queue: {frequency, ratio, path, keys, uses, stepCount, treeCount}
+	const queue = [{
+		frequency: sourceFreq,
+		ratio: startRatio,
+		path: [{ frequency: sourceFreq, step: "Start", ratio: startRatio }],
+		keys: [startKey],
+		uses: settings.startUses,
+		stepCount: 0,
+		treeCount: 0
+	}];
+
+	// Visited search states to avoid cycles, and the routes already returned
+	const visited = new Set([searchStateKey(startKey, settings.startUses)]);
+	const found = new Set();
+	const paths = [];
+	const closest = createClosestTracker(targetFreq, "bfs");
+	const state = () => ({ paths, exploredCount, queueSize: queue.length, closest });
+	let exploredCount = 0;
+
+	while (queue.length > 0 && exploredCount < maxFrequencies) {
+		const current = queue.shift();
+		exploredCount++;
+
+		// Don't explore further if we've reached max steps
+		if (current.stepCount >= maxSteps) {
+			yield state();
+			continue;
+		}
+
+		// Process all next frequencies
+		for (const next of generatePathNeighbours(current, sourceFreq, settings)) {
+			const key = pathNodeKey(next.frequency, next.ratio);
+			const stateKey = searchStateKey(key, next.uses);
+			if (visited.has(stateKey) || current.keys.includes(key) || !withinHarmonicLimits(next.ratio, limits)) {
+				continue;
+			}
+
+			const path = [...current.path, {
+				frequency: next.frequency,
+				step: next.step,
+				ratio: next.ratio
+			}];
+			const keys = [...current.keys, key];
+
+			// Check if we've reached the target
+			const errorRatio = pathError(next.frequency, targetFreq);
+			if (errorRatio < tolerance) {
+				const route = keys.join(' ');
+				if (found.has(route)) continue;
+				found.add(route);
+				paths.push(createPathResult({
+					found: true,
+					path: path,
+					totalSteps: current.stepCount + 1,
+					treeCount: current.treeCount + (next.isNewTree ? 1 : 0),
+					finalError: errorRatio,
+					exploredFrequencies: exploredCount,
+					exactRatio: next.ratio
+				}));
+				if (paths.length >= k) {
+					return state();
+				}
+				continue;
+			}
+
+			// Add to queue for further exploration
+			visited.add(stateKey);
+			const entry = {
+				frequency: next.frequency,
+				ratio: next.ratio,
+				path: path,
+				keys: keys,
+				uses: next.uses,
+				stepCount: current.stepCount + 1,
+				treeCount: current.treeCount + (next.isNewTree ? 1 : 0)
+			};
+			closest.offer(entry);
+			queue.push(entry);
+		}
+		yield state();
+	}
+
+	return state();
+}
+
+/**
+ * BFS Pathfinding Algorithm. Every frequency explored stays inside the frequency band
+ * (the audible range unless given), and with a prime or odd limit every frequency on the
+ * path must stay within the limits relative to the source (ratios are then tracked exactly).
+ * options: tolerance (relative) or toleranceCents, maxSteps, maxRecursionDepth,
+ * maxFrequencies, mode, modeParams, direction, useSubharmonics, exact, minFrequency, maxFrequency, primeLimit, oddLimit,
+ * onProgress, shouldStop (as for completeSteps; a stopped search reports "Cancelled"),
+ * operators - the moves allowed, as parsePathOperators text or its result (by default the
+ * harmonic tree and the divisions chosen by useSubharmonics)
+ * When no path is found, closest holds the path to the nearest frequency explored.
+ * @returns {PathResult}
+ */
+const findShortestHarmonicPath = (sourceFreq, targetFreq, options = {}) => {
+	return completeSteps(shortestHarmonicPathSteps(sourceFreq, targetFreq, options), options);
+};
+
+/**
+ * Stepwise form of findShortestHarmonicPath (same arguments), yielding a SearchProgress
+ * after every frequency explored.
+ * @returns {Generator<SearchProgress, PathResult>}
+ */
+function* shortestHarmonicPathSteps(sourceFreq, targetFreq, options = {}) {
+	const settings = resolvePathOptions(options);
+	const trivial = sourceWithinTolerance(sourceFreq, targetFreq, settings, "bfs");
+	if (trivial) return trivial;
+
+	return yield* reportSearchProgress(
+		breadthFirstPaths(sourceFreq, targetFreq, settings, 1),
+		(state, reason) => singlePathResult(state, reason, settings, "bfs")
+	);
+}
+
+// Binary min-heap ordered by priority(item)
+const createMinHeap = (priority) => {
+	const items = [];
+	const swap = (i, j) => {
+		[items[i], items[j]] = [items[j], items[i]];
+	};
+
+	return {
+		size: () => items.length,
+		peek: () => items[0],
+		push: (item) => {
+			items.push(item);
+			let i = items.length - 1;
+			while (i > 0) {
+				const parent = (i - 1) >> 1;
+				if (priority(items[parent]) <= priority(items[i])) break;
+				swap(i, parent);
+				i = parent;
+			}
+		},
+		pop: () => {
+			const top = items[0];
+			const last = items.pop();
+			if (items.length > 0) {
+				items[0] = last;
+				let i = 0;
+				for (;;) {
+					const left = 2 * i + 1;
+					const right = left + 1;
+					let smallest = i;
+					if (left < items.length && priority(items[left]) < priority(items[smallest])) smallest = left;
+					if (right < items.length && priority(items[right]) < priority(items[smallest])) smallest = right;
+					if (smallest === i) break;
+					swap(i, smallest);
+					i = smallest;
+				}
+			}
+			return top;
+		}
+	};
+};
+
+// Edge costs for the weighted search. Each edge is described as
+// { frequencyRatio, stepRatio, isNewTree, step } where frequencyRatio = next / current and
+// stepRatio is the step's exact ratio (null for tempered steps). minCostPerOctave is a
+// lower bound on the cost of moving one octave, which makes the A* heuristic admissible.
+const PATH_COST_FUNCTIONS = {
+	steps: {
+		label: "Steps",
+		minCostPerOctave: 0,
+		cost: () => 1
+	},
+	tenney: {
+		// log2(n·d) >= |log2(n/d)|, so every edge costs at least the octaves it moves.
+		// Tempered steps have no Tenney height and fall back to their log ratio.
+		label: "Tenney height",
+		minCostPerOctave: 1,
+		needsStepRatios: true,
+		cost: (edge) => edge.stepRatio ? tenneyHeight(edge.stepRatio) : Math.abs(Math.log2(edge.frequencyRatio))
+	},
+	logRatio: {
+		label: "Log ratio (octaves)",
+		minCostPerOctave: 1,
+		cost: (edge) => Math.abs(Math.log2(edge.frequencyRatio))
+	}
+};
+
+// Lowest cost per octave moved of an operator with its own cost, keeping the A* estimate
+// a lower bound (a tree can move any distance, so it allows none)
+const operatorCostPerOctave = (operator) => {
+	if (operator.cost === null) return Infinity;
+	if (operator.kind === "tree") return 0;
+	return Math.min(...operator.moves.map(move => operator.cost / Math.abs(Math.log2(move.value))));
+};
+
+// Default number of frequencies a weighted search settles. A cheapest path is often a
+// detour of small steps, so it settles many more frequencies than BFS explores.
+const WEIGHTED_MAX_FREQUENCIES = 200;
+
+// Resolve and check the options of the weighted search
+const resolveWeightedOptions = (options) => {
+	const {
+		algorithm = "astar",
+		cost = "tenney",
+		costFunction = null,
+		stepPenalty = 0,
+		treePenalty = 0,
+		divisionPenalty = 0
+	} = options;
+	const costDefinition = PATH_COST_FUNCTIONS[cost];
+	if (!costFunction && !costDefinition) {
+		throw new Error(`Unknown path cost "${cost}". Available: ${Object.keys(PATH_COST_FUNCTIONS).join(', ')}`);
+	}
+	if (algorithm !== "dijkstra" && algorithm !== "astar") {
+		throw new Error(`Unknown weighted search algorithm "${algorithm}". Use "dijkstra" or "astar"`);
+	}
+	if (stepPenalty < 0 || treePenalty < 0 || divisionPenalty < 0) {
+		throw new Error("Path penalties cannot be negative");
+	}
+	const settings = resolvePathOptions(
+		{ ...options, maxFrequencies: options.maxFrequencies !== undefined ? options.maxFrequencies : WEIGHTED_MAX_FREQUENCIES },
+		{ needsStepRatios: !costFunction && Boolean(costDefinition.needsStepRatios) }
+	);
+	return {
+		...settings,
+		algorithm,
+		edgeCost: costFunction || costDefinition.cost,
+		costPerOctave: Math.min(
+			costFunction ? (options.costPerOctave || 0) : costDefinition.minCostPerOctave,
+			...settings.operators.map(operatorCostPerOctave)
+		),
+		stepPenalty,
+		treePenalty,
+		divisionPenalty
+	};
+};
+
+// Dijkstra / A* collecting up to k distinct cheapest paths. Every frequency may be settled
+// up to k times (once per path through it) and paths never revisit a frequency, which
+// gives the k cheapest simple paths in order of cost.
+// Yields its state after every frequency settled and returns the final state.
+function* weightedPaths(sourceFreq, targetFreq, settings, k) {
+	const { tolerance, maxSteps, maxFrequencies, limits, exact, algorithm, edgeCost, costPerOctave } = settings;
+
+	// Octaves still to cover before the tolerance window around the target is reached
+	const toleranceOctaves = -Math.log2(1 - Math.min(tolerance, 0.999));
+	const heuristic = (frequency) => {
+		if (algorithm !== "astar") return 0;
+		return Math.max(0, Math.abs(Math.log2(targetFreq / frequency)) - toleranceOctaves) * costPerOctave;
+	};
+
+	const startRatio = exact ? RATIONAL_ONE : null;
+	const startKey = pathNodeKey(sourceFreq, startRatio);
+	const open = createMinHeap(item => item.cost + item.estimate);
+	open.push({
+		frequency: sourceFreq,
+		ratio: startRatio,
+		path: [{ frequency: sourceFreq, step: "Start", ratio: startRatio, cost: 0 }],
+		keys: [startKey],
+		stateKey: searchStateKey(startKey, settings.startUses),
+		uses: settings.startUses,
+		stepCount: 0,
+		treeCount: 0,
+		cost: 0,
+		estimate: heuristic(sourceFreq)
+	});
+
+	// How often each search state has been settled, and the routes already returned
+	const settledCount = new Map();
+	const found = new Set();
+	const paths = [];
+	const closest = createClosestTracker(targetFreq, algorithm);
+	const state = () => ({ paths, exploredCount, queueSize: open.size(), closest });
+	let exploredCount = 0;
+
+	while (open.size() > 0 && exploredCount < maxFrequencies) {
+		const current = open.pop();
+		const timesSettled = settledCount.get(current.stateKey) || 0;
+		if (timesSettled >= k) continue;
+		settledCount.set(current.stateKey, timesSettled + 1);
+		exploredCount++;
+
+		// The target is only accepted once settled, when no cheaper path can remain
+		const errorRatio = pathError(current.frequency, targetFreq);
+		if (errorRatio < tolerance) {
+			const route = current.keys.join(' ');
+			if (found.has(route)) continue;
+			found.add(route);
+			paths.push(createPathResult({
+				found: true,
+				algorithm: algorithm,
+				path: current.path,
+				totalSteps: current.stepCount,
+				treeCount: current.treeCount,
+				totalCost: current.cost,
+				finalError: errorRatio,
+				exploredFrequencies: exploredCount,
+				exactRatio: current.ratio
+			}));
+			if (paths.length >= k) break;
+			yield state();
+			continue;
+		}
+
+		if (current.stepCount >= maxSteps) {
+			yield state();
+			continue;
+		}
+
+		for (const next of generatePathNeighbours(current, sourceFreq, settings)) {
+			const key = pathNodeKey(next.frequency, next.ratio);
+			const stateKey = searchStateKey(key, next.uses);
+			if ((settledCount.get(stateKey) || 0) >= k || current.keys.includes(key) || !withinHarmonicLimits(next.ratio, limits)) {
+				continue;
+			}
+
+			// An operator's own cost replaces the cost function
+			const stepCost = (next.cost !== null ? next.cost : edgeCost({
+				frequencyRatio: next.frequency / current.frequency,
+				stepRatio: next.stepRatio,
+				isNewTree: next.isNewTree,
+				step: next.step
+			})) + settings.stepPenalty + (next.isNewTree ? settings.treePenalty : settings.divisionPenalty);
+
+			const entry = {
+				frequency: next.frequency,
+				ratio: next.ratio,
+				path: [...current.path, {
+					frequency: next.frequency,
+					step: next.step,
+					ratio: next.ratio,
+					cost: stepCost
+				}],
+				keys: [...current.keys, key],
+				stateKey: stateKey,
+				uses: next.uses,
+				stepCount: current.stepCount + 1,
+				treeCount: current.treeCount + (next.isNewTree ? 1 : 0),
+				cost: current.cost + stepCost,
+				estimate: heuristic(next.frequency)
+			};
+			closest.offer(entry);
+			open.push(entry);
+		}
+		yield state();
+	}
+
+	return state();
+}
+
+/**
+ * Weighted pathfinding: the cheapest path rather than the one with fewest steps, found
+ * with Dijkstra's algorithm or A*. Takes the options of findShortestHarmonicPath plus:
+ *   algorithm        - "dijkstra" or "astar" (default)
+ *   cost             - name of a PATH_COST_FUNCTIONS entry (default "tenney")
+ *   costFunction     - (edge) => cost, overrides cost
+ *   costPerOctave    - lower bound per octave for a custom costFunction (default 0, no heuristic)
+ *   stepPenalty, treePenalty, divisionPenalty - added to every step, tree jump and division
+ * A* uses the log-distance to the tolerance window around the target times the cost's
+ * lower bound per octave; penalties are never negative, so the heuristic stays admissible.
+ * maxFrequencies bounds the number of frequencies settled (default WEIGHTED_MAX_FREQUENCIES).
+ * @returns {PathResult} with totalCost and a cost on every step
+ */
+const findWeightedHarmonicPath = (sourceFreq, targetFreq, options = {}) => {
+	return completeSteps(weightedHarmonicPathSteps(sourceFreq, targetFreq, options), options);
+};
+
+/**
+ * Stepwise form of findWeightedHarmonicPath (same arguments), yielding a SearchProgress
+ * after every frequency settled.
+ * @returns {Generator<SearchProgress, PathResult>}
+ */
+function* weightedHarmonicPathSteps(sourceFreq, targetFreq, options = {}) {
+	const settings = resolveWeightedOptions(options);
+	const trivial = sourceWithinTolerance(sourceFreq, targetFreq, settings, settings.algorithm);
+	if (trivial) return trivial;
+
+	return yield* reportSearchProgress(
+		weightedPaths(sourceFreq, targetFreq, settings, 1),
+		(state, reason) => singlePathResult(state, reason, settings, settings.algorithm)
+	);
+}
+
+// Sum the legs of a route searched so far into a RouteResult
+const createRouteResult = (frequencies, segments, reason, continueFromReached) => {
+	const results = segments.map(segment => segment.result);
+	const foundResults = results.filter(result => result.found);
+	const failed = results.findIndex(result => !result.found);
+	const found = failed < 0 && segments.length === frequencies.length - 1;
+	const sum = (field) => foundResults.reduce((total, result) => total + result[field], 0);
+	const chained = continueFromReached && found && results.every(result => result.exactRatio);
+
+	return {
+		found: found,
+		frequencies: frequencies,
+		segments: segments,
+		totalSteps: sum("totalSteps"),
+		treeCount: sum("treeCount"),
+		totalCost: results.length > 0 && results.every(result => result.totalCost !== null) ? sum("totalCost") : null,
+		totalError: sum("finalError"),
+		maxError: foundResults.reduce((max, result) => Math.max(max, result.finalError), 0),
+		totalErrorCents: sum("finalErrorCents"),
+		maxErrorCents: foundResults.reduce((max, result) => Math.max(max, result.finalErrorCents), 0),
+		exploredFrequencies: results.reduce((total, result) => total + result.exploredFrequencies, 0),
+		exactRatio: chained ? results.reduce((ratio, result) => multiplyRationals(ratio, result.exactRatio), RATIONAL_ONE) : null,
+		reason: reason || (failed >= 0 ? `Leg ${failed + 1}: ${results[failed].reason}` : null)
+	};
+};
+
+/**
+ * Chained route through an ordered list of frequencies (e.g. the notes of a melody or the
+ * roots of a chord progression): one search per leg, with the options of
+ * findShortestHarmonicPath - or of findWeightedHarmonicPath when algorithm is "dijkstra"
+ * or "astar" - plus:
+ *   continueFromReached - start each leg from the frequency the previous leg actually
+ *                         reached instead of its nominal target (default false)
+ * A leg that fails is reported and the next one starts from its nominal target.
+ * @param {number[]} frequencies - at least two
+ * @returns {RouteResult}
+ */
+const findHarmonicRoute = (frequencies, options = {}) => {
+	return completeSteps(harmonicRouteSteps(frequencies, options), options);
+};
+
+/**
+ * Stepwise form of findHarmonicRoute (same arguments), yielding the SearchProgress of each
+ * leg with cumulative counts and the leg number.
+ * @returns {Generator<SearchProgress, RouteResult>}
+ */
+function* harmonicRouteSteps(frequencies, options = {}) {
+	const { continueFromReached = false } = options;
+	if (!Array.isArray(frequencies) || frequencies.length < 2) {
+		throw new Error("A route needs at least two frequencies");
+	}
+	const weighted = options.algorithm === "dijkstra" || options.algorithm === "astar";
+	const legSteps = weighted ? weightedHarmonicPathSteps : shortestHarmonicPathSteps;
+
+	const segments = [];
+	let source = frequencies[0];
+	let explored = 0;
+	for (let i = 1; i < frequencies.length; i++) {
+		const target = frequencies[i];
+		const search = legSteps(source, target, options);
+		let result = null;
+		for (;;) {
+			const { value, done } = search.next();
+			if (done) {
+				result = value;
+				break;
+			}
+			yield {
+				exploredFrequencies: explored + value.exploredFrequencies,
+				queueSize: value.queueSize,
+				pathsFound: segments.filter(segment => segment.result.found).length + value.pathsFound,
+				segment: i - 1,
+				partial: createRouteResult(frequencies, [...segments, { source, target, result: value.partial }], SEARCH_CANCELLED, continueFromReached)
+			};
+		}
+
+		segments.push({ source, target, result });
+		explored += result.exploredFrequencies;
+		source = continueFromReached && result.found ? result.path[result.path.length - 1].frequency : target;
+	}
+
+	return createRouteResult(frequencies, segments, null, continueFromReached);
+}
+
+// Sum the pairs of a matrix searched so far into a PathMatrix
+const createPathMatrix = (frequencies, cells, reason) => {
+	const results = cells.flat().filter(result => result !== null);
+	return {
+		frequencies: frequencies,
+		cells: cells.map(row => [...row]),
+		pairsSearched: results.length,
+		pairsFound: results.filter(result => result.found).length,
+		exploredFrequencies: results.reduce((total, result) => total + result.exploredFrequencies, 0),
+		reason: reason
+	};
+};
+
+/**
+ * Shortest path between every ordered pair of a set of frequencies (a scale, a chord, a
+ * level of the tree): the "harmonic distance" structure of the whole set. Takes the options
+ * of findShortestHarmonicPath - or of findWeightedHarmonicPath when algorithm is "dijkstra"
+ * or "astar". n frequencies make n × (n - 1) searches.
+ * @param {number[]} frequencies - at least two
+ * @returns {PathMatrix}
+ */
+const findHarmonicPathMatrix = (frequencies, options = {}) => {
+	return completeSteps(harmonicPathMatrixSteps(frequencies, options), options);
+};
+
+/**
+ * Stepwise form of findHarmonicPathMatrix (same arguments), yielding the SearchProgress of
+ * each pair with cumulative counts and the pair's indices.
+ * @returns {Generator<SearchProgress, PathMatrix>}
+ */
+function* harmonicPathMatrixSteps(frequencies, options = {}) {
+	if (!Array.isArray(frequencies) || frequencies.length < 2) {
+		throw new Error("A path matrix needs at least two frequencies");
+	}
+	const weighted = options.algorithm === "dijkstra" || options.algorithm === "astar";
+	const pairSteps = weighted ? weightedHarmonicPathSteps : shortestHarmonicPathSteps;
+
+	const cells = frequencies.map(() => frequencies.map(() => null));
+	let explored = 0;
+	let pairsSearched = 0;
+	let pairsFound = 0;
+	for (let i = 0; i < frequencies.length; i++) {
+		for (let j = 0; j < frequencies.length; j++) {
+			if (i === j) continue;
+			const search = pairSteps(frequencies[i], frequencies[j], options);
+			for (;;) {
+				const { value, done } = search.next();
+				if (done) {
+					cells[i][j] = value;
+					break;
+				}
+				cells[i][j] = value.partial;
+				yield {
+					exploredFrequencies: explored + value.exploredFrequencies,
+					queueSize: value.queueSize,
+					pathsFound: pairsFound + value.pathsFound,
+					pair: [i, j],
+					pairsSearched: pairsSearched,
+					partial: createPathMatrix(frequencies, cells, SEARCH_CANCELLED)
+				};
+			}
+
+			explored += cells[i][j].exploredFrequencies;
+			pairsSearched++;
+			if (cells[i][j].found) pairsFound++;
+		}
+	}
+
+	return createPathMatrix(frequencies, cells, null);
+}
+
+// Quote a CSV field when it holds a comma, quote or line break
+const csvField = (value) => {
+	const text = value === null || value === undefined ? "" : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV row per ordered pair of a PathMatrix (pairs not searched are left out), with the
+ * error both in cents and relative.
+ * @param {PathMatrix} matrix
+ * @returns {string}
+ */
+const pathMatrixToCsv = (matrix) => {
+	const header = ["from_hz", "to_hz", "found", "steps", "trees", "cost", "error_cents", "error_relative", "exact_ratio", "path", "reason"];
+	const rows = [];
+	matrix.cells.forEach((row, i) => row.forEach((result, j) => {
+		if (!result) return;
+		rows.push([
+			matrix.frequencies[i],
+			matrix.frequencies[j],
+			result.found,
+			result.found ? result.totalSteps : "",
+			result.found ? result.treeCount : "",
+			result.found && result.totalCost !== null ? result.totalCost : "",
+			result.found ? result.finalErrorCents : "",
+			result.found ? result.finalError : "",
+			result.exactRatio ? formatRational(result.exactRatio) : "",
+			result.path.map(step => step.step).join(" → "),
+			result.reason || ""
+		]);
+	}));
+	return [header, ...rows].map(fields => fields.map(csvField).join(",")).join("\n") + "\n";
+};
+
+/**
+ * Every step of a path with the ratio of the step and the cumulative ratio from the
+ * source, as reduced fractions and in cents, then the interval the whole path amounts to
+ * and the comma by which it misses the target. Paths searched without exact ratios have
+ * theirs recovered from the frequencies.
+ * @param {PathResult} result
+ * @param {number} targetFreq
+ * @returns {PathIntervals}
+ */
+const describePathIntervals = (result, targetFreq) => {
+	const sourceFreq = result.path[0].frequency;
+	const steps = [];
+	result.path.forEach((step, index) => {
+		const ratio = step.ratio || rationalFromNumber(step.frequency / sourceFreq);
+		const previous = index > 0 ? steps[index - 1] : null;
+		steps.push({
+			frequency: step.frequency,
+			step: step.step,
+			stepRatio: !previous ? RATIONAL_ONE
+				: ratio && previous.ratio ? divideRationals(ratio, previous.ratio)
+				: rationalFromNumber(step.frequency / previous.frequency),
+			stepCents: previous ? ratioToCents(step.frequency / previous.frequency) : 0,
+			ratio: ratio,
+			cents: ratioToCents(step.frequency / sourceFreq)
+		});
+	});
+
+	const end = steps[steps.length - 1];
+	const targetRatio = rationalFromNumber(targetFreq / sourceFreq);
+	return {
+		steps: steps,
+		ratio: end.ratio,
+		cents: end.cents,
+		interval: nameInterval(end.ratio || end.frequency / sourceFreq),
+		commaRatio: targetRatio && end.ratio ? divideRationals(targetRatio, end.ratio) : null,
+		commaCents: ratioToCents(targetFreq / end.frequency),
+		commaName: targetRatio && end.ratio ? nameComma(divideRationals(targetRatio, end.ratio)) : null
+	};
+};
+
+// Ways of ranking the k best paths
+const PATH_RANKINGS = {
+	steps: "Fewest steps",
+	cost: "Lowest cost",
+	error: "Smallest error"
+};
+
+// How many candidates an error ranking gathers per requested path
+const ERROR_RANKING_CANDIDATES = 4;
+
+/**
+ * The k best distinct paths between two frequencies. Takes the options of
+ * findWeightedHarmonicPath plus:
+ *   k      - number of paths (default 5)
+ *   rankBy - "steps" (breadth-first, ties in discovery order), "cost" (weighted search,
+ *            A* unless algorithm is "dijkstra") or "error". Error does not add up along a
+ *            path, so it is ranked by gathering k × ERROR_RANKING_CANDIDATES paths with the
+ *            chosen algorithm ("bfs" by default) and keeping the k closest to the target.
+ * @returns {PathSet}
+ */
+const findKBestHarmonicPaths = (sourceFreq, targetFreq, options = {}) => {
+	return completeSteps(kBestHarmonicPathsSteps(sourceFreq, targetFreq, options), options);
+};
+
+/**
+ * Stepwise form of findKBestHarmonicPaths (same arguments), yielding a SearchProgress
+ * after every frequency explored.
+ * @returns {Generator<SearchProgress, PathSet>}
+ */
+function* kBestHarmonicPathsSteps(sourceFreq, targetFreq, options = {}) {
+	const { k = 5, rankBy = "steps" } = options;
+	if (!PATH_RANKINGS[rankBy]) {
+		throw new Error(`Unknown path ranking "${rankBy}". Available: ${Object.keys(PATH_RANKINGS).join(', ')}`);
+	}
+	if (!(k >= 1)) {
+		throw new Error("k must be at least 1");
+	}
+
+	const algorithm = rankBy === "steps" ? "bfs"
+		: rankBy === "cost" ? (options.algorithm === "dijkstra" ? "dijkstra" : "astar")
+		: (options.algorithm || "bfs");
+	const settings = algorithm === "bfs" ? resolvePathOptions(options) : resolveWeightedOptions({ ...options, algorithm });
+	const createPathSet = (paths, exploredCount, reason = null, closest = null) => ({
+		paths: paths,
+		k: k,
+		rankBy: rankBy,
+		algorithm: algorithm,
+		exploredFrequencies: exploredCount,
+		reason: reason || (paths.length < k ? searchStopReason(exploredCount, settings.maxFrequencies) : null),
+		closest: paths.length === 0 ? closest : null
+	});
+
+	const trivial = sourceWithinTolerance(sourceFreq, targetFreq, settings, algorithm);
+	if (trivial) return { ...createPathSet([trivial], 0), reason: null };
+
+	const wanted = rankBy === "error" ? k * ERROR_RANKING_CANDIDATES : k;
+	const search = algorithm === "bfs" ? breadthFirstPaths : weightedPaths;
+	return yield* reportSearchProgress(search(sourceFreq, targetFreq, settings, wanted), (state, reason) => {
+		const paths = rankBy === "error"
+			? [...state.paths]
+				.sort((a, b) => a.finalError - b.finalError || a.totalSteps - b.totalSteps)
+				.slice(0, k)
+			: state.paths;
+		return createPathSet(paths, state.exploredCount, reason, state.closest.result(state.exploredCount));
+	});
+}
+
+// Nodes with a usable frequency, with their index in the node list
+const validFrequencyNodes = (allFreqs) => {
+	const valid = [];
+	allFreqs.forEach((node, index) => {
+		if (node && typeof node.frequency === 'number' && !isNaN(node.frequency)) {
+			valid.push({ node, index });
+		}
+	});
+	return valid;
+};
+
+/**
+ * Every pair of frequencies whose relative difference |a - b| / max(a, b) is below the
+ * threshold, found by sorting and sweeping a window up the sorted frequencies - near-linear
+ * in the number of frequencies plus the pairs found, rather than a scan of every pair.
+ * Pairs are [i, j, difference] with i < j, indices into frequencies, in index order.
+ * @param {number[]} frequencies
+ * @param {number} threshold
+ * @returns {Array<[number, number, number]>}
+ */
+const findCloseIndexPairs = (frequencies, threshold) => {
+	const order = frequencies.map((_, index) => index).sort((a, b) => frequencies[a] - frequencies[b]);
+	const pairs = [];
+	let start = 0;
+	order.forEach((j, position) => {
+		const upper = frequencies[j];
+		// The window's lowest frequency only rises as the sweep moves up
+		while (start < position && (upper - frequencies[order[start]]) / upper >= threshold) start++;
+		for (let k = start; k < position; k++) {
+			const i = order[k];
+			const difference = upper === 0 ? 0 : (upper - frequencies[i]) / upper;
+			pairs.push(i < j ? [i, j, difference] : [j, i, difference]);
+		}
+	});
+	return pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+};
+
+// The limit candidates with the lowest score offered, held in a max-heap (a min-heap on
+// -score) so that a sweep finding far more never keeps more than limit at once. bound()
+// is the score a candidate has to beat once the heap is full, which lets a sweep narrow its
+// window as it goes.
+const createBestKept = (limit) => {
+	const heap = createMinHeap(candidate => -candidate.score);
+	return {
+		bound: () => (heap.size() < limit || heap.size() === 0 ? Infinity : heap.peek().score),
+		offer: (candidate) => {
+			if (heap.size() < limit) {
+				heap.push(candidate);
+			} else if (limit > 0 && candidate.score < heap.peek().score) {
+				heap.pop();
+				heap.push(candidate);
+			}
+		},
+		full: () => heap.size() >= limit,
+		// Kept candidates in node order (by i, then j)
+		inNodeOrder: () => {
+			const kept = [];
+			while (heap.size() > 0) kept.push(heap.pop());
+			return kept.sort((a, b) => a.i - b.i || a.j - b.j);
+		}
+	};
+};
+
+// Indices of frequencies, lowest frequency first
+const sortedFrequencyOrder = (frequencies) => frequencies.map((_, index) => index).sort((a, b) => frequencies[a] - frequencies[b]);
+
+/**
+ * Updated close frequencies finder that includes path information.
+ * On exact structures each pair also reports its exact interval; pairs on the very same
+ * ratio are true coincidences and are only returned when includeCoincident is set.
+ * threshold is relative; options.thresholdCents gives it in cents instead.
+ * options.limit keeps only that many of the closest pairs: once it is reached the sweep
+ * narrows its window to the pairs still closer than the kept ones, so dense structures stay
+ * within memory. Pairs are found by sweeping the sorted frequencies (as in
+ * findCloseIndexPairs) and listed in node order.
+ * @param {HarmonicStructure|BoundedStructure|Iterable<FrequencyNode>} structure
+ * @returns {ClosePair[]}
+ */
+const findCloseFrequencies = (structure, threshold = 0.01, options = {}) => {
+	return completeSteps(closeFrequencySteps(structure, threshold, options));
+};
+
+// Work (pairs looked at and windows moved) between two AnalysisProgress reports
+const ANALYSIS_PROGRESS_INTERVAL = 50000;
+
+/**
+ * Stepwise form of findCloseFrequencies (same arguments), yielding an AnalysisProgress
+ * every ANALYSIS_PROGRESS_INTERVAL of work.
+ * @returns {Generator<AnalysisProgress, ClosePair[]>}
+ */
+function* closeFrequencySteps(structure, threshold = 0.01, options = {}) {
+	const { includeCoincident = false, thresholdCents = null, limit = Infinity } = options;
+	if (thresholdCents !== null) threshold = centsToRelativeError(thresholdCents);
+	const valid = validFrequencyNodes(toNodeList(structure));
+	const frequencies = valid.map(({ node }) => node.frequency);
+	const order = sortedFrequencyOrder(frequencies);
+	const kept = createBestKept(limit);
+
+	// With exact ratios a zero float difference no longer implies an exact match
+	const isCoincident = (freq1, freq2, relDiff) => (
+		(freq1.ratio && freq2.ratio) ? rationalsEqual(freq1.ratio, freq2.ratio) : relDiff === 0
+	);
+
+	let start = 0;
+	let work = 0;
+	for (let position = 0; position < order.length; position++) {
+		if (work >= ANALYSIS_PROGRESS_INTERVAL) {
+			work = 0;
+			yield { swept: position, total: order.length };
+		}
+		const j = order[position];
+		const upper = frequencies[j];
+		const bound = Math.min(threshold, kept.bound());
+		if (bound === 0) break; // Nothing can beat exact matches
+		// The window's lowest frequency only rises as the sweep moves up and the bound shrinks
+		while (start < position && (upper - frequencies[order[start]]) / upper >= bound) start++;
+		work += 1 + position - start;
+		for (let k = start; k < position; k++) {
+			const i = order[k];
+			const relDiff = upper === 0 ? 0 : (upper - frequencies[i]) / upper;
+			if (!includeCoincident && isCoincident(valid[i].node, valid[j].node, relDiff)) continue;  // Avoid exact matches
+			kept.offer({ score: relDiff, i: Math.min(i, j), j: Math.max(i, j) });
+		}
+	}
+
+	return kept.inNodeOrder().map(({ score: relDiff, i, j }) => {
+		const freq1 = valid[i].node;
+		const freq2 = valid[j].node;
+		const interval = (freq1.ratio && freq2.ratio) ? intervalBetween(freq1.ratio, freq2.ratio) : null;
+		return {
+			freq1: freq1.frequency,
+			freq2: freq2.frequency,
+			path1: freq1.pathString,
+			path2: freq2.pathString,
+			difference: relDiff,
+			cents: relativeErrorToCents(relDiff),
+			level1: freq1.level,
+			level2: freq2.level,
+			interval: interval,
+			coincident: isCoincident(freq1, freq2, relDiff)
+		};
+	});
+}
+
+/**
+ * Clusters of mutually close frequencies: groups in which every two members lie within
+ * the threshold of each other. The sorted frequencies are cut greedily from the lowest, so
+ * each node belongs to at most one cluster, and only clusters of two or more nodes are
+ * returned - those whose members all share one exact ratio only with includeCoincident.
+ * Options as for findCloseFrequencies.
+ * @param {HarmonicStructure|BoundedStructure|Iterable<FrequencyNode>} structure
+ * @returns {FrequencyCluster[]}
+ */
+const findCloseClusters = (structure, threshold = 0.01, options = {}) => {
+	const { includeCoincident = false, thresholdCents = null } = options;
+	if (thresholdCents !== null) threshold = centsToRelativeError(thresholdCents);
+	const sorted = validFrequencyNodes(toNodeList(structure))
+		.map(({ node }) => node)
+		.sort((a, b) => a.frequency - b.frequency);
+	const clusters = [];
+
+	const addCluster = (members) => {
+		if (members.length < 2) return;
+		const distinct = new Set(members.map(frequencyKey));
+		const coincident = distinct.size === 1;
+		if (coincident && !includeCoincident) return;
+		const min = members[0].frequency;
+		const max = members[members.length - 1].frequency;
+		const spread = max === 0 ? 0 : (max - min) / max;
+		clusters.push({
+			nodes: members,
+			min: min,
+			max: max,
+			spread: spread,
+			spreadCents: relativeErrorToCents(spread),
+			distinctFrequencies: distinct.size,
+			coincident: coincident
+		});
+	};
+
+	let members = [];
+	sorted.forEach(node => {
+		if (members.length > 0 && (node.frequency - members[0].frequency) / node.frequency >= threshold) {
+			addCluster(members);
+			members = [];
+		}
+		members.push(node);
+	});
+	addCluster(members);
+
+	return clusters;
+};
+
+// Denominators up to which the commas of structures without exact ratios are recovered
+// from their frequencies - enough for the Pythagorean comma, 531441/524288
+const COMMA_RECOVERY_DENOMINATOR = 10000000;
+
+/**
+ * Commas of a structure: its close pairs (see findCloseFrequencies; maxCents sets the
+ * threshold, default 30) grouped by the exact interval between them, each named from
+ * NAMED_COMMAS where known. Structures generated without exact ratios have the intervals
+ * recovered from their frequencies; tempered pairs have none and are only counted.
+ * @param {HarmonicStructure|BoundedStructure|Iterable<FrequencyNode>} structure
+ * @returns {CommaReport}
+ */
+const findCommas = (structure, options = {}) => {
+	const { maxCents = 30 } = options;
+	const groups = new Map();
+	let inexactPairs = 0;
+	const closePairs = findCloseFrequencies(structure, 0, { thresholdCents: maxCents });
+	closePairs.forEach(pair => {
+		const ratio = pair.interval || rationalFromNumber(Math.max(pair.freq1, pair.freq2) / Math.min(pair.freq1, pair.freq2), COMMA_RECOVERY_DENOMINATOR);
+		if (!ratio) {
+			inexactPairs++;
+			return;
+		}
+		// Frequencies apart only by floating point noise are the same pitch
+		if (rationalsEqual(ratio, RATIONAL_ONE)) return;
+		const key = rationalKey(ratio);
+		if (!groups.has(key)) {
+			groups.set(key, {
+				ratio: ratio,
+				cents: ratioToCents(rationalToNumber(ratio)),
+				name: nameComma(ratio),
+				monzo: rationalMonzo(ratio),
+				pairs: []
+			});
+		}
+		// Lower frequency first, so every pair of a group reads the same way up
+		groups.get(key).pairs.push(pair.freq1 <= pair.freq2 ? pair : {
+			...pair,
+			freq1: pair.freq2,
+			freq2: pair.freq1,
+			path1: pair.path2,
+			path2: pair.path1,
+			level1: pair.level2,
+			level2: pair.level1
+		});
+	});
+	const commas = Array.from(groups.values()).sort((a, b) => a.cents - b.cents);
+	return {
+		commas: commas,
+		pairs: commas.reduce((count, comma) => count + comma.pairs.length, 0),
+		inexactPairs: inexactPairs
+	};
+};
+
+// Reduced fractions num/den <= 1 with den up to maxDenominator, in increasing order
+const simpleRatioTable = (maxDenominator) => {
+	const table = [];
+	for (let denom = 1; denom <= maxDenominator; denom++) {
+		for (let num = 1; num <= denom; num++) {
+			if (gcd(num, denom) === 1) table.push({ num, den: denom, value: num / denom });
+		}
+	}
+	return table.sort((a, b) => a.value - b.value);
+};
+
+// Largest denominator analyzeFrequencyRatios takes. Its sweep steps through every simple
+// ratio for each frequency, and there are about 0.3·d² of them below d.
+const RATIO_SWEEP_MAX_DENOMINATOR = 64;
+
+// Values closest to each simple ratio of a sorted table: from the midpoint with the ratio
+// below to the midpoint with the ratio above. A value on a midpoint goes to the simpler
+// of the two ratios.
+const simpleRatioCells = (table) => {
+	const simpler = (lower, upper) => upper.den < lower.den;
+	return table.map((ratio, r) => ({
+		low: r > 0 ? (table[r - 1].value + ratio.value) / 2 : 0,
+		high: r < table.length - 1 ? (ratio.value + table[r + 1].value) / 2 : Infinity,
+		ownsLow: r === 0 || simpler(table[r - 1], ratio),
+		ownsHigh: r === table.length - 1 || !simpler(ratio, table[r + 1])
+	}));
+};
+
+/**
+ * Closest simple ratio (denominator up to maxDenominator, at most
+ * RATIO_SWEEP_MAX_DENOMINATOR) for each pair of nodes, together with the exact ratio when
+ * both nodes carry one. Pairs are listed in node order. The sorted frequencies are swept
+ * once, with a window per simple ratio covering the pairs closest to it, so the work grows
+ * with the nodes times the simple ratios plus the pairs taken. Options:
+ *   maxCents      - keep only the pairs within that many cents of their simple ratio
+ *                   (default Infinity, every pair), narrowing every window to match
+ *   limit         - keep only that many pairs, those closest to their simple ratio. Close
+ *                   to every pair matches some simple ratio, so the matches grow with the
+ *                   square of the nodes; once the limit is reached the sweep narrows its
+ *                   windows to the matches still closer than the kept ones
+ *   simplestCents - also give each pair the simplest ratio within that many cents of its
+ *                   interval (see simplestRatioWithin)
+ * @param {HarmonicStructure|BoundedStructure|Iterable<FrequencyNode>} structure
+ * @returns {RatioMatch[]}
+ */
+const analyzeFrequencyRatios = (structure, maxDenominator = 12, options = {}) => {
+	return completeSteps(frequencyRatioSteps(structure, maxDenominator, options));
+};
+
+/**
+ * Stepwise form of analyzeFrequencyRatios (same arguments), yielding an AnalysisProgress
+ * every ANALYSIS_PROGRESS_INTERVAL of work.
+ * @returns {Generator<AnalysisProgress, RatioMatch[]>}
+ */
+function* frequencyRatioSteps(structure, maxDenominator = 12, options = {}) {
+	const { maxCents = Infinity, simplestCents = null, limit = Infinity } = options;
+	if (!(maxDenominator >= 1 && maxDenominator <= RATIO_SWEEP_MAX_DENOMINATOR)) {
+		throw new Error(`The ratio denominator must be between 1 and ${RATIO_SWEEP_MAX_DENOMINATOR}`);
+	}
+	const valid = validFrequencyNodes(toNodeList(structure));
+	const frequencies = valid.map(({ node }) => node.frequency);
+	const kept = createBestKept(limit);
+	const table = simpleRatioTable(maxDenominator);
+	const cells = simpleRatioCells(table);
+
+	// Match of the pair i, j with the simple ratio table[r] closest to it
+	const ratioMatch = (i, j, r) => {
+		const freq1 = valid[i].node;
+		const freq2 = valid[j].node;
+		const actualRatio = freq1.frequency < freq2.frequency ?
+			freq1.frequency / freq2.frequency :
+			freq2.frequency / freq1.frequency;
+		const { num, den } = table[r];
+		const best = approximation(actualRatio, num, den);
+
+		// Exact ratio in the same (smaller / larger) orientation as actualRatio
+		const exactRatio = (freq1.ratio && freq2.ratio)
+			? divideRationals(RATIONAL_ONE, intervalBetween(freq1.ratio, freq2.ratio))
+			: null;
+
+		return {
+			freq1: freq1.frequency,
+			freq2: freq2.frequency,
+			path1: freq1.pathString,
+			path2: freq2.pathString,
+			actualRatio: actualRatio,
+			simpleRatio: [num, den],
+			difference: Math.abs(actualRatio - num / den),
+			cents: best.cents,
+			exactRatio: exactRatio,
+			isExactSimple: exactRatio !== null && rationalsEqual(exactRatio, best.ratio),
+			simplest: simplestCents ? simplestRatioWithin(1 / actualRatio, simplestCents) : null
+		};
+	};
+	const keptMatches = () => kept.inNodeOrder().map(({ i, j, r }) => ratioMatch(i, j, r));
+
+	// Sweep the sorted frequencies with a window per simple ratio: the lower frequencies of
+	// the pairs closest to num/den lie in a window that rises with the upper one. Each pair
+	// falls in the window of one simple ratio only.
+	const order = sortedFrequencyOrder(frequencies);
+	const starts = new Int32Array(table.length);
+	let work = 0;
+	for (let position = 0; position < order.length; position++) {
+		if (work >= ANALYSIS_PROGRESS_INTERVAL) {
+			work = 0;
+			yield { swept: position, total: order.length };
+		}
+		const j = order[position];
+		const upper = frequencies[j];
+		if (kept.bound() === 0) break; // Nothing can beat exact matches
+		const window = Math.pow(2, Math.min(maxCents, kept.bound()) / 1200);
+		for (let r = 0; r < table.length; r++) {
+			const { value } = table[r];
+			const lowest = Math.max(cells[r].low, value / window);
+			const highest = Math.min(cells[r].high, value * window);
+			while (starts[r] < position && frequencies[order[starts[r]]] / upper < lowest) starts[r]++;
+			work++;
+			for (let k = starts[r]; k < position; k++) {
+				const actualRatio = frequencies[order[k]] / upper;
+				if (actualRatio > highest || (actualRatio === cells[r].high && !cells[r].ownsHigh)) break;
+				work++;
+				if (actualRatio === cells[r].low && !cells[r].ownsLow) continue;
+				const i = order[k];
+				const cents = Math.abs(ratioToCents(actualRatio / value));
+				if (cents <= maxCents) kept.offer({ score: cents, i: Math.min(i, j), j: Math.max(i, j), r });
+			}
+		}
+	}
+
+	return keptMatches();
+}
+
+// Sethares' fit of the Plomp-Levelt roughness curve: two partials Δf apart, the lower at
+// f, are as rough as a1·a2·(e^(-b1·s·Δf) - e^(-b2·s·Δf)) with s = x / (s1·f + s2)
+const ROUGHNESS_CURVE = { x: 0.24, s1: 0.0207, s2: 18.96, b1: 3.51, b2: 5.75 };
+
+// Partials further apart than this many units of b1·s·Δf add nothing measurable
+const ROUGHNESS_CUTOFF = 40;
+
+/**
+ * Sethares roughness of frequencies sounded together as harmonic tones: partials
+ * (default 6) with amplitudes falling by rolloff (default 0.88) per partial. Only the
+ * roughness between different tones counts, so a single tone is 0. Partials are sorted
+ * and swept, comparing each only with those near enough to matter.
+ * @param {number[]} frequencies
+ * @returns {number}
+ */
+const setharesRoughness = (frequencies, { partials = 6, rolloff = 0.88 } = {}) => {
+	const { x, s1, s2, b1, b2 } = ROUGHNESS_CURVE;
+	const spectrum = [];
+	frequencies.forEach((frequency, tone) => {
+		for (let k = 1; k <= partials; k++) {
+			spectrum.push({ frequency: frequency * k, amplitude: Math.pow(rolloff, k - 1), tone });
+		}
+	});
+	spectrum.sort((a, b) => a.frequency - b.frequency);
+
+	let roughness = 0;
+	spectrum.forEach((lower, i) => {
+		const s = x / (s1 * lower.frequency + s2);
+		for (let j = i + 1; j < spectrum.length; j++) {
+			const upper = spectrum[j];
+			const spacing = s * (upper.frequency - lower.frequency);
+			if (b1 * spacing > ROUGHNESS_CUTOFF) break;
+			if (upper.tone === lower.tone) continue;
+			roughness += lower.amplitude * upper.amplitude * (Math.exp(-b1 * spacing) - Math.exp(-b2 * spacing));
+		}
+	});
+	return roughness;
+};
+
+// Harmonic entropy weighs the ratios n/d with n·d up to maxHeight, each by 1 / sqrt(n·d),
+// for intervals of up to HARMONIC_ENTROPY_MAX_CENTS - wider ones are taken octaves down
+const HARMONIC_ENTROPY_MAX_CENTS = 3600;
+const harmonicEntropyTables = new Map();
+
+// Ratios of a harmonic entropy table in increasing size, built once per height
+const harmonicEntropyTable = (maxHeight) => {
+	if (harmonicEntropyTables.has(maxHeight)) return harmonicEntropyTables.get(maxHeight);
+	const maxValue = Math.pow(2, HARMONIC_ENTROPY_MAX_CENTS / 1200 + 1);
+	const table = [];
+	for (let den = 1; den * den <= maxHeight; den++) {
+		for (let num = den; num * den <= maxHeight && num <= den * maxValue; num++) {
+			if (gcd(num, den) === 1) {
+				table.push({ cents: ratioToCents(num / den), weight: 1 / Math.sqrt(num * den) });
+			}
+		}
+	}
+	table.sort((a, b) => a.cents - b.cents);
+	harmonicEntropyTables.set(maxHeight, table);
+	return table;
+};
+
+/**
+ * Harmonic entropy (Erlich) of an interval in cents: how ambiguous it is which simple
+ * ratio the ear hears it as. Each ratio n/d (n·d up to maxHeight, default 10000) is heard
+ * with a probability falling off as a Gaussian of width s cents (default 17, about 1%)
+ * from its size, weighted by 1 / sqrt(n·d). Returns the entropy of those probabilities
+ * in nats - lowest at simple ratios.
+ * @param {number} cents
+ * @returns {number}
+ */
+const harmonicEntropy = (cents, { s = 17, maxHeight = 10000 } = {}) => {
+	let interval = Math.abs(cents);
+	while (interval > HARMONIC_ENTROPY_MAX_CENTS) interval -= 1200;
+	const table = harmonicEntropyTable(maxHeight);
+
+	// Only the ratios within a few widths of the interval carry any probability
+	let low = 0;
+	let high = table.length;
+	while (low < high) {
+		const middle = (low + high) >> 1;
+		if (table[middle].cents < interval - 6 * s) low = middle + 1;
+		else high = middle;
+	}
+	const probabilities = [];
+	for (let i = low; i < table.length && table[i].cents <= interval + 6 * s; i++) {
+		const distance = (table[i].cents - interval) / s;
+		probabilities.push(table[i].weight * Math.exp(-distance * distance / 2));
+	}
+	const total = probabilities.reduce((sum, p) => sum + p, 0);
+	if (!(total > 0)) return 0;
+	return probabilities.reduce((entropy, p) => (p > 0 ? entropy - (p / total) * Math.log(p / total) : entropy), 0);
+};
+
+/**
+ * Roughness, harmonic entropy and Tenney height of the interval between two frequencies.
+ * The Tenney height is that of ratio, the exact interval when known; otherwise of the
+ * simplest ratio within approximationCents (default 5) of the interval.
+ * Other options as for setharesRoughness and harmonicEntropy.
+ * @param {number} freq1
+ * @param {number} freq2
+ * @param {Rational|null} [ratio]
+ * @returns {IntervalConsonance}
+ */
+const intervalConsonance = (freq1, freq2, ratio = null, options = {}) => {
+	const { approximationCents = 5 } = options;
+	const interval = Math.max(freq1, freq2) / Math.min(freq1, freq2);
+	const cents = ratioToCents(interval);
+	const height = ratio || simplestRatioWithin(interval, approximationCents).ratio;
+	return {
+		cents: cents,
+		roughness: setharesRoughness([freq1, freq2], options),
+		harmonicEntropy: harmonicEntropy(cents, options),
+		ratio: height,
+		tenneyHeight: tenneyHeight(height)
+	};
+};
+
+/**
+ * Consonance of a set of frequencies - numbers, FrequencyNodes or a structure; nodes on
+ * the same pitch count once. The roughness is of all the tones together; harmonic
+ * entropy and Tenney height are averaged over every pair, or with pairs: "adjacent" over
+ * the intervals between neighbouring frequencies only, which stays fast for large sets.
+ * Other options as for intervalConsonance.
+ * @returns {ConsonanceMetrics}
+ */
+const measureConsonance = (source, options = {}) => {
+	const { pairs = "all" } = options;
+	const distinct = new Map();
+	(Array.isArray(source) ? source : toNodeList(source)).forEach(item => {
+		const node = typeof item === 'number' ? { frequency: item, ratio: null } : item;
+		if (!(node.frequency > 0)) return;
+		const key = frequencyKey(node);
+		if (!distinct.has(key)) distinct.set(key, node);
+	});
+	const nodes = Array.from(distinct.values()).sort((a, b) => a.frequency - b.frequency);
+
+	let measured = 0;
+	let entropySum = 0;
+	let heightSum = 0;
+	const measure = (a, b) => {
+		const interval = a.ratio && b.ratio ? intervalBetween(a.ratio, b.ratio) : null;
+		const consonance = intervalConsonance(a.frequency, b.frequency, interval, options);
+		measured++;
+		entropySum += consonance.harmonicEntropy;
+		heightSum += consonance.tenneyHeight;
+	};
+	for (let i = 0; i < nodes.length; i++) {
+		if (pairs === "adjacent") {
+			if (i + 1 < nodes.length) measure(nodes[i], nodes[i + 1]);
+			continue;
+		}
+		for (let j = i + 1; j < nodes.length; j++) measure(nodes[i], nodes[j]);
+	}
+
+	return {
+		size: nodes.length,
+		pairs: measured,
+		roughness: setharesRoughness(nodes.map(node => node.frequency), options),
+		harmonicEntropy: measured > 0 ? entropySum / measured : null,
+		tenneyHeight: measured > 0 ? heightSum / measured : null
+	};
+};
+
+/**
+ * measureConsonance of each level of a structure on its own (the base as level -1),
+ * over the intervals between neighbouring frequencies.
+ * @param {HarmonicStructure|BoundedStructure|Iterable<FrequencyNode>} structure
+ * @returns {Array<ConsonanceMetrics & { level: number }>}
+ */
+const consonanceByLevel = (structure, options = {}) => {
+	const levels = new Map();
+	toNodeList(structure).forEach(node => {
+		if (!levels.has(node.level)) levels.set(node.level, []);
+		levels.get(node.level).push(node);
+	});
+	return Array.from(levels.keys())
+		.sort((a, b) => a - b)
+		.map(level => ({ level, ...measureConsonance(levels.get(level), { ...options, pairs: "adjacent" }) }));
+};
+
+/**
+ * Roughness and harmonic entropy of an interval above a base frequency, every stepCents
+ * (default 5) from the unison to maxCents (default 1200) - the dissonance curve.
+ * Options as for setharesRoughness and harmonicEntropy.
+ * @returns {Array<{ cents: number, roughness: number, harmonicEntropy: number }>}
+ */
+const dissonanceCurve = (baseFreq, options = {}) => {
+	const { maxCents = 1200, stepCents = 5 } = options;
+	const curve = [];
+	for (let cents = 0; cents <= maxCents + 1e-9; cents += stepCents) {
+		curve.push({
+			cents: cents,
+			roughness: setharesRoughness([baseFreq, baseFreq * Math.pow(2, cents / 1200)], options),
+			harmonicEntropy: harmonicEntropy(cents, options)
+		});
+	}
+	return curve;
+};
+
+export {
+	ENGINE_VERSION,
+	// Exact ratios
+	makeRational,
+	RATIONAL_ONE,
+	multiplyRationals,
+	divideRationals,
+	rationalsEqual,
+	rationalToNumber,
+	rationalPower,
+	rationalKey,
+	parseRationalKey,
+	formatRational,
+	intervalBetween,
+	tenneyHeight,
+	rationalFromNumber,
+	ratioConvergents,
+	bestRationalApproximation,
+	simplestRatioWithin,
+	ratioToCents,
+	centsBetween,
+	centsToRelativeError,
+	relativeErrorToCents,
+	INTERVAL_NAMES,
+	nameInterval,
+	NAMED_COMMAS,
+	nameComma,
+	// Pitch notation
+	DEFAULT_REFERENCE_PITCH,
+	frequencyToMidi,
+	midiToFrequency,
+	nearestNote,
+	formatNoteName,
+	parsePitch,
+	// Prime factorisation and limits
+	rationalMonzo,
+	combineMonzos,
+	monzoPrimeLimit,
+	formatMonzo,
+	rationalOddLimit,
+	isWithinPrimeLimit,
+	hasHarmonicLimits,
+	withinHarmonicLimits,
+	AUDIBLE_BAND,
+	withinFrequencyBand,
+	// Tuning modes
+	JUST_INTONATION_RATIOS,
+	registerTuningMode,
+	getTuningMode,
+	listTuningModes,
+	resolveModeParams,
+	defaultTuningParams,
+	parseRatioValue,
+	parsePeriodValue,
+	formatRatioValue,
+	generateBaseFrequencies,
+	generateBaseRatios,
+	GENERATION_DIRECTIONS,
+	generateChildFrequencies,
+	generateChildRatios,
+	isUndertoneChild,
+	// Generation
+	generateHarmonicStructure,
+	iterateHarmonicNodes,
+	generateBoundedStructure,
+	boundedStructureSteps,
+	GENERATION_PROGRESS_INTERVAL,
+	extractAllFrequenciesWithPaths,
+	flattenFrequencies,
+	toNodeList,
+	frequencyKey,
+	completeSteps,
+	// Analysis
+	findShortestHarmonicPath,
+	shortestHarmonicPathSteps,
+	findWeightedHarmonicPath,
+	weightedHarmonicPathSteps,
+	findKBestHarmonicPaths,
+	kBestHarmonicPathsSteps,
+	findHarmonicRoute,
+	harmonicRouteSteps,
+	findHarmonicPathMatrix,
+	harmonicPathMatrixSteps,
+	pathMatrixToCsv,
+	describePathIntervals,
+	SEARCH_CANCELLED,
+	PATH_COST_FUNCTIONS,
+	PATH_RANKINGS,
+	PATH_TREE_HARMONICS,
+	WEIGHTED_MAX_FREQUENCIES,
+	parsePathOperators,
+	findCloseIndexPairs,
+	findCloseFrequencies,
+	closeFrequencySteps,
+	findCloseClusters,
+	findCommas,
+	analyzeFrequencyRatios,
+	frequencyRatioSteps,
+	ANALYSIS_PROGRESS_INTERVAL,
+	RATIO_SWEEP_MAX_DENOMINATOR,
+	groupByExactRatio,
+	countExactCoincidences,
+	buildHarmonicLattice,
+	// Consonance
+	setharesRoughness,
+	harmonicEntropy,
+	intervalConsonance,
+	measureConsonance,
+	consonanceByLevel,
+	dissonanceCurve,
+	// Scala files
+	parseScalaFile,
+	parseKeyboardMapping,
+	scalaToCustomRatios,
+	exportScalaFile,
+	deriveOctaveReducedScale,
+	// Pitch classes
+	reduceNodesToPeriod,
+	periodPitchClasses
+};
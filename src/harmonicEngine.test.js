@@ -0,0 +1,886 @@
+import {
+  ENGINE_VERSION,
+  makeRational,
+  multiplyRationals,
+  divideRationals,
+  rationalsEqual,
+  rationalToNumber,
+  rationalPower,
+  rationalKey,
+  parseRationalKey,
+  formatRational,
+  rationalFromNumber,
+  intervalBetween,
+  tenneyHeight,
+  nameInterval,
+  nameComma,
+  ratioConvergents,
+  bestRationalApproximation,
+  simplestRatioWithin,
+  centsBetween,
+  centsToRelativeError,
+  relativeErrorToCents,
+  DEFAULT_REFERENCE_PITCH,
+  frequencyToMidi,
+  midiToFrequency,
+  nearestNote,
+  formatNoteName,
+  parsePitch,
+  registerTuningMode,
+  getTuningMode,
+  listTuningModes,
+  resolveModeParams,
+  defaultTuningParams,
+  parsePeriodValue,
+  generateBaseFrequencies,
+  generateBaseRatios,
+  generateHarmonicStructure,
+  extractAllFrequenciesWithPaths,
+  flattenFrequencies,
+  generateBoundedStructure,
+  GENERATION_PROGRESS_INTERVAL,
+  buildHarmonicLattice,
+  setharesRoughness,
+  harmonicEntropy,
+  intervalConsonance,
+  measureConsonance,
+  consonanceByLevel,
+  dissonanceCurve,
+  findShortestHarmonicPath,
+  findWeightedHarmonicPath,
+  findKBestHarmonicPaths,
+  findHarmonicRoute,
+  findHarmonicPathMatrix,
+  pathMatrixToCsv,
+  describePathIntervals,
+  WEIGHTED_MAX_FREQUENCIES,
+  parsePathOperators,
+  findCloseFrequencies,
+  findCloseClusters,
+  findCommas,
+  analyzeFrequencyRatios,
+  RATIO_SWEEP_MAX_DENOMINATOR,
+  parseScalaFile,
+  parseKeyboardMapping,
+  scalaToCustomRatios,
+  exportScalaFile,
+  deriveOctaveReducedScale,
+  reduceNodesToPeriod,
+  periodPitchClasses
+} from './harmonicEngine';
+import { HARMONIC_TASKS, startHarmonicTask } from './harmonicTasks';
+
+describe('engine', () => {
+  test('is versioned semantically', () => {
+    expect(ENGINE_VERSION).toMatch(/^\d+\.\d+\.\d+$/);
+  });
+});
+
+describe('generation', () => {
+  test('grows each level from the one before', () => {
+    const structure = generateHarmonicStructure(100, 1, 3, 'harmonic');
+    expect(structure.levels).toEqual([
+      [100, 200, 300],
+      [[100, 200, 300], [200, 400, 600], [300, 600, 900]]
+    ]);
+  });
+
+  test('grows undertones in the utonal direction', () => {
+    const structure = generateHarmonicStructure(120, 0, 4, 'harmonic', null, { direction: 'utonal' });
+    expect(structure.levels[0]).toEqual([120, 60, 40, 30]);
+  });
+
+  test('lists every node with its path and exact ratio', () => {
+    const nodes = extractAllFrequenciesWithPaths(generateHarmonicStructure(100, 1, 3, 'harmonic', null, { exact: true }));
+    expect(nodes).toHaveLength(13);
+    expect(nodes[0]).toMatchObject({ frequency: 100, level: -1, pathString: 'Base' });
+    const node = nodes.find(entry => entry.pathString === 'H^1[2,1]');
+    expect(node).toMatchObject({ frequency: 600, level: 1, path: [2, 1] });
+    expect(formatRational(node.ratio)).toBe('6/1');
+  });
+
+  test('clips nodes outside the band with everything below them', () => {
+    const structure = generateHarmonicStructure(100, 1, 3, 'harmonic', null, { maxFrequency: 250 });
+    expect(flattenFrequencies(structure)).toEqual([100, 100, 200, 100, 200, 200]);
+    expect(structure.stats.clippedAbove).toBe(4);
+  });
+});
+
+describe('exact ratios', () => {
+  test('are reduced with a positive denominator', () => {
+    expect(makeRational(6n, 4n)).toEqual({ num: 3n, den: 2n });
+    expect(makeRational(3n, -6n)).toEqual({ num: -1n, den: 2n });
+    expect(() => makeRational(1n, 0n)).toThrow('Rational denominator cannot be zero');
+  });
+
+  test('multiply, divide and raise to powers exactly', () => {
+    const fifth = makeRational(3n, 2n);
+    const fourth = makeRational(4n, 3n);
+    expect(formatRational(multiplyRationals(fifth, fourth))).toBe('2/1');
+    expect(formatRational(divideRationals(fifth, fourth))).toBe('9/8');
+    expect(formatRational(rationalPower(fifth, 4))).toBe('81/16');
+    expect(formatRational(rationalPower(fifth, -2))).toBe('4/9');
+    // Far beyond Number precision
+    expect(formatRational(rationalPower(fifth, 60))).toBe(`${3n ** 60n}/${2n ** 60n}`);
+  });
+
+  test('round-trip through their keys', () => {
+    const ratio = makeRational(81n, 80n);
+    expect(rationalsEqual(parseRationalKey(rationalKey(ratio)), ratio)).toBe(true);
+    expect(parseRationalKey(null)).toBeNull();
+  });
+
+  test('are recovered from floats, but not from irrational values', () => {
+    expect(rationalFromNumber(4 / 3)).toEqual({ num: 4n, den: 3n });
+    expect(rationalToNumber(rationalFromNumber(7 / 4))).toBe(1.75);
+    expect(rationalFromNumber(Math.SQRT2)).toBeNull();
+  });
+
+  test('land different paths to one ratio on identical frequencies', () => {
+    const nodes = extractAllFrequenciesWithPaths(generateHarmonicStructure(440 / 3, 2, 7, 'harmonic', null, { exact: true }));
+    const byPath = (pathString) => nodes.find(node => node.pathString === pathString);
+    // 3·5·7 reached in two different orders
+    expect(byPath('H^2[2,4,6]').frequency).toBe(byPath('H^2[6,4,2]').frequency);
+    expect(formatRational(byPath('H^2[2,4,6]').ratio)).toBe('105/1');
+  });
+
+  test('measure intervals and their complexity', () => {
+    const fifth = makeRational(3n, 2n);
+    const third = makeRational(5n, 4n);
+    expect(formatRational(intervalBetween(third, fifth))).toBe('6/5');
+    expect(formatRational(intervalBetween(fifth, third))).toBe('6/5');
+    expect(tenneyHeight(fifth)).toBeCloseTo(Math.log2(6), 12);
+  });
+
+  test('are left out of tempered structures', () => {
+    const nodes = extractAllFrequenciesWithPaths(generateHarmonicStructure(440, 1, 12, 'equal', null, { exact: true }));
+    expect(nodes.find(node => node.pathString === 'H^0[0]').ratio).toEqual(makeRational(1n));
+    expect(nodes.find(node => node.pathString === 'H^0[1]').ratio).toBeNull();
+  });
+});
+
+const SCALE_TEXT = [
+  '! test.scl',
+  '!',
+  'Just major triad with a tempered seventh',
+  ' 4',
+  '!',
+  ' 5/4',
+  ' 3/2',
+  ' 968.826',
+  ' 2/1',
+  ''
+].join('\n');
+
+describe('Scala files', () => {
+  test('parse ratio and cents pitches, ending on the period', () => {
+    const scale = parseScalaFile(SCALE_TEXT);
+    expect(scale.description).toBe('Just major triad with a tempered seventh');
+    expect(scale.pitches.map(pitch => pitch.text)).toEqual(['5/4', '3/2', '968.826', '2/1']);
+    expect(formatRational(scale.pitches[0].ratio)).toBe('5/4');
+    expect(scale.pitches[2].ratio).toBeNull();
+    expect(scale.pitches[2].value).toBeCloseTo(Math.pow(2, 968.826 / 1200), 12);
+    expect(scale.period).toBe(2);
+  });
+
+  test('reject malformed files', () => {
+    expect(() => parseScalaFile('Too short')).toThrow('description and a note count');
+    expect(() => parseScalaFile('Short\n 3\n 3/2\n')).toThrow('declares 3 notes but only lists 1');
+    expect(() => parseScalaFile('Bad\n 1\n 3/0\n')).toThrow('Invalid ratio');
+  });
+
+  test('give custom-mode ratios starting at 1/1', () => {
+    const { ratios, baseFrequency } = scalaToCustomRatios(parseScalaFile(SCALE_TEXT));
+    expect(ratios.slice(0, 3)).toEqual([1, 1.25, 1.5]);
+    expect(ratios).toHaveLength(5);
+    expect(baseFrequency).toBeNull();
+  });
+
+  test('follow a keyboard mapping up from its middle note', () => {
+    const kbm = parseKeyboardMapping([
+      '! Every other degree',
+      '2', '60', '64', '60', '62', '440.0', '4',
+      '0', 'x'
+    ].join('\n'));
+    expect(kbm.mapping).toEqual([0, null]);
+    const { ratios, baseFrequency } = scalaToCustomRatios(parseScalaFile(SCALE_TEXT), kbm);
+    expect(ratios).toEqual([1, 2, 4]);
+    // The reference key 62 plays degree 4, one period above the middle note
+    expect(baseFrequency).toBeCloseTo(220, 9);
+  });
+
+  test('round-trip exported ratios, keeping fractions exact and tempered pitches in cents', () => {
+    const ratios = [1, 9 / 8, 5 / 4, Math.pow(2, 7 / 12), 2, 9 / 8];
+    const text = exportScalaFile(ratios, 'Round trip', 'round.scl');
+    expect(text.split('\n').slice(0, 4)).toEqual(['! round.scl', '!', 'Round trip', ' 4']);
+
+    const scale = parseScalaFile(text);
+    expect(scale.pitches.map(pitch => pitch.text)).toEqual(['9/8', '5/4', '700.000000', '2/1']);
+    expect(scale.pitches.map(pitch => pitch.value)).toEqual([9 / 8, 5 / 4, expect.closeTo(Math.pow(2, 7 / 12), 9), 2]);
+  });
+
+  test('derive an octave-reduced scale from a structure', () => {
+    const structure = generateHarmonicStructure(100, 1, 3, 'harmonic', null, { exact: true });
+    expect(deriveOctaveReducedScale(structure)).toEqual([1, 9 / 8, 3 / 2, 2]);
+    expect(deriveOctaveReducedScale(structure, 3)).toEqual([1, 4 / 3, 2, 3]);
+  });
+});
+
+// Last frequency of a path
+const reached = (result) => result.path[result.path.length - 1].frequency;
+
+describe('equal divisions', () => {
+  test('take any number of steps, past the 12 of the old table', () => {
+    const steps = generateBaseFrequencies(100, 40, 'edo', { divisions: 31 });
+    expect(steps).toHaveLength(40);
+    expect(steps[1]).toBeCloseTo(100 * Math.pow(2, 1 / 31), 12);
+    expect(steps[31]).toBe(200);
+    expect(getTuningMode('edo').describe({ divisions: 19, period: 2 })).toBe('19 equal divisions of 2 (63.158 cents per step)');
+  });
+
+  test('divide periods other than the octave', () => {
+    // Bohlen-Pierce: 13 steps to the tritave
+    expect(generateBaseFrequencies(100, 14, 'edo', { divisions: 13, period: 3 })[13]).toBe(300);
+    expect(parsePeriodValue('3/1')).toBe(3);
+    expect(parsePeriodValue('1901.955c')).toBeCloseTo(3, 8);
+    const ratios = generateBaseRatios(27, 'edo', { divisions: 13, period: 3 });
+    // Only whole periods are exact
+    expect(ratios.map(ratio => ratio && formatRational(ratio)).filter(Boolean)).toEqual(['1/1', '3/1', '9/1']);
+  });
+
+  test('work in generation and pathfinding', () => {
+    const structure = generateBoundedStructure(100, 1, 20, 'edo', { divisions: 19 });
+    expect(structure.nodes).toHaveLength(1 + 20 + 20 * 20);
+    const result = findShortestHarmonicPath(440, 440 * Math.pow(2, 2 / 19), { mode: 'edo', modeParams: { divisions: 19 }, toleranceCents: 0.01 });
+    expect(result.path.map(step => step.step)).toEqual(['Start', 'Tree→H^0[2]']);
+  });
+});
+
+describe('tuning mode registry', () => {
+  test('lists the built-in modes', () => {
+    expect(listTuningModes().map(definition => definition.name)).toEqual(['harmonic', 'just', 'equal', 'edo', 'custom']);
+  });
+
+  test('takes a generator registered once in every function', () => {
+    registerTuningMode({
+      name: 'stacked',
+      label: 'Stacked Generator',
+      params: [{ key: 'generator', label: 'Generator', type: 'number', default: 1.5 }],
+      generate: (f, nHarmonics, { generator }) => Array.from({ length: nHarmonics }, (_, i) => f * Math.pow(generator, i))
+    });
+    expect(resolveModeParams('stacked')).toEqual({ generator: 1.5 });
+    expect(defaultTuningParams().stacked).toEqual({ generator: 1.5 });
+    expect(generateBaseFrequencies(100, 3, 'stacked')).toEqual([100, 150, 225]);
+    expect(generateBaseFrequencies(100, 3, 'stacked', { generator: 2 })).toEqual([100, 200, 400]);
+    // Ratios are recovered from the frequencies when the mode gives no exact ones
+    expect(generateBaseRatios(3, 'stacked').map(formatRational)).toEqual(['1/1', '3/2', '9/4']);
+    expect(generateBoundedStructure(100, 1, 3, 'stacked').nodes).toHaveLength(1 + 3 + 9);
+    expect(findShortestHarmonicPath(100, 225, { mode: 'stacked', exact: true }).totalSteps).toBe(1);
+  });
+
+  test('rejects unknown modes, naming the registered ones', () => {
+    expect(() => generateBaseFrequencies(100, 3, 'pelog')).toThrow("Unknown mode 'pelog'. Registered modes: 'harmonic', 'just', 'equal', 'edo', 'custom'");
+    expect(() => registerTuningMode({ name: 'silent' })).toThrow('A tuning mode needs a name and a generate(f, nHarmonics, params) function');
+  });
+});
+
+describe('harmonic lattice', () => {
+  test('merges the nodes of one pitch, counting the paths to it', () => {
+    const lattice = buildHarmonicLattice(generateHarmonicStructure(100, 1, 3, 'harmonic', null, { exact: true }));
+    expect(lattice.treeNodeCount).toBe(13);
+    expect(lattice.nodes.map(node => node.id)).toEqual(['1/1', '2/1', '3/1', '4/1', '6/1', '9/1']);
+    const six = lattice.nodes.find(node => node.id === '6/1');
+    expect(six).toMatchObject({ frequency: 600, multiplicity: 2, paths: ['H^1[1,2]', 'H^1[2,1]'], parents: ['2/1', '3/1'], inDegree: 2 });
+    expect(lattice.nodes[1]).toMatchObject({ level: 0, levels: [0, 1], multiplicity: 3 });
+  });
+
+  test('has an edge per parent and child pitch, with unison steps only counted', () => {
+    const lattice = buildHarmonicLattice(generateHarmonicStructure(100, 1, 3, 'harmonic', null, { exact: true }));
+    expect(lattice.edges).toContainEqual({ source: '1/1', target: '2/1', count: 2 });
+    expect(lattice.edges).toHaveLength(6);
+    // The ×1 steps to H^0[0], H^1[0,0], H^1[1,0] and H^1[2,0]
+    expect(lattice.selfLoops).toBe(4);
+  });
+
+  test('is acyclic for otonal and utonal generation', () => {
+    ['otonal', 'utonal'].forEach(direction => {
+      const lattice = buildHarmonicLattice(generateHarmonicStructure(100, 2, 5, 'harmonic', null, { exact: true, direction }));
+      const frequency = new Map(lattice.nodes.map(node => [node.id, node.frequency]));
+      lattice.edges.forEach(edge => {
+        const rising = frequency.get(edge.target) > frequency.get(edge.source);
+        expect(rising).toBe(direction === 'otonal');
+      });
+    });
+  });
+
+  test('merges by frequency without exact ratios', () => {
+    const lattice = buildHarmonicLattice(generateHarmonicStructure(100, 1, 3, 'harmonic'));
+    expect(lattice.exact).toBe(false);
+    expect(lattice.nodes.map(node => node.multiplicity)).toEqual([3, 3, 3, 1, 2, 1]);
+  });
+});
+
+describe('path searches', () => {
+  test('BFS finds the path with the fewest steps', () => {
+    const result = findShortestHarmonicPath(440, 660, { exact: true });
+    expect(result.found).toBe(true);
+    expect(result.totalSteps).toBe(2);
+    expect(formatRational(result.exactRatio)).toBe('3/2');
+    expect(reached(result)).toBe(660);
+  });
+
+  test('stop at the frequency budget and say so', () => {
+    const result = findWeightedHarmonicPath(440, 495, { toleranceCents: 1, maxFrequencies: 16 });
+    expect(result.found).toBe(false);
+    expect(result.exploredFrequencies).toBe(16);
+    expect(result.reason).toBe('Max frequencies explored');
+  });
+
+  test('A* and Dijkstra find the same cheapest path within the default budget', () => {
+    const options = { exact: true, toleranceCents: 1 };
+    const astar = findWeightedHarmonicPath(440, 495, options);
+    const dijkstra = findWeightedHarmonicPath(440, 495, { ...options, algorithm: 'dijkstra' });
+    // ÷4, ×9 and ÷2 cost log2(4) + log2(9) + log2(2) in Tenney height
+    expect(astar.totalCost).toBeCloseTo(Math.log2(72), 12);
+    expect(dijkstra.totalCost).toBeCloseTo(astar.totalCost, 12);
+    expect(formatRational(astar.exactRatio)).toBe('9/8');
+    // The heuristic only saves work
+    expect(astar.exploredFrequencies).toBeLessThan(dijkstra.exploredFrequencies);
+    expect(dijkstra.exploredFrequencies).toBeLessThanOrEqual(WEIGHTED_MAX_FREQUENCIES);
+    expect(astar.path.reduce((sum, step) => sum + step.cost, 0)).toBeCloseTo(astar.totalCost, 12);
+  });
+
+  test('keep every tree move inside the frequency band', () => {
+    const result = findWeightedHarmonicPath(440, 495, { exact: true, toleranceCents: 1, algorithm: 'dijkstra', maxFrequency: 1000 });
+    expect(result.found).toBe(true);
+    expect(result.totalCost).toBeCloseTo(Math.log2(72), 12);
+    result.path.forEach(step => expect(step.frequency).toBeLessThanOrEqual(1000));
+  });
+
+  test('use only the operators given', () => {
+    const result = findWeightedHarmonicPath(440, 495, { exact: true, toleranceCents: 1, operators: '×3/2, ÷2' });
+    expect(result.path.map(step => step.step)).toEqual(['Start', '×3/2', '÷2', '×3/2']);
+    expect(findShortestHarmonicPath(440, 495, { exact: true, toleranceCents: 1, primeLimit: 2 }).found).toBe(false);
+  });
+
+  test('reject operators that do not move', () => {
+    expect(() => findWeightedHarmonicPath(440, 495, { operators: '×3/2, ×2/2 cost 0' }))
+      .toThrow('Operator ratios cannot be 1/1: "×2/2 cost 0"');
+    expect(() => findWeightedHarmonicPath(440, 495, { operators: '÷0c' })).toThrow('cannot be 1/1');
+    // Operator sets given as objects are checked too
+    expect(() => findWeightedHarmonicPath(440, 495, { operators: [{ type: 'ratio', ratio: 1 }] })).toThrow('cannot be 1/1');
+  });
+
+  test('list the k cheapest distinct paths in order of cost', () => {
+    const set = findKBestHarmonicPaths(440, 495, { k: 3, rankBy: 'cost', exact: true, toleranceCents: 1 });
+    expect(set.paths).toHaveLength(3);
+    const routes = set.paths.map(result => result.path.map(step => step.step).join(' '));
+    expect(new Set(routes).size).toBe(3);
+    set.paths.slice(1).forEach((result, i) => expect(result.totalCost).toBeGreaterThanOrEqual(set.paths[i].totalCost));
+  });
+});
+
+describe('long computations', () => {
+  const structureArgs = { baseFreq: 100, maxLevel: 3, nHarmonics: 12, mode: 'harmonic', modeParams: null, options: { exact: true }, threshold: 0.01, maxDenominator: 8, limit: 100 };
+
+  test('stop generating when asked and keep the nodes so far', () => {
+    let reports = 0;
+    const structure = generateBoundedStructure(100, 3, 12, 'harmonic', null, { onProgress: () => reports++, shouldStop: () => reports >= 2 });
+    expect(structure.nodes).toHaveLength(2 * GENERATION_PROGRESS_INTERVAL);
+    expect(structure.stats.cancelled).toBe(true);
+    expect(generateBoundedStructure(100, 3, 12, 'harmonic').stats.cancelled).toBeUndefined();
+  });
+
+  test('stop a search when asked and keep the closest frequency reached', () => {
+    let checks = 0;
+    const result = findShortestHarmonicPath(440, 123.456, { maxFrequencies: 100, shouldStop: () => ++checks >= 3 });
+    expect(result.found).toBe(false);
+    expect(result.reason).toBe('Cancelled');
+    expect(result.closest.path.length).toBeGreaterThan(1);
+  });
+
+  test('keep the analysis passes finished before a cancel', () => {
+    const steps = HARMONIC_TASKS.structure(structureArgs);
+    let progress = steps.next().value;
+    while (progress.pass !== 'ratios') progress = steps.next().value;
+    // Cancelled going into the ratios: close pairs and clusters are done
+    expect(progress.partial.cancelledPass).toBe('ratios');
+    expect(progress.partial.closePairs).toHaveLength(100);
+    expect(progress.partial.closeClusters.length).toBeGreaterThan(0);
+    expect(progress.partial.ratios).toEqual([]);
+  });
+
+  test('resolve a cancelled task with its partial result', async () => {
+    const immediate = startHarmonicTask('structure', structureArgs);
+    immediate.cancel();
+    await expect(immediate.promise).resolves.toBeNull();
+
+    const task = startHarmonicTask('structure', structureArgs, () => task.cancel());
+    const partial = await task.promise;
+    expect(partial.structure.stats.cancelled).toBe(true);
+    expect(() => startHarmonicTask('spectrum', {})).toThrow('Unknown harmonic task "spectrum"');
+  });
+});
+
+describe('routes', () => {
+  test('chain one search per leg and sum them', () => {
+    const route = findHarmonicRoute([440, 661, 1320], { exact: true, toleranceCents: 5 });
+    expect(route.found).toBe(true);
+    expect(route.segments.map(segment => [segment.source, segment.target])).toEqual([[440, 661], [661, 1320]]);
+    expect(route.totalSteps).toBe(route.segments.reduce((total, segment) => total + segment.result.totalSteps, 0));
+    expect(route.maxErrorCents).toBeLessThanOrEqual(5);
+    // The legs start from nominal targets, so the route has no exact ratio
+    expect(route.exactRatio).toBeNull();
+  });
+
+  test('continue from the frequency reached when asked', () => {
+    const route = findHarmonicRoute([440, 661, 1320], { exact: true, toleranceCents: 5, continueFromReached: true });
+    expect(route.segments[1].source).toBe(660);
+    expect(formatRational(route.exactRatio)).toBe('3/1');
+  });
+
+  test('report a failed leg and go on from its target', () => {
+    const route = findHarmonicRoute([440, 660, 550, 495], { exact: true, maxFrequencies: 200 });
+    expect(route.found).toBe(false);
+    expect(route.reason).toBe('Leg 2: Max frequencies explored');
+    expect(route.segments[2]).toMatchObject({ source: 550, target: 495 });
+    expect(route.segments[2].result.found).toBe(true);
+  });
+
+  test('sum the costs of weighted legs', () => {
+    const route = findHarmonicRoute([440, 660, 495], { exact: true, algorithm: 'dijkstra' });
+    expect(route.totalCost).toBeCloseTo(route.segments[0].result.totalCost + route.segments[1].result.totalCost, 12);
+    expect(() => findHarmonicRoute([440])).toThrow('A route needs at least two frequencies');
+  });
+});
+
+describe('pitch notation', () => {
+  test('reads frequencies, note names with cents and MIDI numbers', () => {
+    expect(parsePitch('440')).toBe(440);
+    expect(parsePitch('261.5 Hz')).toBe(261.5);
+    expect(parsePitch('a4')).toBe(440);
+    expect(parsePitch('C#5+14c')).toBeCloseTo(midiToFrequency(73.14), 10);
+    expect(parsePitch('Bb3 -20¢')).toBeCloseTo(midiToFrequency(57.8), 10);
+    expect(parsePitch('E5 +2 cents')).toBeCloseTo(660.0172, 4);
+    // Accidentals may cross the octave boundary
+    expect(parsePitch('B#3')).toBe(parsePitch('C4'));
+    expect(parsePitch('MIDI 69')).toBe(440);
+    expect(parsePitch('m60.5')).toBeCloseTo(midiToFrequency(60.5), 10);
+    ['H4', 'MIDI', '', 'A'].forEach(text => expect(parsePitch(text)).toBeNaN());
+  });
+
+  test('follows the reference pitch', () => {
+    expect(midiToFrequency(69)).toBe(DEFAULT_REFERENCE_PITCH);
+    expect(parsePitch('A4', 432)).toBe(432);
+    expect(frequencyToMidi(864, 432)).toBe(81);
+    expect(formatNoteName(432, 432)).toBe('A4');
+  });
+
+  test('names the nearest note and its deviation in cents', () => {
+    expect(formatNoteName(660)).toBe('E5 +2¢');
+    expect(formatNoteName(660, 440, 1)).toBe('E5 +2.0¢');
+    expect(formatNoteName(220 * Math.pow(2, -31 / 1200))).toBe('A3 -31¢');
+    // Deviations that round to zero are left out
+    expect(formatNoteName(440 * Math.pow(2, 0.3 / 1200))).toBe('A4');
+    expect(formatNoteName(0)).toBe('—');
+    expect(nearestNote(261.63)).toMatchObject({ name: 'C4', midi: 60, octave: 4 });
+  });
+});
+
+describe('tolerances in cents', () => {
+  test('convert exactly to and from relative errors', () => {
+    expect(centsToRelativeError(1200)).toBe(0.5);
+    expect(relativeErrorToCents(0.5)).toBe(1200);
+    expect(relativeErrorToCents(centsToRelativeError(5))).toBeCloseTo(5, 12);
+    expect(centsBetween(880, 440)).toBe(1200);
+  });
+
+  test('mean the same interval at every pitch', () => {
+    const nodes = [100, 100.5, 1000, 1005, 1010].map(frequency => ({ frequency }));
+    const pairs = findCloseFrequencies(nodes, 0, { thresholdCents: 9 });
+    expect(pairs.map(pair => [pair.freq1, pair.freq2])).toEqual([[100, 100.5], [1000, 1005], [1005, 1010]]);
+    pairs.forEach(pair => expect(pair.cents).toBeLessThan(9));
+  });
+
+  test('bound the error of a path search', () => {
+    // 440 to 445 Hz is about 19.6 cents
+    const within = findShortestHarmonicPath(440, 445, { toleranceCents: 20 });
+    expect(within.found).toBe(true);
+    expect(within.totalSteps).toBe(0);
+    expect(within.finalErrorCents).toBeCloseTo(centsBetween(440, 445), 12);
+    expect(findShortestHarmonicPath(440, 445, { toleranceCents: 19, maxFrequencies: 8 }).found).toBe(false);
+  });
+});
+
+describe('path matrix', () => {
+  const matrix = findHarmonicPathMatrix([440, 550, 660], { exact: true });
+
+  test('searches every ordered pair', () => {
+    expect(matrix.cells.map((row, i) => row[i])).toEqual([null, null, null]);
+    expect(matrix.pairsSearched).toBe(6);
+    expect(matrix.pairsFound).toBe(matrix.cells.flat().filter(result => result && result.found).length);
+    expect(matrix.exploredFrequencies).toBe(matrix.cells.flat().reduce((total, result) => total + (result ? result.exploredFrequencies : 0), 0));
+    expect(formatRational(matrix.cells[0][2].exactRatio)).toBe('3/2');
+    expect(() => findHarmonicPathMatrix([440])).toThrow('A path matrix needs at least two frequencies');
+  });
+
+  test('keeps the pairs searched before a cancel', () => {
+    let checks = 0;
+    const partial = findHarmonicPathMatrix([440, 550, 660], { exact: true, shouldStop: () => ++checks > 3 });
+    expect(partial.reason).toBe('Cancelled');
+    expect(partial.pairsSearched).toBeLessThan(6);
+  });
+
+  test('writes one CSV row per pair searched', () => {
+    const lines = pathMatrixToCsv(matrix).split('\n');
+    expect(lines[0]).toBe('from_hz,to_hz,found,steps,trees,cost,error_cents,error_relative,exact_ratio,path,reason');
+    expect(lines).toHaveLength(1 + 6 + 1);
+    expect(lines[2]).toBe('440,660,true,2,1,,0,0,3/2,Start → Tree→H^0[2] → ÷2,');
+    const weighted = pathMatrixToCsv(findHarmonicPathMatrix([440, 660], { exact: true, algorithm: 'astar' })).split('\n');
+    expect(weighted[1].split(',')[5]).toBe(String(Math.log2(6)));
+  });
+
+  test('quotes CSV fields holding commas and quotes', () => {
+    const failed = { found: false, path: [], exactRatio: null, reason: 'Said "no", twice' };
+    expect(pathMatrixToCsv({ frequencies: [1, 2], cells: [[null, failed], [null, null]] }).split('\n')[1])
+      .toBe('1,2,false,,,,,,,,"Said ""no"", twice"');
+  });
+});
+
+describe('operator sets', () => {
+  const steps = (result) => result.path.map(step => step.step);
+
+  test('read ratios, divisions, cents, trees and the mode, with costs and limits', () => {
+    const operators = parsePathOperators('×3/2 cost 1, ×5/4 cost 2 max 2\n÷2, tree2, mode, ×700c');
+    expect(operators.map(operator => operator.type)).toEqual(['ratio', 'ratio', 'ratio', 'tree', 'mode', 'ratio']);
+    expect(operators[0]).toEqual({ type: 'ratio', ratio: makeRational(3n, 2n), cost: 1, maxUses: null });
+    expect(operators[1]).toMatchObject({ cost: 2, maxUses: 2 });
+    expect(operators[2].ratio).toEqual(makeRational(1n, 2n));
+    expect(operators[3].depth).toBe(2);
+    expect(operators[5].ratio).toBeCloseTo(Math.pow(2, 700 / 1200), 12);
+  });
+
+  test('throw on moves they cannot read', () => {
+    expect(() => parsePathOperators(' , ')).toThrow('An operator set needs at least one move');
+    expect(() => parsePathOperators('×3/2 cost')).toThrow('Invalid operator "×3/2 cost"');
+    expect(() => parsePathOperators('×3/2 max 1.5')).toThrow('Invalid operator "×3/2 max 1.5"');
+    expect(() => parsePathOperators('fifth')).toThrow('Invalid operator "fifth". Use e.g. ×3/2, ÷2, ×700c, tree, tree2 or mode');
+    expect(() => parsePathOperators('÷3/0')).toThrow('Operator ratios must be positive: "÷3/0"');
+  });
+
+  test('limit how often one path uses a move', () => {
+    const options = { exact: true, operators: '×3/2 max 2, ÷2', maxSteps: 8, maxFrequencies: 100 };
+    expect(steps(findShortestHarmonicPath(440, 495, options))).toEqual(['Start', '×3/2', '×3/2', '÷2']);
+    // Four fifths take ×3/2 more often than allowed
+    expect(findShortestHarmonicPath(440, 440 * 81 / 64, options).found).toBe(false);
+  });
+
+  test('cost what they are given in the weighted searches', () => {
+    const options = { exact: true, toleranceCents: 1 };
+    const stacked = findWeightedHarmonicPath(440, 495, { ...options, operators: '×3/2 cost 1, ÷2 cost 0.5, ×9/8 cost 10' });
+    expect(stacked.totalCost).toBe(2.5);
+    expect(stacked.path.map(step => step.cost)).toEqual([0, 0.5, 1, 1]);
+    const direct = findWeightedHarmonicPath(440, 495, { ...options, operators: '×3/2 cost 1, ÷2 cost 0.5, ×9/8 cost 2' });
+    expect(steps(direct)).toEqual(['Start', '×9/8']);
+  });
+
+  test('move by the ratios of the mode or by cents', () => {
+    expect(steps(findShortestHarmonicPath(440, 550, { exact: true, operators: 'mode', mode: 'just' }))).toEqual(['Start', '×5/4']);
+    expect(steps(findShortestHarmonicPath(440, 440 * Math.pow(2, 7 / 12), { toleranceCents: 0.01, operators: '×700c' }))).toEqual(['Start', '×700.000c']);
+  });
+});
+
+describe('path intervals', () => {
+  const fifths = { exact: true, operators: '×3/2, ÷2' };
+
+  test('give each step its ratio and the ratio from the source', () => {
+    const intervals = describePathIntervals(findShortestHarmonicPath(440, 495, fifths), 495);
+    expect(intervals.steps.map(step => formatRational(step.stepRatio))).toEqual(['1/1', '3/2', '3/2', '1/2']);
+    expect(intervals.steps.map(step => formatRational(step.ratio))).toEqual(['1/1', '3/2', '9/4', '9/8']);
+    expect(intervals.steps[3].stepCents).toBeCloseTo(-1200, 10);
+    expect(intervals.cents).toBeCloseTo(1200 * Math.log2(9 / 8), 10);
+    expect(intervals.interval.name).toBe('major whole tone');
+    expect(intervals.commaCents).toBe(0);
+  });
+
+  test('name the comma by which a path misses its target', () => {
+    const result = findWeightedHarmonicPath(440, 550, { ...fifths, toleranceCents: 25, maxSteps: 10, maxFrequencies: 400 });
+    const intervals = describePathIntervals(result, 550);
+    expect(intervals.interval.name).toBe('Pythagorean major third');
+    expect(formatRational(intervals.commaRatio)).toBe('80/81');
+    expect(intervals.commaCents).toBeCloseTo(-1200 * Math.log2(81 / 80), 10);
+    expect(intervals.commaName).toBe('syntonic comma');
+  });
+
+  test('recover ratios from the frequencies, and leave tempered ones inexact', () => {
+    expect(formatRational(describePathIntervals(findShortestHarmonicPath(440, 660), 660).ratio)).toBe('3/2');
+    const third = 440 * Math.pow(2, 4 / 12);
+    const tempered = describePathIntervals(findShortestHarmonicPath(440, third, { mode: 'equal', toleranceCents: 0.01 }), third);
+    expect(tempered.ratio).toBeNull();
+    expect(tempered.steps[1].stepRatio).toBeNull();
+    expect(tempered.interval).toMatchObject({ name: '≈ major third', named: false });
+  });
+
+  test('name intervals past the octave and known commas', () => {
+    expect(nameInterval(makeRational(9n, 4n))).toMatchObject({ name: 'major whole tone + 1 octave', octaves: 1 });
+    expect(nameComma(makeRational(81n, 80n))).toBe('syntonic comma');
+    expect(nameComma(makeRational(7n, 5n))).toBeNull();
+  });
+});
+
+describe('close pairs and ratios', () => {
+  // 400 nodes, well past the old 100-node cap of the ratio analysis
+  const structure = generateBoundedStructure(110, 2, 7, 'harmonic', null, { exact: true });
+  const pairKeys = (pairs) => pairs.map(pair => `${pair.path1}|${pair.path2}`).sort();
+  // |cents| of the n-th closest entry
+  const nthClosest = (entries, n) => entries.map(entry => Math.abs(entry.cents)).sort((a, b) => a - b)[n - 1];
+
+  test('the sweep finds the pairs a comparison of every pair finds', () => {
+    const frequencies = structure.nodes.map(node => node.frequency);
+    let expected = 0;
+    frequencies.forEach((a, i) => frequencies.slice(i + 1).forEach(b => {
+      if (Math.abs(a - b) / Math.max(a, b) < 0.02) expected++;
+    }));
+    expect(findCloseFrequencies(structure, 0.02, { includeCoincident: true })).toHaveLength(expected);
+
+    const pairs = findCloseFrequencies(structure, 0.02);
+    expect(pairs.length).toBeGreaterThan(0);
+    expect(pairs.length).toBeLessThan(expected);
+    pairs.forEach(pair => expect(pair.coincident).toBe(false));
+  });
+
+  test('a limit keeps the closest pairs', () => {
+    const pairs = findCloseFrequencies(structure, 0.02);
+    const kept = findCloseFrequencies(structure, 0.02, { limit: 5 });
+    expect(kept).toHaveLength(5);
+    kept.forEach(pair => expect(Math.abs(pair.cents)).toBeLessThanOrEqual(nthClosest(pairs, 5)));
+  });
+
+  test('clusters hold only mutually close frequencies', () => {
+    const clusters = findCloseClusters(structure, 0.02);
+    expect(clusters.length).toBeGreaterThan(0);
+    clusters.forEach(cluster => {
+      expect(cluster.nodes.length).toBeGreaterThanOrEqual(2);
+      expect((cluster.max - cluster.min) / cluster.max).toBeLessThan(0.02);
+    });
+  });
+
+  test('the ratio sweep matches every pair with its closest simple ratio, without a node cap', () => {
+    const everyPair = analyzeFrequencyRatios(structure, 8);
+    expect(everyPair).toHaveLength(400 * 399 / 2);
+    everyPair.forEach(match => {
+      const closest = bestRationalApproximation(match.actualRatio, 8);
+      expect(match.difference).toBeLessThanOrEqual(Math.abs(match.actualRatio - rationalToNumber(closest.ratio)) + 1e-12);
+    });
+    const swept = analyzeFrequencyRatios(structure, 8, { maxCents: 5 });
+    expect(pairKeys(swept)).toEqual(pairKeys(everyPair.filter(match => Math.abs(match.cents) <= 5)));
+  });
+
+  test('a pair halfway between two simple ratios matches the simpler', () => {
+    const nodes = [300, 400].map(frequency => ({ frequency, pathString: `${frequency}` }));
+    // 3/4 is halfway between 1/2 and 1/1
+    expect(analyzeFrequencyRatios(nodes, 2)[0].simpleRatio).toEqual([1, 1]);
+    expect(analyzeFrequencyRatios(nodes, 4)[0].simpleRatio).toEqual([3, 4]);
+  });
+
+  test('the ratio sweep takes denominators up to its bound', () => {
+    expect(analyzeFrequencyRatios(structure, RATIO_SWEEP_MAX_DENOMINATOR, { limit: 10 })).toHaveLength(10);
+    expect(() => analyzeFrequencyRatios(structure, RATIO_SWEEP_MAX_DENOMINATOR + 1))
+      .toThrow(`The ratio denominator must be between 1 and ${RATIO_SWEEP_MAX_DENOMINATOR}`);
+  });
+
+  test('a limit keeps the ratio matches closest to their simple ratio', () => {
+    const swept = analyzeFrequencyRatios(structure, 8, { maxCents: 5 });
+    const kept = analyzeFrequencyRatios(structure, 8, { maxCents: 5, limit: 20 });
+    expect(kept).toHaveLength(20);
+    kept.forEach(match => expect(Math.abs(match.cents)).toBeLessThanOrEqual(nthClosest(swept, 20)));
+  });
+});
+
+describe('rational approximation', () => {
+  const EQUAL_FIFTH = Math.pow(2, 7 / 12);
+  const formatted = (approximations) => approximations.map(approximation => formatRational(approximation.ratio));
+
+  test('lists the convergents of the continued fraction with their partial quotients', () => {
+    const convergents = ratioConvergents(Math.PI, 40000);
+    expect(formatted(convergents)).toEqual(['3/1', '22/7', '333/106', '355/113', '103993/33102', '104348/33215']);
+    expect(convergents.map(convergent => convergent.term)).toEqual([3, 7, 15, 1, 292, 1]);
+    expect(convergents[1].cents).toBeCloseTo(1200 * Math.log2(Math.PI * 7 / 22), 12);
+    expect(formatted(ratioConvergents(0.3))).toEqual(['1/3', '2/7', '3/10']);
+    expect(ratioConvergents(-1)).toEqual([]);
+  });
+
+  test('finds the closest fraction within a denominator bound, semiconvergents included', () => {
+    expect(formatRational(bestRationalApproximation(Math.PI, 7).ratio)).toBe('22/7');
+    expect(formatRational(bestRationalApproximation(Math.PI, 100).ratio)).toBe('311/99');
+    expect(formatRational(bestRationalApproximation(EQUAL_FIFTH, 12).ratio)).toBe('3/2');
+    // Denominators far beyond the old brute-force bound of 24
+    const close = bestRationalApproximation(EQUAL_FIFTH, 1000000);
+    expect(close.ratio.den).toBeGreaterThan(100000n);
+    expect(Math.abs(close.cents)).toBeLessThan(1e-6);
+  });
+
+  test('finds the simplest fraction within a window in cents', () => {
+    expect(formatRational(simplestRatioWithin(EQUAL_FIFTH, 5).ratio)).toBe('3/2');
+    const majorThird = Math.pow(2, 4 / 12);
+    expect(formatRational(simplestRatioWithin(majorThird, 15).ratio)).toBe('5/4');
+    const narrow = simplestRatioWithin(majorThird, 5);
+    expect(formatRational(narrow.ratio)).toBe('24/19');
+    expect(Math.abs(narrow.cents)).toBeLessThanOrEqual(5);
+    expect(() => simplestRatioWithin(1.5, 0)).toThrow('The window must be more than 0 cents');
+  });
+
+  test('gives every ratio match its simplest fraction when asked', () => {
+    const matches = analyzeFrequencyRatios(generateBoundedStructure(100, 1, 5, 'harmonic'), 4, { simplestCents: 10 });
+    expect(matches.length).toBeGreaterThan(0);
+    matches.forEach(match => {
+      expect(Math.abs(match.simplest.cents)).toBeLessThanOrEqual(10);
+      // The simplest fraction describes the interval upwards
+      expect(rationalToNumber(match.simplest.ratio)).toBeCloseTo(Math.max(match.actualRatio, 1 / match.actualRatio), 1);
+    });
+  });
+});
+
+describe('consonance', () => {
+  const FIFTH = 1200 * Math.log2(3 / 2);
+  const equalFifth = 440 * Math.pow(2, 7 / 12);
+
+  test('roughness counts only partials of different tones', () => {
+    expect(setharesRoughness([440])).toBe(0);
+    expect(setharesRoughness([660, 440])).toBe(setharesRoughness([440, 660]));
+    // The just fifth is smoother than the tempered one, and far smoother than a semitone
+    expect(setharesRoughness([440, 660])).toBeLessThan(setharesRoughness([440, equalFifth]));
+    expect(setharesRoughness([440, equalFifth])).toBeLessThan(setharesRoughness([440, 466.16]));
+  });
+
+  test('harmonic entropy is lowest at simple ratios', () => {
+    expect(harmonicEntropy(0)).toBeLessThan(harmonicEntropy(FIFTH));
+    expect(harmonicEntropy(FIFTH)).toBeLessThan(harmonicEntropy(650));
+    expect(harmonicEntropy(-FIFTH)).toBe(harmonicEntropy(FIFTH));
+    // Intervals wider than three octaves are taken octaves down
+    expect(harmonicEntropy(FIFTH + 4800)).toBeCloseTo(harmonicEntropy(FIFTH + 2400), 12);
+  });
+
+  test('measures an interval by its exact ratio, or the simplest one near it', () => {
+    const just = intervalConsonance(440, 660, makeRational(3n, 2n));
+    expect(just.cents).toBeCloseTo(FIFTH, 10);
+    expect(just.tenneyHeight).toBeCloseTo(Math.log2(6), 12);
+    const tempered = intervalConsonance(equalFifth, 440);
+    expect(formatRational(tempered.ratio)).toBe('3/2');
+    expect(tempered.roughness).toBe(setharesRoughness([440, equalFifth]));
+  });
+
+  test('measures sets over every pair or neighbouring pairs, each pitch once', () => {
+    const structure = generateHarmonicStructure(100, 1, 4, 'harmonic', null, { exact: true });
+    const all = measureConsonance(structure);
+    expect(all).toMatchObject({ size: 9, pairs: 36 });
+    expect(measureConsonance(structure, { pairs: 'adjacent' })).toMatchObject({ size: 9, pairs: 8, roughness: all.roughness });
+    expect(measureConsonance([440, 550, 660]).tenneyHeight).toBeCloseTo((Math.log2(20) + Math.log2(6) + Math.log2(30)) / 3, 12);
+
+    const levels = consonanceByLevel(structure);
+    expect(levels.map(level => [level.level, level.size])).toEqual([[-1, 1], [0, 4], [1, 9]]);
+    expect(levels[0]).toMatchObject({ pairs: 0, roughness: 0, harmonicEntropy: null });
+  });
+
+  test('charts roughness and entropy from the unison up', () => {
+    const curve = dissonanceCurve(440, { stepCents: 100 });
+    expect(curve.map(point => point.cents)).toEqual([0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200]);
+    expect(curve[7].roughness).toBeLessThan(curve[1].roughness);
+    expect(curve[0].harmonicEntropy).toBe(harmonicEntropy(0));
+  });
+});
+
+describe('commas', () => {
+  const node = (num, den, pathString) => {
+    const ratio = makeRational(num, den);
+    return { frequency: 64 * rationalToNumber(ratio), ratio, pathString, level: 0 };
+  };
+  const nodes = [
+    node(81n, 64n, 'ditone'),
+    node(5n, 4n, 'third'),
+    node(16n, 9n, 'minor seventh'),
+    node(7n, 4n, 'harmonic seventh'),
+    node(3n, 2n, 'fifth'),
+    node(3n, 2n, 'fifth again')
+  ];
+
+  test('groups close pairs by their exact interval, smallest first, with its name', () => {
+    const report = findCommas(nodes);
+    expect(report).toMatchObject({ pairs: 2, inexactPairs: 0 });
+    expect(report.commas.map(comma => [formatRational(comma.ratio), comma.name])).toEqual([
+      ['81/80', 'syntonic comma'],
+      ['64/63', 'septimal comma']
+    ]);
+    expect(report.commas[0].monzo).toEqual({ 2: -4, 3: 4, 5: -1 });
+    expect(report.commas[0].pairs).toMatchObject([{ freq1: 80, freq2: 81, path1: 'third', path2: 'ditone' }]);
+  });
+
+  test('stops at maxCents', () => {
+    expect(findCommas(nodes, { maxCents: 25 }).commas.map(comma => comma.name)).toEqual(['syntonic comma']);
+  });
+
+  test('recovers the ratios of nodes without exact ones', () => {
+    const plain = nodes.map(({ ratio, ...rest }) => rest);
+    expect(findCommas(plain).commas.map(comma => formatRational(comma.ratio))).toEqual(['81/80', '64/63']);
+  });
+
+  test('counts tempered pairs without grouping them', () => {
+    const tempered = [
+      { frequency: 440, pathString: 'a', level: 0 },
+      { frequency: 440 * Math.pow(2, 1 / 120), pathString: 'b', level: 0 }
+    ];
+    expect(findCommas(tempered)).toEqual({ commas: [], pairs: 0, inexactPairs: 1 });
+  });
+
+  test('names commas either way up', () => {
+    expect(nameComma(makeRational(80n, 81n))).toBe('syntonic comma');
+    expect(nameComma(makeRational(32805n, 32768n))).toBe('schisma');
+    expect(nameComma(makeRational(3n, 2n))).toBeNull();
+  });
+});
+
+describe('pitch classes', () => {
+  const structure = generateHarmonicStructure(440, 1, 3, 'harmonic', null, { exact: true });
+
+  test('fold every node into the period above the base, keeping its path and level', () => {
+    const reduced = reduceNodesToPeriod(structure);
+    expect(reduced).toHaveLength(13);
+    const last = reduced[reduced.length - 1];
+    expect(last).toMatchObject({ pathString: 'H^1[2,2]', level: 1, frequency: 495, absoluteFrequency: 3960, periods: 3 });
+    expect(formatRational(last.ratio)).toBe('9/8');
+    expect(last.monzo).toEqual({ 2: -3, 3: 2 });
+    expect(last.cents).toBeCloseTo(203.91, 2);
+    expect(reduced.every(node => node.frequency >= 440 && node.frequency < 880)).toBe(true);
+  });
+
+  test('fold by other periods, and plain node lists from their lowest node', () => {
+    expect(reduceNodesToPeriod(structure, 3).map(node => formatRational(node.ratio))).toContain('4/3');
+    const plain = [
+      { frequency: 110, pathString: 'a', level: 0 },
+      { frequency: 330, pathString: 'b', level: 0 },
+      { frequency: 1320, pathString: 'c', level: 1 }
+    ];
+    expect(reduceNodesToPeriod(plain).map(node => [node.frequency, node.periods, node.ratio])).toEqual([
+      [110, 0, null],
+      [165, 1, null],
+      [165, 3, null]
+    ]);
+    expect(reduceNodesToPeriod(structure, 1)).toEqual([]);
+  });
+
+  test('merge nodes on the same ratio, counting them and the periods they came from', () => {
+    const classes = periodPitchClasses(structure);
+    expect(classes.map(pitchClass => [formatRational(pitchClass.ratio), pitchClass.pathString, pitchClass.count, pitchClass.registers])).toEqual([
+      ['1/1', 'Base', 7, [0, 1, 2]],
+      ['9/8', 'H^1[2,2]', 1, [3]],
+      ['3/2', 'H^0[2]', 5, [1, 2]]
+    ]);
+  });
+
+  test('are nodes the analyses accept', () => {
+    const pairs = findCloseFrequencies(periodPitchClasses(structure), 0.12);
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0]).toMatchObject({ freq1: 440, freq2: 495, path1: 'Base', path2: 'H^1[2,2]' });
+    expect(formatRational(pairs[0].interval)).toBe('9/8');
+  });
+});
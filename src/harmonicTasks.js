@@ -0,0 +1,159 @@
+// Long-running computations of the explorer as stepwise tasks. They run in a Web Worker
+// (harmonicWorker.js) and, where no worker is available, in time slices on the main thread;
+// either way they report progress and can be cancelled, keeping their partial results.
+import {
+	boundedStructureSteps,
+	closeFrequencySteps,
+	findCloseClusters,
+	frequencyRatioSteps,
+	countExactCoincidences,
+	periodPitchClasses,
+	shortestHarmonicPathSteps,
+	weightedHarmonicPathSteps,
+	kBestHarmonicPathsSteps,
+	harmonicRouteSteps,
+	harmonicPathMatrixSteps
+} from './harmonicEngine';
+
+// The structure behind every tab, with its close pairs, clusters and ratio analysis - every
+// pair's closest simple ratio, or with ratioCents only the pairs that close to one. Close
+// pairs and ratios keep only the closest limit of each, flagging when more were found
+// (closePairsTruncated, ratiosTruncated), and are sorted closest first so that tables can
+// page through them as they are. With reducePeriod set the analysis runs on the
+// structure's pitch classes within that period instead of its absolute nodes.
+// A generation cancelled part way keeps the nodes generated so far and skips the analysis;
+// an analysis cancelled part way keeps the passes it finished, and names the one it was in.
+function* structureAnalysisSteps({ baseFreq, maxLevel, nHarmonics, mode, modeParams, options, threshold, maxDenominator, ratioCents = null, reducePeriod = null, limit = Infinity }) {
+	const analysis = (structure) => ({
+		structure,
+		closePairs: [],
+		closePairsTruncated: false,
+		closeClusters: [],
+		ratios: [],
+		ratiosTruncated: false,
+		exactCoincidences: 0,
+		pitchClasses: null,
+		cancelledPass: null
+	});
+	const generation = boundedStructureSteps(baseFreq, maxLevel, nHarmonics, mode, modeParams, options);
+	let structure = null;
+	for (;;) {
+		const { value, done } = generation.next();
+		if (done) {
+			structure = value;
+			break;
+		}
+		yield { phase: "generating", ...value, partial: analysis(value.partial) };
+	}
+
+	const result = analysis(structure);
+	const analysing = (pass, sweep = {}) => ({
+		phase: "analysing",
+		pass,
+		nodesGenerated: structure.nodes.length,
+		level: maxLevel,
+		queueSize: 0,
+		...sweep,
+		partial: { ...result, cancelledPass: pass }
+	});
+
+	if (reducePeriod) {
+		yield analysing("pitch classes");
+		result.pitchClasses = periodPitchClasses(structure, reducePeriod);
+	}
+	const analysed = result.pitchClasses || structure;
+
+	// One match more than the limit is asked for, which tells whether any were left out
+	const closest = (matches, distance) => matches.sort((a, b) => distance(a) - distance(b)).slice(0, limit);
+
+	yield analysing("close pairs");
+	const closePairs = yield* analysisPass(closeFrequencySteps(analysed, threshold, { limit: limit + 1 }), sweep => analysing("close pairs", sweep));
+	result.closePairs = closest(closePairs, pair => pair.difference);
+	result.closePairsTruncated = closePairs.length > limit;
+
+	yield analysing("clusters");
+	result.closeClusters = findCloseClusters(analysed, threshold);
+
+	yield analysing("ratios");
+	const ratioOptions = { maxCents: ratioCents !== null ? ratioCents : Infinity, limit: limit + 1 };
+	const ratios = yield* analysisPass(frequencyRatioSteps(analysed, maxDenominator, ratioOptions), sweep => analysing("ratios", sweep));
+	result.ratios = closest(ratios, match => Math.abs(match.cents));
+	result.ratiosTruncated = ratios.length > limit;
+
+	yield analysing("exact coincidences");
+	result.exactCoincidences = options.exact ? countExactCoincidences(structure) : 0;
+	return result;
+}
+
+// Run the steps of one analysis pass, turning each AnalysisProgress into progress of the task
+function* analysisPass(steps, progress) {
+	for (;;) {
+		const { value, done } = steps.next();
+		if (done) return value;
+		yield progress(value);
+	}
+}
+
+// Every task takes a single, structured-cloneable argument object and returns a generator
+// whose progress values carry the partial result to keep if the task is cancelled
+const HARMONIC_TASKS = {
+	structure: structureAnalysisSteps,
+	shortestPath: ({ sourceFreq, targetFreq, options }) => shortestHarmonicPathSteps(sourceFreq, targetFreq, options),
+	weightedPath: ({ sourceFreq, targetFreq, options }) => weightedHarmonicPathSteps(sourceFreq, targetFreq, options),
+	kBestPaths: ({ sourceFreq, targetFreq, options }) => kBestHarmonicPathsSteps(sourceFreq, targetFreq, options),
+	route: ({ frequencies, options }) => harmonicRouteSteps(frequencies, options),
+	pathMatrix: ({ frequencies, options }) => harmonicPathMatrixSteps(frequencies, options)
+};
+
+// Time a task is stepped before the event loop gets a turn
+const TASK_SLICE_MS = 50;
+
+// Start a task, stepping it in slices of TASK_SLICE_MS. onProgress receives the last
+// progress of every slice (without its partial result). Returns { promise, cancel }: the
+// promise resolves with the task's result, or - once cancel() has stopped it at the end
+// of the current slice - with its partial result (null if no progress was reported yet).
+const startHarmonicTask = (name, args, onProgress = () => {}) => {
+	if (!HARMONIC_TASKS[name]) {
+		throw new Error(`Unknown harmonic task "${name}". Available: ${Object.keys(HARMONIC_TASKS).join(', ')}`);
+	}
+	let cancelled = false;
+
+	const promise = new Promise((resolve, reject) => {
+		const steps = HARMONIC_TASKS[name](args);
+		let last = null;
+
+		const runSlice = () => {
+			try {
+				if (cancelled) {
+					resolve(last ? last.partial : null);
+					return;
+				}
+				const deadline = Date.now() + TASK_SLICE_MS;
+				do {
+					const { value, done } = steps.next();
+					if (done) {
+						resolve(value);
+						return;
+					}
+					last = value;
+				} while (Date.now() < deadline);
+
+				const { partial, ...progress } = last;
+				onProgress(progress);
+				setTimeout(runSlice, 0);
+			} catch (error) {
+				reject(error);
+			}
+		};
+		setTimeout(runSlice, 0);
+	});
+
+	return {
+		promise,
+		cancel: () => {
+			cancelled = true;
+		}
+	};
+};
+
+export { HARMONIC_TASKS, startHarmonicTask };
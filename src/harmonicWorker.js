@@ -0,0 +1,26 @@
+/* eslint-disable no-restricted-globals */
+// Web Worker running one harmonic task (see harmonicTasks.js). Messages in:
+//   { type: "start", name, args } and { type: "cancel" }
+// Messages out:
+//   { type: "progress", progress }, then { type: "result", result } or { type: "error", message }
+import { startHarmonicTask } from './harmonicTasks';
+
+let task = null;
+
+self.onmessage = ({ data }) => {
+	if (data.type === 'cancel') {
+		if (task) task.cancel();
+		return;
+	}
+
+	try {
+		task = startHarmonicTask(data.name, data.args, (progress) => self.postMessage({ type: 'progress', progress }));
+	} catch (error) {
+		self.postMessage({ type: 'error', message: error.message });
+		return;
+	}
+	task.promise.then(
+		(result) => self.postMessage({ type: 'result', result }),
+		(error) => self.postMessage({ type: 'error', message: error.message })
+	);
+};
@@ -0,0 +1,5 @@
+// Webpack only bundles a worker created exactly like this. Jest cannot parse import.meta,
+// so the app imports this module on demand, once it knows Worker exists.
+const spawnHarmonicWorker = () => new Worker(new URL('./harmonicWorker.js', import.meta.url));
+
+export default spawnHarmonicWorker;